@@ -0,0 +1,208 @@
+// lib/advisor.js — sowing windows and irrigation need from POWER data
+//
+// Sowing windows come from the 12 climatology normals: each calendar month is
+// scored as a sowing month for a crop by temperature at sowing, frost risk and
+// temperature suitability over the season, and how much of the season falls
+// in the rains (FAO's growing-period test: rain ≥ half of ET0). Irrigation need
+// is Kc·ET0 minus effective rain, per week, from the recent daily series and
+// from the normals for the weeks ahead.
+import { suitability } from "./crops.js";
+import { et0FAO56, DEFAULT_THERMAL } from "./agroIndices.js";
+
+const MONTH_ABBR = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const DEFAULT_SEASON_DAYS = 120;
+const DEFAULT_KC = 1;
+const EFFECTIVE_RAIN = 0.8;       // share of rainfall the crop can use
+const FROST_HIGH = 0;             // mean monthly Tmin (°C) at or below: frost likely
+const FROST_MODERATE = 3;         // … at or below: frost nights likely
+const FROST_SENSITIVE_BASE = 5;   // crops with a GDD base at or above this are frost-sensitive
+const MIN_WINDOW_SCORE = 0.6;
+
+const round = (v, d = 1) => (v == null || !Number.isFinite(v) ? null : +v.toFixed(d));
+const mean = (a) => a.reduce((s, v) => s + v, 0) / a.length;
+const cyc = (m) => ((m % 12) + 12) % 12;        // 0-based month, wrapping the year
+const monthSpan = (a, b) => (a === b ? MONTH_ABBR[a] : `${MONTH_ABBR[a]}–${MONTH_ABBR[b]}`);
+
+/**
+ * Per-month climate (0 = Jan) from normals with INDEX_PARAMS:
+ * → [{ month, t, tmin, tmax, rain, et0, wet, frost }] (rain and et0 in mm/day)
+ */
+export function monthlyClimate(normals, { lat, elevation = 0 } = {}) {
+  const at = (p, i) => normals?.[p]?.months?.[i] ?? null;
+  return MONTH_ABBR.map((name, i) => {
+    const row = {
+      date: `2001-${String(i + 1).padStart(2, "0")}-15`,
+      T2M: at("T2M", i), T2M_MAX: at("T2M_MAX", i), T2M_MIN: at("T2M_MIN", i),
+      RH2M: at("RH2M", i), WS2M: at("WS2M", i), ALLSKY_SFC_SW_DWN: at("ALLSKY_SFC_SW_DWN", i),
+    };
+    const et0 = et0FAO56(row, { lat, elevation });
+    const rain = at("PRECTOTCORR", i);
+    const tmin = row.T2M_MIN;
+    return {
+      month: i, name,
+      t: round(row.T2M), tmin: round(tmin), tmax: round(row.T2M_MAX),
+      rain: round(rain, 2), et0: round(et0, 2),
+      wet: rain != null && et0 != null && rain >= 0.5 * et0,
+      frost: tmin == null ? null : tmin <= FROST_HIGH ? "high" : tmin <= FROST_MODERATE ? "moderate" : null,
+    };
+  });
+}
+
+/** Month the rains usually start: first month of the longest wet run (null if always wet or never). */
+export function rainOnset(climate) {
+  if (climate.every(c => c.wet) || !climate.some(c => c.wet)) return null;
+  let best = null, bestLen = 0;
+  for (let m = 0; m < 12; m++) {
+    if (!climate[m].wet || climate[cyc(m - 1)].wet) continue;
+    let len = 0;
+    while (len < 12 && climate[cyc(m + len)].wet) len++;
+    if (len > bestLen) { best = m; bestLen = len; }
+  }
+  return best;
+}
+
+// Score one sowing month; each factor is 0…1 and the product is the score
+function scoreSowingMonth(crop, climate, m, onset) {
+  const th = { ...DEFAULT_THERMAL, ...(crop.thermal || {}) };
+  const seasonMonths = Array.from({ length: Math.max(1, Math.ceil((crop.season_days ?? DEFAULT_SEASON_DAYS) / 30)) }, (_, k) => climate[cyc(m + k)]);
+  const sow = climate[m];
+  const reasons = [];
+
+  // Germination: mean temperature a little above the crop's base
+  const germination = sow.t == null ? 0.5 : sow.t >= th.t_base + 2 ? 1 : 0;
+  if (sow.t != null) {
+    reasons.push(germination
+      ? `${sow.t} °C mean in ${sow.name}, above the ${th.t_base} °C base`
+      : `${sow.t} °C mean in ${sow.name} is too cold to establish (base ${th.t_base} °C)`);
+  }
+
+  // Frost: sensitive crops can't have frost anywhere in the season
+  const sensitive = th.t_base >= FROST_SENSITIVE_BASE;
+  const frosty = sensitive ? seasonMonths.filter(c => c.frost) : [sow].filter(c => c.frost === "high");
+  const frost = !frosty.length ? 1 : frosty.some(c => c.frost === "high") ? (sensitive ? 0 : 0.5) : 0.5;
+  if (frosty.length) {
+    reasons.push(`frost risk in ${frosty.map(c => `${c.name} (Tmin ${c.tmin} °C)`).join(", ")}`);
+  }
+
+  // Temperature suitability averaged over the season
+  const temps = seasonMonths.map(c => (crop.temperature && c.t != null ? suitability(c.t, crop.temperature) : 1));
+  const temperature = mean(temps);
+  if (temperature < 0.6) reasons.push(`season temperatures only ${Math.round(temperature * 100)}% suitable`);
+
+  // Rain: share of season months in the rains; irrigation can make up the rest,
+  // so a dry season halves the score rather than ruling the month out
+  const wetShare = seasonMonths.filter(c => c.wet).length / seasonMonths.length;
+  const water = 0.5 + 0.5 * wetShare;
+  reasons.push(`${seasonMonths.filter(c => c.wet).length}/${seasonMonths.length} season months get rain ≥ half of ET0`);
+  if (onset != null && m === onset) reasons.push("sows with the onset of the rains");
+
+  const score = germination * frost * temperature * water;
+  const limiting = Object.entries({ germination, frost, temperature, water }).sort((a, b) => a[1] - b[1])[0][0];
+  return {
+    month: m, name: sow.name, score: round(score, 2), limiting,
+    factors: { germination, frost, temperature: round(temperature, 2), water: round(water, 2) },
+    reasons,
+  };
+}
+
+/**
+ * Sowing windows for one catalog crop: contiguous months scoring at least
+ * MIN_WINDOW_SCORE (wrapping the year end), best month first within each.
+ */
+export function sowingWindows(crop, climate, { onset = rainOnset(climate) } = {}) {
+  const months = climate.map((_, m) => scoreSowingMonth(crop, climate, m, onset));
+  const good = months.map(r => r.score >= MIN_WINDOW_SCORE);
+
+  const windows = [];
+  if (good.every(Boolean)) {
+    windows.push({ start: 0, end: 11 });
+  } else {
+    for (let m = 0; m < 12; m++) {
+      if (!good[m] || good[cyc(m - 1)]) continue;
+      let len = 1;
+      while (good[cyc(m + len)]) len++;
+      windows.push({ start: m, end: cyc(m + len - 1) });
+    }
+  }
+  const described = windows.map(w => {
+    const list = [];
+    for (let m = w.start; ; m = cyc(m + 1)) { list.push(months[m]); if (m === w.end) break; }
+    const best = list.reduce((a, b) => (b.score > a.score ? b : a));
+    return {
+      start_month: w.start + 1, end_month: w.end + 1, label: monthSpan(w.start, w.end),
+      best_month: best.month + 1, best_score: best.score,
+    };
+  }).sort((a, b) => b.best_score - a.best_score);
+
+  const best = months.reduce((a, b) => (b.score > a.score ? b : a));
+  const season = crop.season_days ?? DEFAULT_SEASON_DAYS;
+  const explanation = described.length
+    ? `Sow ${crop.name} ${described.map(w => w.label).join(" or ")} (best ${best.name}, score ${best.score}; ~${season}-day season): ${best.reasons.join("; ")}.`
+    : `No month scores ${MIN_WINDOW_SCORE} or more for ${crop.name}; the best is ${best.name} (${best.score}), limited by ${best.limiting}: ${best.reasons.join("; ")}.`;
+
+  return {
+    crop: crop.name,
+    season_days: season,
+    windows: described,
+    best_month: best.month + 1,
+    best_score: best.score,
+    months: months.map(r => ({ month: r.month + 1, score: r.score, limiting: r.limiting, factors: r.factors })),
+    explanation,
+  };
+}
+
+/**
+ * Weekly irrigation need (mm/week) = max(0, Kc·ET0 − effective rain).
+ * `rows` are daily rows with ET0 (lib/agroIndices.js withDailyIndices); the
+ * last `weeks` full weeks are reported, then `weeks` more from the normals.
+ */
+export function irrigationNeed(rows, climate, { crop, weeks = 4 } = {}) {
+  const kc = crop?.kc ?? DEFAULT_KC;
+  const recent = [];
+  const list = (rows || []).filter(r => r.ET0 != null && r.PRECTOTCORR != null);
+  for (let w = 0; w < weeks; w++) {
+    const chunk = list.slice(Math.max(0, list.length - (w + 1) * 7), list.length - w * 7);
+    if (chunk.length < 7) break;
+    const et0 = chunk.reduce((s, r) => s + r.ET0, 0);
+    const rain = chunk.reduce((s, r) => s + Number(r.PRECTOTCORR), 0);
+    const etc = kc * et0;
+    recent.unshift({
+      start: chunk[0].date, end: chunk[chunk.length - 1].date,
+      et0_mm: round(et0), etc_mm: round(etc), rain_mm: round(rain),
+      effective_rain_mm: round(EFFECTIVE_RAIN * rain), need_mm: round(Math.max(0, etc - EFFECTIVE_RAIN * rain)),
+    });
+  }
+
+  // Weeks ahead from the normals of the month each week starts in
+  const from = list.length ? new Date(`${list[list.length - 1].date}T00:00:00Z`) : new Date();
+  const outlook = [];
+  for (let w = 0; w < weeks; w++) {
+    const start = new Date(from.getTime() + (1 + w * 7) * 864e5);
+    const c = climate[start.getUTCMonth()];
+    if (c.et0 == null || c.rain == null) continue;
+    const etc = kc * c.et0 * 7, rain = c.rain * 7;
+    outlook.push({
+      start: start.toISOString().slice(0, 10), month: c.name,
+      etc_mm: round(etc), rain_mm: round(rain), need_mm: round(Math.max(0, etc - EFFECTIVE_RAIN * rain)),
+    });
+  }
+
+  const last = recent[recent.length - 1], next = outlook[0];
+  const parts = [];
+  if (last) {
+    parts.push(last.need_mm > 0
+      ? `Last week (${last.start} → ${last.end}) the crop needed ~${last.need_mm} mm of irrigation: ${last.etc_mm} mm crop ET (Kc ${kc} × ET0 ${last.et0_mm} mm) against ${last.effective_rain_mm} mm effective rain.`
+      : `Last week's rain (${last.rain_mm} mm) covered crop ET (${last.etc_mm} mm); no irrigation needed.`);
+  }
+  if (next) {
+    parts.push(next.need_mm > 0
+      ? `Normals for ${next.month} suggest ~${next.need_mm} mm/week from here.`
+      : `Normals for ${next.month} suggest rain usually covers crop demand.`);
+  }
+
+  return {
+    crop: crop?.name ?? null, kc, effective_rain_share: EFFECTIVE_RAIN,
+    recent, outlook,
+    explanation: parts.join(" ") || "Not enough data to estimate irrigation need.",
+  };
+}
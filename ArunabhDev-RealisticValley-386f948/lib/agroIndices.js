@@ -0,0 +1,160 @@
+// lib/agroIndices.js — agro-climatic indices from cleaned daily POWER rows
+//
+// Growing degree days per crop, FAO-56 Penman-Monteith reference ET (ET0),
+// a daily rain-minus-ET0 water balance, dry spells and heat-stress days.
+// Rows are the `{ date, T2M, T2M_MAX, …, flags }` objects cleanDailySeries
+// builds; any missing value just leaves that day out of the index it feeds.
+
+// Daily parameters the indices need (ET0 is the one asking for the extras)
+export const INDEX_PARAMS = ["T2M", "T2M_MAX", "T2M_MIN", "RH2M", "WS2M", "ALLSKY_SFC_SW_DWN", "PRECTOTCORR"];
+
+// GDD base/cap and heat-stress threshold (°C) for crops without `thermal`
+export const DEFAULT_THERMAL = { t_base: 10, t_cap: 30, heat: 35 };
+
+export const DRY_DAY_MM = 1;     // a day with less rain than this is "dry"
+const DEFAULT_WIND = 2;          // m/s, FAO-56's fallback when wind is missing
+const SIGMA = 4.903e-9;          // Stefan-Boltzmann, MJ K⁻⁴ m⁻² day⁻¹
+const GSC = 0.082;               // solar constant, MJ m⁻² min⁻¹
+
+const num = (v) => (v != null && Number.isFinite(Number(v)) ? Number(v) : null);
+const round = (v, d = 1) => (v == null ? null : +v.toFixed(d));
+const svp = (t) => 0.6108 * Math.exp((17.27 * t) / (t + 237.3)); // saturation vapour pressure, kPa
+
+function dayOfYear(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  return Math.floor((d - Date.UTC(d.getUTCFullYear(), 0, 1)) / 864e5) + 1;
+}
+
+// Extraterrestrial radiation Ra (MJ/m²/day), FAO-56 eq. 21
+function extraterrestrial(latDeg, doy) {
+  const phi = (latDeg * Math.PI) / 180;
+  const dr = 1 + 0.033 * Math.cos((2 * Math.PI * doy) / 365);
+  const delta = 0.409 * Math.sin((2 * Math.PI * doy) / 365 - 1.39);
+  const ws = Math.acos(Math.max(-1, Math.min(1, -Math.tan(phi) * Math.tan(delta))));
+  return ((24 * 60) / Math.PI) * GSC * dr *
+    (ws * Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.sin(ws));
+}
+
+/**
+ * FAO-56 Penman-Monteith reference evapotranspiration for one day (mm/day).
+ * Needs Tmax/Tmin (or T2M for both), RH and solar radiation in MJ/m²/day;
+ * wind falls back to 2 m/s. Returns null when the inputs aren't there.
+ */
+export function et0FAO56(row, { lat, elevation = 0 } = {}) {
+  const tmax = num(row.T2M_MAX) ?? num(row.T2M), tmin = num(row.T2M_MIN) ?? num(row.T2M);
+  const rh = num(row.RH2M), rs = num(row.ALLSKY_SFC_SW_DWN);
+  if (tmax == null || tmin == null || rh == null || rs == null || !Number.isFinite(lat)) return null;
+  const u2 = num(row.WS2M) ?? DEFAULT_WIND;
+  const z = Number.isFinite(elevation) ? elevation : 0;
+
+  const t = (tmax + tmin) / 2;
+  const delta = (4098 * svp(t)) / (t + 237.3) ** 2;
+  const pressure = 101.3 * ((293 - 0.0065 * z) / 293) ** 5.26;
+  const gamma = 0.000665 * pressure;
+  const es = (svp(tmax) + svp(tmin)) / 2;
+  const ea = (Math.min(100, Math.max(0, rh)) / 100) * es;
+
+  const ra = extraterrestrial(lat, dayOfYear(row.date));
+  const rso = (0.75 + 2e-5 * z) * ra;
+  const rns = 0.77 * rs;
+  const ratio = rso > 0 ? Math.min(1, rs / rso) : 0.5;
+  const rnl = SIGMA * (((tmax + 273.16) ** 4 + (tmin + 273.16) ** 4) / 2) *
+    (0.34 - 0.14 * Math.sqrt(ea)) * (1.35 * ratio - 0.35);
+  const rn = rns - rnl; // soil heat flux G ≈ 0 for daily steps
+
+  const et0 = (0.408 * delta * rn + gamma * (900 / (t + 273)) * u2 * (es - ea)) / (delta + gamma * (1 + 0.34 * u2));
+  return Math.max(0, et0);
+}
+
+// POWER sends ALLSKY_SFC_SW_DWN in MJ/m²/day for AG and kWh/m²/day for RE/SB
+const MJ_PER_KWH = 3.6;
+const solarToMJ = (units) => (/kw/i.test(units ?? "") ? MJ_PER_KWH : 1);
+
+/**
+ * Rows with ET0 (mm/day) and WB = rain − ET0 (mm/day) added. `solarUnits` is
+ * what POWER reported for ALLSKY_SFC_SW_DWN (MJ/m²/day when missing); the
+ * rows themselves keep their values.
+ */
+export function withDailyIndices(rows, { lat, elevation = 0, solarUnits = null } = {}) {
+  const k = solarToMJ(solarUnits);
+  return (rows || []).map(r => {
+    const rs = num(r.ALLSKY_SFC_SW_DWN);
+    const et0 = et0FAO56(k === 1 || rs == null ? r : { ...r, ALLSKY_SFC_SW_DWN: rs * k }, { lat, elevation });
+    const rain = num(r.PRECTOTCORR);
+    return { ...r, ET0: round(et0, 2), WB: et0 != null && rain != null ? round(rain - et0, 2) : null };
+  });
+}
+
+// Modified averaging method: Tmax capped, Tmin floored at the base
+function degreeDays(row, { t_base, t_cap }) {
+  let tmax = num(row.T2M_MAX), tmin = num(row.T2M_MIN);
+  if (tmax == null || tmin == null) {
+    const t = num(row.T2M);
+    if (t == null) return null;
+    tmax = tmin = t;
+  }
+  tmax = Math.min(Math.max(tmax, t_base), t_cap);
+  tmin = Math.min(Math.max(tmin, t_base), t_cap);
+  return Math.max(0, (tmax + tmin) / 2 - t_base);
+}
+
+// Longest run of dry days, and the run still going on the last day
+function drySpells(rows, threshold = DRY_DAY_MM) {
+  let longest = { days: 0, start: null, end: null }, run = 0, runStart = null;
+  for (const r of rows) {
+    const p = num(r.PRECTOTCORR);
+    if (p != null && p < threshold) {
+      if (!run) runStart = r.date;
+      run++;
+      if (run > longest.days) longest = { days: run, start: runStart, end: r.date };
+    } else {
+      run = 0;
+    }
+  }
+  return { threshold_mm: threshold, longest_days: longest.days, longest_start: longest.start, longest_end: longest.end, current_days: run };
+}
+
+/**
+ * Summary indices over the whole series. `crops` are catalog entries; each one
+ * gets GDD and heat-stress days from its `thermal` block (or DEFAULT_THERMAL).
+ * Rows without ET0 yet have it computed here (see withDailyIndices for `solarUnits`).
+ */
+export function computeIndices(rows, { lat, elevation = 0, crops = [], solarUnits = null } = {}) {
+  const list = (rows || []).some(r => "ET0" in r) ? rows : withDailyIndices(rows, { lat, elevation, solarUnits });
+  if (!list.length) return null;
+
+  let et0Sum = 0, et0Days = 0, rain = 0, wb = 0, wbMin = 0, deficitDays = 0;
+  for (const r of list) {
+    const p = num(r.PRECTOTCORR);
+    if (p != null) rain += p;
+    if (r.ET0 != null) { et0Sum += r.ET0; et0Days++; }
+    if (r.WB != null) {
+      wb += r.WB;
+      wbMin = Math.min(wbMin, wb);
+      if (r.WB < 0) deficitDays++;
+    }
+  }
+
+  return {
+    period: { start: list[0].date, end: list[list.length - 1].date, days: list.length },
+    et0: { total_mm: round(et0Sum), mean_mm_day: et0Days ? round(et0Sum / et0Days, 2) : null, days: et0Days, method: "FAO-56 Penman-Monteith" },
+    rain_mm: round(rain),
+    water_balance: { total_mm: round(wb), min_cumulative_mm: round(wbMin), deficit_days: deficitDays },
+    dry_spell: drySpells(list),
+    crops: crops.map(c => {
+      const th = { ...DEFAULT_THERMAL, ...(c.thermal || {}) };
+      let gdd = 0, heatDays = 0, maxT = null;
+      for (const r of list) {
+        gdd += degreeDays(r, th) ?? 0;
+        const tmax = num(r.T2M_MAX) ?? num(r.T2M);
+        if (tmax == null) continue;
+        if (tmax >= th.heat) heatDays++;
+        maxT = maxT == null ? tmax : Math.max(maxT, tmax);
+      }
+      return {
+        crop: c.name, t_base: th.t_base, t_cap: th.t_cap, gdd: round(gdd, 0),
+        heat_threshold_c: th.heat, heat_days: heatDays, max_tmax_c: round(maxT),
+      };
+    }),
+  };
+}
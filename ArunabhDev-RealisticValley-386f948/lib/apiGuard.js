@@ -0,0 +1,142 @@
+// lib/apiGuard.js — API keys, rate limits and body validation for Express
+//
+//   API_KEYS                 "name=key,name2=key2"; when set every API route
+//                            needs a key (X-API-Key, Authorization: Bearer, or
+//                            ?api_key= for plain links such as report downloads)
+//   RATE_LIMIT_PER_MIN       requests per minute per IP without a key (default 120)
+//   RATE_LIMIT_KEY_PER_MIN   … per API key (default 600)
+//   RATE_LIMIT_HEAVY_PER_MIN analyses, batches and other POWER/LLM fan-out per IP (default 30)
+//   RATE_LIMIT_HEAVY_KEY_PER_MIN … per API key (default 120)
+//
+// Limits are fixed one-minute windows kept in memory, so they are per
+// process. Rejections answer JSON like every other route: 401, 429 (with
+// Retry-After) or 400 with the list of schema problems.
+import crypto from "crypto";
+import { validateSchema } from "./structuredOutput.js";
+
+const MINUTE = 60 * 1000;
+
+const envInt = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n >= 0 ? n : fallback;
+};
+
+/** "alice=k1,bob=k2" (or bare keys) → Map key → name */
+export function parseApiKeys(spec = process.env.API_KEYS) {
+  const keys = new Map();
+  for (const [i, part] of String(spec || "").split(",").map(s => s.trim()).filter(Boolean).entries()) {
+    const at = part.indexOf("=");
+    const [name, key] = at > 0 ? [part.slice(0, at).trim(), part.slice(at + 1).trim()] : [`key${i + 1}`, part];
+    if (key) keys.set(key, name);
+  }
+  return keys;
+}
+
+// Constant-time lookup so response timing doesn't leak key prefixes
+function findKey(keys, presented) {
+  if (!presented) return null;
+  const p = Buffer.from(presented);
+  for (const [key, name] of keys) {
+    const k = Buffer.from(key);
+    if (k.length === p.length && crypto.timingSafeEqual(k, p)) return name;
+  }
+  return null;
+}
+
+/** Constant-time check of a presented secret against one expected value */
+export function secretMatches(expected, presented) {
+  return !!expected && findKey(new Map([[String(expected), "secret"]]), String(presented || "")) != null;
+}
+
+/** Fixed-window counter: hit(id) → { ok, limit, remaining, resetMs } */
+export function createRateLimiter({ windowMs = MINUTE } = {}) {
+  const windows = new Map(); // id → { start, count }
+  let rejected = 0;
+
+  function hit(id, limit) {
+    const now = Date.now();
+    let w = windows.get(id);
+    if (!w || now - w.start >= windowMs) {
+      w = { start: now, count: 0 };
+      windows.set(id, w);
+    }
+    w.count++;
+    const ok = w.count <= limit;
+    if (!ok) rejected++;
+    return { ok, limit, remaining: Math.max(0, limit - w.count), resetMs: w.start + windowMs - now };
+  }
+
+  // Drop finished windows now and then so the map doesn't grow without bound
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [id, w] of windows) if (now - w.start >= windowMs) windows.delete(id);
+  }, windowMs);
+  sweep.unref?.();
+
+  return { hit, stats: () => ({ tracked: windows.size, rejected }) };
+}
+
+export function createApiGuard({
+  keys = parseApiKeys(),
+  limits = {
+    api:   { ip: envInt("RATE_LIMIT_PER_MIN", 120),     key: envInt("RATE_LIMIT_KEY_PER_MIN", 600) },
+    heavy: { ip: envInt("RATE_LIMIT_HEAVY_PER_MIN", 30), key: envInt("RATE_LIMIT_HEAVY_KEY_PER_MIN", 120) },
+  },
+  windowMs = MINUTE,
+} = {}) {
+  const limiter = createRateLimiter({ windowMs });
+  const counters = { unauthorized: 0 };
+
+  const presentedKey = (req) =>
+    req.get("x-api-key") ||
+    req.get("authorization")?.match(/^Bearer\s+(.+)$/i)?.[1] ||
+    (req.method === "GET" ? req.query.api_key : null);
+
+  /** Resolve the caller (req.client = { key, id }); 401 when keys are configured and none matches. */
+  function authenticate(req, res, next) {
+    const name = keys.size ? findKey(keys, String(presentedKey(req) || "")) : null;
+    if (keys.size && !name) {
+      counters.unauthorized++;
+      res.setHeader("WWW-Authenticate", 'Bearer realm="agroscope"');
+      return res.status(401).json({ error: "API key required (X-API-Key header or Authorization: Bearer)" });
+    }
+    req.client = name ? { key: name, id: `key:${name}` } : { key: null, id: `ip:${req.ip}` };
+    next();
+  }
+
+  /** Rate-limit middleware for one bucket ("api" | "heavy"); keyed clients get the key limit. */
+  function limit(bucket) {
+    const conf = limits[bucket];
+    if (!conf) throw new Error(`Unknown rate-limit bucket "${bucket}"`);
+    return (req, res, next) => {
+      const client = req.client || { key: null, id: `ip:${req.ip}` };
+      const max = client.key ? conf.key : conf.ip;
+      if (!max) return next(); // 0 = unlimited
+      const r = limiter.hit(`${bucket}:${client.id}`, max);
+      res.setHeader("RateLimit-Limit", r.limit);
+      res.setHeader("RateLimit-Remaining", r.remaining);
+      res.setHeader("RateLimit-Reset", Math.ceil(r.resetMs / 1000));
+      if (r.ok) return next();
+      res.setHeader("Retry-After", Math.ceil(r.resetMs / 1000));
+      res.status(429).json({ error: `Rate limit exceeded (${max} ${bucket === "heavy" ? "analysis " : ""}requests per minute); retry in ${Math.ceil(r.resetMs / 1000)} s` });
+    };
+  }
+
+  const stats = () => ({ auth: keys.size ? "api-key" : "open", keys: keys.size, limits, ...counters, ...limiter.stats() });
+
+  return { authenticate, limit, stats };
+}
+
+/**
+ * 400 unless req.body matches `schema` (the lib/structuredOutput.js subset);
+ * `check(body)` adds more "path: problem" strings.
+ */
+export function validateBody(schema, check) {
+  return (req, res, next) => {
+    const body = req.body ?? {};
+    let problems = validateSchema(body, schema, "body");
+    if (!problems.length && check) problems = check(body) || [];
+    if (!problems.length) return next();
+    res.status(400).json({ error: `Invalid request: ${problems[0]}`, details: problems.slice(0, 10) });
+  };
+}
@@ -0,0 +1,199 @@
+// lib/batchJobs.js — batch analysis of a GeoJSON FeatureCollection
+//
+// A job holds the submitted features and one result slot per feature. Jobs run
+// one at a time, in submission order; inside a job `concurrency` features are
+// analyzed at once by the caller's `analyze(feature, index, { signal })`.
+// A failing feature records its error and the job carries on. Jobs live in
+// memory and are dropped `ttlMs` after they finish.
+import crypto from "crypto";
+import { log as rootLog, currentRequestId } from "./logger.js";
+
+const HOUR = 60 * 60 * 1000;
+const STATUS_DONE = new Set(["done", "cancelled", "failed"]);
+
+// Flat CSV columns: [header, result → value]
+const CSV_COLUMNS = [
+  ["index", r => r.index],
+  ["id", r => r.id],
+  ["name", r => r.name],
+  ["ok", r => r.ok],
+  ["error", r => r.error],
+  ["lat", r => r.analysis?.centroid?.lat],
+  ["lon", r => r.analysis?.centroid?.lon],
+  ["area_km2", r => r.analysis?.area_km2],
+  ["crop", r => r.analysis?.crop],
+  ["score", r => r.analysis?.recommendations?.[0]?.score],
+  ["runner_up", r => r.analysis?.recommendations?.[1]?.crop],
+  ["runner_up_score", r => r.analysis?.recommendations?.[1]?.score],
+  ["t2m_avg", r => r.analysis?.power?.t2m_avg],
+  ["rh2m_avg", r => r.analysis?.power?.rh2m_avg],
+  ["precip_mm_day", r => r.analysis?.power?.precip_mm_day],
+  ["solar_mj_m2_day", r => r.analysis?.power?.solar_mj_m2_day],
+  ["power_source", r => r.analysis?.power?.source],
+  ["power_cells", r => r.analysis?.power?.cells],
+];
+
+const csvCell = (v) => {
+  if (v == null) return "";
+  const s = typeof v === "number" ? String(+v.toFixed(4)) : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * Problem with a submitted body, or null. Accepts a FeatureCollection or a
+ * bare array of Features; individual bad features are reported per feature.
+ */
+export function batchInputError(body, { maxFeatures }) {
+  const features = Array.isArray(body) ? body : body?.type === "FeatureCollection" ? body.features : null;
+  if (!Array.isArray(features)) return "Expected a GeoJSON FeatureCollection";
+  if (!features.length) return "FeatureCollection has no features";
+  if (features.length > maxFeatures) return `At most ${maxFeatures} features per job (got ${features.length})`;
+  return null;
+}
+
+export function createBatchJobs({
+  analyze,
+  concurrency = 2,
+  maxQueued = 5,
+  ttlMs = 24 * HOUR,
+  log = rootLog.child({ component: "batch" }),
+} = {}) {
+  const jobs = new Map();   // id → job, in submission order
+  let running = null;
+
+  const prune = () => {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+      if (STATUS_DONE.has(job.status) && now - Date.parse(job.finished_at) > ttlMs) jobs.delete(id);
+    }
+  };
+
+  // Progress view of a job (no features or results)
+  function summary(job) {
+    const done = job.results.filter(Boolean);
+    const elapsed = job.started_at ? (job.finished_at ? Date.parse(job.finished_at) : Date.now()) - Date.parse(job.started_at) : null;
+    const eta = job.status === "running" && done.length ? Math.round((elapsed / done.length) * (job.total - done.length)) : null;
+    return {
+      id: job.id,
+      status: job.status,
+      total: job.total,
+      done: done.length,
+      ok: done.filter(r => r.ok).length,
+      failed: done.filter(r => !r.ok).length,
+      progress: +(done.length / job.total).toFixed(3),
+      created_at: job.created_at,
+      started_at: job.started_at,
+      finished_at: job.finished_at,
+      elapsed_ms: elapsed,
+      eta_ms: eta,
+      error: job.error,
+    };
+  }
+
+  async function runJob(job) {
+    job.status = "running";
+    job.started_at = new Date().toISOString();
+    log.info("job started", { req: job.request_id, job: job.id, features: job.total });
+    let next = 0;
+    const worker = async () => {
+      while (next < job.total && !job.ctrl.signal.aborted) {
+        const i = next++;
+        const feature = job.features[i];
+        const base = { index: i, id: feature?.id ?? null, name: feature?.properties?.name ?? null };
+        try {
+          job.results[i] = { ...base, ok: true, error: null, analysis: await analyze(feature, i, { signal: job.ctrl.signal }) };
+        } catch (e) {
+          job.results[i] = { ...base, ok: false, error: String(e?.message || e), analysis: null };
+        }
+      }
+    };
+    try {
+      await Promise.all(Array.from({ length: Math.min(concurrency, job.total) }, worker));
+      job.status = job.ctrl.signal.aborted ? "cancelled" : "done";
+    } catch (e) {
+      job.status = "failed";
+      job.error = String(e?.message || e);
+    }
+    job.finished_at = new Date().toISOString();
+    const s = summary(job);
+    log[job.status === "failed" ? "error" : "info"](`job ${job.status}`, { req: job.request_id, job: job.id, ok: s.ok, failed: s.failed, ms: s.elapsed_ms, error: job.error ?? undefined });
+  }
+
+  // Start the oldest queued job when nothing is running
+  function pump() {
+    if (running) return;
+    const job = [...jobs.values()].find(j => j.status === "queued");
+    if (!job) return;
+    running = runJob(job).finally(() => { running = null; pump(); });
+  }
+
+  /** Queue a job → its summary, or null when `maxQueued` jobs are already waiting. */
+  function submit(body) {
+    prune();
+    const waiting = [...jobs.values()].filter(j => j.status === "queued" || j.status === "running").length;
+    if (waiting >= maxQueued) return null;
+    const features = Array.isArray(body) ? body : body.features;
+    const job = {
+      id: crypto.randomUUID(),
+      status: "queued",
+      total: features.length,
+      features,
+      results: new Array(features.length).fill(null),
+      ctrl: new AbortController(),
+      request_id: currentRequestId(), // later jobs start from another request's context
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      error: null,
+    };
+    jobs.set(job.id, job);
+    pump();
+    return summary(job);
+  }
+
+  function get(id) {
+    prune();
+    return jobs.get(id) ?? null;
+  }
+
+  function list() {
+    prune();
+    return [...jobs.values()].map(summary);
+  }
+
+  /** Stop a job (features in flight finish) and forget it; false if unknown. */
+  function remove(id) {
+    const job = jobs.get(id);
+    if (!job) return false;
+    job.ctrl.abort();
+    if (job.status === "queued") job.status = "cancelled";
+    jobs.delete(id);
+    return true;
+  }
+
+  // Finished features so far, each input Feature with `properties.agroscope`
+  function toGeoJSON(job) {
+    return {
+      type: "FeatureCollection",
+      job: summary(job),
+      features: job.results.map((r, i) => r && {
+        ...job.features[i],
+        type: "Feature",
+        properties: {
+          ...(job.features[i]?.properties || {}),
+          agroscope: { ok: r.ok, error: r.error, ...(r.analysis || {}) },
+        },
+      }).filter(Boolean),
+    };
+  }
+
+  function toCSV(job) {
+    const lines = [CSV_COLUMNS.map(([h]) => h).join(",")];
+    for (const r of job.results) {
+      if (r) lines.push(CSV_COLUMNS.map(([, get]) => csvCell(get(r))).join(","));
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  return { submit, get, list, remove, summary, toGeoJSON, toCSV };
+}
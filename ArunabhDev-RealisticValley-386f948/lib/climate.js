@@ -0,0 +1,112 @@
+// lib/climate.js — POWER monthly normals and how recent months depart from them
+//
+// Normals come from the climatology endpoint (JAN…DEC + ANN per parameter).
+// Recent months are averaged from cleaned daily rows, so partial months and
+// gap-filled days are reported alongside each anomaly.
+export const MONTHS = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+const MONTH_NAMES = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+
+// How each parameter's anomaly is expressed, and when it is worth calling out.
+// Rainfall is compared as a percentage; its normal can be near zero in dry months.
+export const ANOMALY_PARAMS = {
+  T2M:               { label: "temperature", unit: "°C",        digits: 1, notable: (a) => Math.abs(a.diff) >= 1 },
+  RH2M:              { label: "RH",          unit: "%",         digits: 0, notable: (a) => Math.abs(a.diff) >= 5 },
+  PRECTOTCORR:       { label: "rainfall",    unit: "mm/day",    digits: 1, percent: true, notable: (a) => a.normal >= 0.3 && a.pct != null && Math.abs(a.pct) >= 25 },
+  ALLSKY_SFC_SW_DWN: { label: "solar",       unit: "MJ/m²/day", digits: 1, notable: (a) => a.pct != null && Math.abs(a.pct) >= 10 },
+};
+
+const valid = (v) => v != null && Number.isFinite(Number(v)) && Number(v) > -900;
+const round = (v, d) => (v == null ? null : +Number(v).toFixed(d));
+
+/**
+ * 12 monthly normals per parameter from a climatology `properties.parameter`.
+ * → { T2M: { months: [jan … dec], annual }, … } (null where POWER has none)
+ */
+export function monthlyNormals(parameter, params) {
+  const out = {};
+  for (const p of params) {
+    const src = parameter?.[p] || {};
+    out[p] = {
+      months: MONTHS.map(m => (valid(src[m]) ? Number(src[m]) : null)),
+      annual: valid(src.ANN) ? Number(src.ANN) : null,
+    };
+  }
+  return out;
+}
+
+/**
+ * Calendar-month means of cleaned daily rows ({ date, PARAM…, flags }).
+ * `complete` is false for a month whose days aren't all present (e.g. the current one).
+ */
+export function monthlyMeans(rows, params) {
+  const byMonth = new Map();
+  for (const r of rows || []) {
+    const key = String(r.date).slice(0, 7);
+    if (!byMonth.has(key)) byMonth.set(key, []);
+    byMonth.get(key).push(r);
+  }
+  return [...byMonth.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([month, list]) => {
+    const [y, m] = month.split("-").map(Number);
+    const daysInMonth = new Date(Date.UTC(y, m, 0)).getUTCDate();
+    const values = {};
+    for (const p of params) {
+      const vs = list.map(r => r[p]).filter(valid).map(Number);
+      values[p] = vs.length ? vs.reduce((s, v) => s + v, 0) / vs.length : null;
+    }
+    return {
+      month,
+      days: list.length,
+      complete: list.length >= daysInMonth,
+      imputed_days: list.filter(r => Object.keys(r.flags || {}).length).length,
+      values,
+    };
+  });
+}
+
+// "+2.1 °C vs normal for September" / "+45% rainfall vs normal for September (3.1 vs 2.1 mm/day)"
+export function describeAnomaly(param, month, a) {
+  const cfg = ANOMALY_PARAMS[param];
+  const name = MONTH_NAMES[Number(month.slice(5, 7)) - 1];
+  const sign = (v) => (v > 0 ? "+" : v < 0 ? "−" : "±");
+  if (cfg.percent) {
+    if (a.pct == null) return `${cfg.label} ${a.value.toFixed(cfg.digits)} ${cfg.unit} in ${name} (normal ~0)`;
+    return `${sign(a.pct)}${Math.abs(a.pct).toFixed(0)}% ${cfg.label} vs normal for ${name} ` +
+      `(${a.value.toFixed(cfg.digits)} vs ${a.normal.toFixed(cfg.digits)} ${cfg.unit})`;
+  }
+  return `${sign(a.diff)}${Math.abs(a.diff).toFixed(cfg.digits)} ${cfg.unit} ${cfg.label} vs normal for ${name}`;
+}
+
+/**
+ * Attach anomalies to monthly means and pick the sentences worth showing:
+ * every parameter for the latest complete month, plus notable ones before it.
+ */
+export function compareToNormals(monthly, normals, params, { maxNotes = 8 } = {}) {
+  const months = monthly.map(mo => {
+    const idx = Number(mo.month.slice(5, 7)) - 1;
+    const anomalies = {};
+    for (const p of params) {
+      const cfg = ANOMALY_PARAMS[p];
+      const value = mo.values[p], normal = normals[p]?.months[idx];
+      if (value == null || normal == null) { anomalies[p] = null; continue; }
+      const diff = value - normal;
+      const pct = Math.abs(normal) > 1e-6 ? (diff / Math.abs(normal)) * 100 : null;
+      const a = { value: round(value, 3), normal: round(normal, 3), diff: round(diff, 3), pct: round(pct, 1) };
+      a.notable = cfg ? cfg.notable(a) : false;
+      a.text = cfg ? describeAnomaly(p, mo.month, a) : null;
+      anomalies[p] = a;
+    }
+    return { ...mo, values: Object.fromEntries(Object.entries(mo.values).map(([k, v]) => [k, round(v, 3)])), anomalies };
+  });
+
+  const latest = [...months].reverse().find(m => m.complete) || months[months.length - 1];
+  const notes = [];
+  if (latest) for (const p of params) if (latest.anomalies[p]?.text) notes.push({ month: latest.month, complete: latest.complete, param: p, ...latest.anomalies[p] });
+  for (const m of [...months].reverse()) {
+    if (m === latest) continue;
+    for (const p of params) {
+      const a = m.anomalies[p];
+      if (a?.notable && notes.length < maxNotes) notes.push({ month: m.month, complete: m.complete, param: p, ...a });
+    }
+  }
+  return { months, latest_month: latest?.month ?? null, notes };
+}
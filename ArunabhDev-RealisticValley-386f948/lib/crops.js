@@ -0,0 +1,141 @@
+// lib/crops.js — crop catalog + deterministic, rule-based recommender
+//
+// Each crop lists trapezoid suitability ranges [min, optLow, optHigh, max] for
+// the four POWER metrics we summarize. Inside [optLow, optHigh] a factor scores
+// 1, it falls linearly to 0 at min/max. The sorghum/rice/corn/turnip optima
+// follow the Unity PlantGrowthModel table (T_opt, H_opt, water requirement).
+import fs from "fs";
+
+export const FACTORS = {
+  temperature: { key: "t2m_avg",         unit: "°C" },
+  humidity:    { key: "rh2m_avg",        unit: "%" },
+  rainfall:    { key: "precip_mm_day",   unit: "mm/day" },
+  solar:       { key: "solar_mj_m2_day", unit: "MJ/m²/day" },
+};
+
+const DEFAULT_WEIGHTS = { temperature: 0.35, rainfall: 0.3, humidity: 0.15, solar: 0.2 };
+
+// `growth` feeds the season simulator (lib/growthModel.js): radiation-use
+// efficiency (g/MJ), temperature/humidity optima, ideal N:P:K ratio, minimum
+// N/P/K, daily water requirement (mm) and harvest index. `thermal` feeds
+// lib/agroIndices.js: GDD base and cap temperatures and the daily Tmax (°C)
+// counted as a heat-stress day. `season_days` (sowing to harvest) and `kc`
+// (mid-season FAO-56 crop coefficient) feed the advisor in lib/advisor.js.
+export const DEFAULT_CATALOG = [
+  { name: "sorghum", temperature: [15, 25, 38, 44],   humidity: [5, 15, 45, 80],   rainfall: [0.4, 1.0, 4, 8],   solar: [14, 18, 30, 35],
+    growth: { rue: 1.9, t_opt: 35.5, h_opt: 25, ideal_npk: [3, 1.7, 4.5], min_npk: [30, 17, 45], water_requirement: 3, harvest_index: 0.4 },
+    thermal: { t_base: 10, t_cap: 38, heat: 38 }, season_days: 120, kc: 1.0 },
+  { name: "rice",    temperature: [15, 24, 33, 38],   humidity: [35, 50, 85, 100], rainfall: [2, 4, 12, 25],     solar: [10, 15, 25, 32],
+    growth: { rue: 3.0, t_opt: 30, h_opt: 55, ideal_npk: [4, 2, 5], min_npk: [36, 17, 45], water_requirement: 10, harvest_index: 0.45 },
+    thermal: { t_base: 10, t_cap: 35, heat: 35 }, season_days: 130, kc: 1.2 },
+  { name: "corn",    temperature: [10, 20, 31, 38],   humidity: [35, 55, 85, 98],  rainfall: [1, 2, 6, 12],      solar: [12, 16, 28, 35],
+    growth: { rue: 3.8, t_opt: 27.5, h_opt: 74, ideal_npk: [5, 1, 1], min_npk: [40, 8, 8], water_requirement: 6, harvest_index: 0.5 },
+    thermal: { t_base: 10, t_cap: 30, heat: 35 }, season_days: 125, kc: 1.2 },
+  { name: "turnip",  temperature: [0, 8, 18, 26],     humidity: [40, 60, 85, 100], rainfall: [1, 1.5, 4, 8],     solar: [5, 8, 18, 25],
+    growth: { rue: 1.6, t_opt: 12, h_opt: 70, ideal_npk: [1, 2, 2], min_npk: [24, 48, 48], water_requirement: 4, harvest_index: 0.6 },
+    thermal: { t_base: 4, t_cap: 25, heat: 28 }, season_days: 70, kc: 1.1 },
+  { name: "wheat",   temperature: [3, 12, 22, 32],    humidity: [30, 45, 70, 90],  rainfall: [0.8, 1.2, 3.5, 7], solar: [8, 12, 22, 30],
+    growth: { rue: 2.8, t_opt: 20, h_opt: 60, ideal_npk: [4, 2, 2], min_npk: [30, 15, 20], water_requirement: 4.5, harvest_index: 0.45 },
+    thermal: { t_base: 0, t_cap: 26, heat: 32 }, season_days: 140, kc: 1.15 },
+  { name: "potato",  temperature: [5, 14, 22, 30],    humidity: [50, 65, 85, 100], rainfall: [1, 2, 5, 10],      solar: [8, 12, 22, 28],
+    growth: { rue: 2.5, t_opt: 18, h_opt: 75, ideal_npk: [3, 1, 4], min_npk: [25, 15, 40], water_requirement: 5, harvest_index: 0.75 },
+    thermal: { t_base: 7, t_cap: 29, heat: 30 }, season_days: 120, kc: 1.15 },
+  { name: "soybean", temperature: [10, 20, 30, 38],   humidity: [40, 55, 80, 95],  rainfall: [1, 1.5, 5, 10],    solar: [12, 15, 26, 33],
+    growth: { rue: 2.0, t_opt: 27, h_opt: 65, ideal_npk: [1, 2, 3], min_npk: [10, 15, 30], water_requirement: 5, harvest_index: 0.4 },
+    thermal: { t_base: 10, t_cap: 30, heat: 35 }, season_days: 120, kc: 1.15 },
+  { name: "cassava", temperature: [16, 25, 32, 40],   humidity: [40, 60, 90, 100], rainfall: [1.5, 3, 6, 12],    solar: [12, 15, 25, 32],
+    growth: { rue: 2.2, t_opt: 28, h_opt: 70, ideal_npk: [2, 1, 4], min_npk: [20, 10, 35], water_requirement: 5, harvest_index: 0.6 },
+    thermal: { t_base: 12, t_cap: 35, heat: 38 }, season_days: 270, kc: 0.8 },
+  { name: "millet",  temperature: [18, 25, 35, 42],   humidity: [5, 20, 55, 85],   rainfall: [0.4, 1, 3, 7],     solar: [14, 18, 30, 35],
+    growth: { rue: 1.9, t_opt: 32, h_opt: 35, ideal_npk: [3, 1.5, 2], min_npk: [25, 12, 20], water_requirement: 3.5, harvest_index: 0.35 },
+    thermal: { t_base: 10, t_cap: 38, heat: 40 }, season_days: 100, kc: 1.0 },
+  { name: "barley",  temperature: [0, 10, 20, 30],    humidity: [30, 45, 75, 95],  rainfall: [0.6, 1, 3, 6],     solar: [8, 11, 22, 30],
+    growth: { rue: 2.6, t_opt: 18, h_opt: 60, ideal_npk: [4, 2, 2], min_npk: [25, 12, 18], water_requirement: 4, harvest_index: 0.45 },
+    thermal: { t_base: 0, t_cap: 26, heat: 30 }, season_days: 120, kc: 1.15 },
+];
+
+// Reject catalog entries we can't score instead of silently mis-ranking them
+function validateEntry(c, i) {
+  if (!c || typeof c.name !== "string" || !c.name.trim()) throw new Error(`crop #${i}: missing name`);
+  for (const f of Object.keys(FACTORS)) {
+    const r = c[f];
+    if (r == null) continue; // factor not constrained for this crop
+    if (!Array.isArray(r) || r.length !== 4 || !r.every(Number.isFinite) || r.some((v, j) => j && v < r[j - 1])) {
+      throw new Error(`crop "${c.name}": ${f} must be [min, optLow, optHigh, max] ascending`);
+    }
+  }
+  const t = c.thermal;
+  if (t != null && !["t_base", "t_cap", "heat"].every(k => t[k] == null || Number.isFinite(t[k]))) {
+    throw new Error(`crop "${c.name}": thermal t_base/t_cap/heat must be numbers`);
+  }
+  if (c.season_days != null && !(Number.isInteger(c.season_days) && c.season_days >= 30 && c.season_days <= 400)) {
+    throw new Error(`crop "${c.name}": season_days must be an integer between 30 and 400`);
+  }
+  if (c.kc != null && !(Number.isFinite(c.kc) && c.kc > 0 && c.kc <= 2)) throw new Error(`crop "${c.name}": kc must be in (0, 2]`);
+  return { ...c, name: c.name.trim().toLowerCase() };
+}
+
+// Catalog from a JSON file (array of entries) or the built-in default
+export function loadCropCatalog(file = process.env.CROP_CATALOG) {
+  if (!file) return DEFAULT_CATALOG;
+  const list = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(list) || !list.length) throw new Error(`${file}: expected a non-empty array of crops`);
+  return list.map(validateEntry);
+}
+
+// Trapezoid membership: 0 … 1
+export function suitability(value, [min, optLo, optHi, max]) {
+  if (!Number.isFinite(value)) return null;
+  if (value < min || value > max) return 0;
+  if (value < optLo) return optLo === min ? 1 : (value - min) / (optLo - min);
+  if (value > optHi) return optHi === max ? 1 : (max - value) / (max - optHi);
+  return 1;
+}
+
+/**
+ * Score one crop against a POWER summary ({ t2m_avg, rh2m_avg, precip_mm_day, solar_mj_m2_day }).
+ * The overall score is a weighted geometric mean, so a single unsuitable factor
+ * (score 0) rules the crop out no matter how good the others are.
+ */
+export function scoreCrop(crop, summary) {
+  const weights = { ...DEFAULT_WEIGHTS, ...(crop.weights || {}) };
+  const factors = {};
+  let logSum = 0, wSum = 0;
+  for (const [f, { key }] of Object.entries(FACTORS)) {
+    if (!crop[f]) continue;
+    const s = suitability(Number(summary?.[key]), crop[f]);
+    if (s == null) continue;
+    factors[f] = +s.toFixed(3);
+    logSum += weights[f] * Math.log(Math.max(s, 1e-6));
+    wSum += weights[f];
+  }
+  const score = wSum ? Math.exp(logSum / wSum) : 0;
+  return { crop: crop.name, score: +(score < 1e-3 ? 0 : score).toFixed(3), factors };
+}
+
+// Ranked list, best first (ties broken by name for determinism)
+export function recommendCrops(summary, { catalog = DEFAULT_CATALOG, limit = catalog.length } = {}) {
+  return catalog
+    .map(c => scoreCrop(c, summary))
+    .sort((a, b) => b.score - a.score || a.crop.localeCompare(b.crop))
+    .slice(0, limit);
+}
+
+/** Crop to recommend from a ranking: the best one, or null when none scores above 0. */
+export function topCrop(ranked) {
+  return ranked[0]?.score > 0 ? ranked[0].crop : null;
+}
+
+// One-line explanation of a ranking, used when no LLM is involved
+export function explainRanking(ranked) {
+  const [best, next] = ranked;
+  if (!best) return "No crops in catalog.";
+  if (!topCrop(ranked)) {
+    const out = Object.entries(best.factors).filter(([, s]) => s === 0).map(([f]) => f);
+    return `Rule-based: no suitable crop; every crop has a factor outside its range (e.g. ${best.crop}: ${out.join(", ") || "no data"}).`;
+  }
+  const weak = Object.entries(best.factors).filter(([, s]) => s < 1).map(([f, s]) => `${f} ${s.toFixed(2)}`);
+  return `Rule-based: ${best.crop} scores ${best.score.toFixed(2)}` +
+    (weak.length ? ` (limited by ${weak.join(", ")})` : " (all factors in optimal range)") +
+    (next ? `; runner-up ${next.crop} ${next.score.toFixed(2)}.` : ".");
+}
@@ -0,0 +1,55 @@
+// lib/eventStream.js — one handler answering JSON or Server-Sent Events
+//
+// A long route (an analysis) runs once; the Accept header decides whether the
+// client gets the final JSON body or a text/event-stream of progress events
+// ending in `result` (or `error`). Closing the connection aborts the run in
+// both cases.
+
+export const SSE_PING_MS = 15000;
+
+// text/event-stream writer; comments every `pingMs` keep proxies from closing
+// a quiet stream while POWER is slow
+export function openEventStream(res, { pingMs = SSE_PING_MS } = {}) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no", // nginx: don't buffer the stream
+  });
+  let id = 0;
+  const ping = setInterval(() => res.write(": ping\n\n"), pingMs);
+  res.on("close", () => clearInterval(ping));
+  return {
+    send(event, data) {
+      if (!res.writableEnded) res.write(`id: ${++id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() { clearInterval(ping); res.end(); },
+  };
+}
+
+/**
+ * Run `run({ signal, progress })` for the request and answer with its result:
+ * JSON, or with "Accept: text/event-stream" every `progress(event, data)`
+ * followed by `result`. A throw answers 500 JSON or an `error` event, both
+ * { error: failure, details }; a client that hangs up aborts `signal` and
+ * gets nothing more.
+ */
+export async function respondWithProgress(req, res, run, { log, failure = "Request failed" }) {
+  const ctrl = new AbortController();
+  res.on("close", () => { if (!res.writableFinished) ctrl.abort(); });
+  const stream = req.accepts(["json", "text/event-stream"]) === "text/event-stream" ? openEventStream(res) : null;
+
+  try {
+    const data = await run({ signal: ctrl.signal, progress: stream ? stream.send : undefined });
+    if (!stream) return res.json(data);
+    stream.send("result", data);
+    stream.end();
+  } catch (e) {
+    if (ctrl.signal.aborted) return log.info("request cancelled by client");
+    log.error("handler failed", { err: e });
+    const error = { error: failure, details: String(e?.message || e) };
+    if (!stream) return res.status(500).json(error);
+    stream.send("error", error);
+    stream.end();
+  }
+}
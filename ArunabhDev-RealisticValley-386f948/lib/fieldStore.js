@@ -0,0 +1,151 @@
+// lib/fieldStore.js — saved fields (named polygons + their latest results)
+//
+// One JSON file holds every field. It is read once, kept in memory and
+// rewritten after each change (write-then-rename, one write at a time), which
+// is plenty for the few hundred plots a team tracks. A change whose write
+// fails is undone in memory too, so a 500 never leaves it listed.
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { geometryProblems } from "./geo.js";
+import { log as rootLog } from "./logger.js";
+
+const log = rootLog.child({ component: "fields" });
+
+const NAME_MAX = 120;
+const NOTES_MAX = 5000;
+
+// Summary row for listings: everything except the bulky series rows
+function summarize(f) {
+  const { series, ...rest } = f;
+  return {
+    ...rest,
+    analysis: f.analysis ? { at: f.analysis.at, crop: f.analysis.result?.crop ?? null } : null,
+    series: series ? { at: series.at, start: series.start, end: series.end, days: series.rows?.length ?? 0 } : null,
+  };
+}
+
+/**
+ * Problem with a create/update body, or null when it's fine.
+ * With `partial` only the fields present are checked.
+ */
+export function fieldInputError(body, { partial = false } = {}) {
+  if (!body || typeof body !== "object") return "Expected a JSON object";
+  if (!partial || "name" in body) {
+    if (typeof body.name !== "string" || !body.name.trim()) return "name is required";
+    if (body.name.trim().length > NAME_MAX) return `name must be at most ${NAME_MAX} characters`;
+  }
+  if ("notes" in body && body.notes != null && (typeof body.notes !== "string" || body.notes.length > NOTES_MAX)) {
+    return `notes must be a string of at most ${NOTES_MAX} characters`;
+  }
+  // Same shapes /analyze-polygon takes: Polygon or MultiPolygon (e.g. split at ±180°)
+  if (!partial || "geometry" in body) {
+    if (body.geometry?.type !== "Feature") return "geometry must be a GeoJSON Feature (Polygon or MultiPolygon)";
+    const [problem] = geometryProblems(body.geometry.geometry, { path: "geometry.geometry" });
+    if (problem) return problem;
+  }
+  if ("series" in body && body.series != null && !Array.isArray(body.series?.rows)) return "series.rows must be an array";
+  return null;
+}
+
+export function createFieldStore({
+  file = process.env.FIELDS_FILE || path.join(process.cwd(), "data", "fields.json"),
+} = {}) {
+  let fields = null;          // id → field, loaded on first use
+  let writing = Promise.resolve();
+
+  async function load() {
+    if (fields) return fields;
+    try {
+      const list = JSON.parse(await fs.readFile(file, "utf8"));
+      fields = new Map((Array.isArray(list) ? list : []).map(f => [f.id, f]));
+    } catch (e) {
+      if (e?.code !== "ENOENT") log.warn("read error", { file, err: e });
+      fields = new Map();
+    }
+    return fields;
+  }
+
+  // Queue a full rewrite; callers await their own write
+  function persist() {
+    const snapshot = JSON.stringify([...fields.values()], null, 1);
+    writing = writing.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, snapshot);
+      await fs.rename(tmp, file);
+    });
+    return writing;
+  }
+
+  async function persistOrUndo(undo) {
+    try {
+      await persist();
+    } catch (e) {
+      undo();
+      throw e;
+    }
+  }
+
+  // Only known keys are stored; analysis/series get a timestamp
+  function apply(target, body, now) {
+    if ("name" in body) target.name = body.name.trim();
+    if ("notes" in body) target.notes = body.notes ?? "";
+    if ("geometry" in body) target.geometry = body.geometry;
+    if ("area_km2" in body) target.area_km2 = Number.isFinite(body.area_km2) ? body.area_km2 : null;
+    if ("centroid" in body) {
+      const c = body.centroid;
+      target.centroid = Number.isFinite(c?.lat) && Number.isFinite(c?.lon) ? { lat: c.lat, lon: c.lon } : null;
+    }
+    if ("analysis" in body) target.analysis = body.analysis == null ? null : { at: now, result: body.analysis };
+    if ("series" in body) {
+      const s = body.series;
+      target.series = s == null ? null : { at: now, start: s.start ?? null, end: s.end ?? null, rows: s.rows, quality: s.quality ?? null };
+    }
+    target.updated_at = now;
+    return target;
+  }
+
+  async function list() {
+    const all = [...(await load()).values()];
+    // Hand-edited or older entries may lack timestamps; they sort last
+    const at = (f) => String(f.updated_at || f.created_at || "");
+    return all.sort((a, b) => at(b).localeCompare(at(a))).map(summarize);
+  }
+
+  async function get(id) {
+    return (await load()).get(id) ?? null;
+  }
+
+  async function create(body) {
+    await load();
+    const now = new Date().toISOString();
+    const field = apply({
+      id: crypto.randomUUID(), name: "", notes: "", geometry: null, area_km2: null, centroid: null,
+      analysis: null, series: null, created_at: now,
+    }, body, now);
+    fields.set(field.id, field);
+    await persistOrUndo(() => fields.delete(field.id));
+    return field;
+  }
+
+  // Changes go to a copy, so the stored field is untouched until it's written
+  async function update(id, body) {
+    const field = (await load()).get(id);
+    if (!field) return null;
+    const next = apply({ ...field }, body, new Date().toISOString());
+    fields.set(id, next);
+    await persistOrUndo(() => fields.set(id, field));
+    return next;
+  }
+
+  async function remove(id) {
+    const field = (await load()).get(id);
+    if (!field) return false;
+    fields.delete(id);
+    await persistOrUndo(() => fields.set(id, field));
+    return true;
+  }
+
+  return { list, get, create, update, remove, summarize };
+}
@@ -0,0 +1,224 @@
+// lib/geo.js — polygon ↔ NASA POWER grid helpers
+//
+// POWER's meteorology comes from MERRA-2 on a 0.5° (lat) × 0.625° (lon) grid.
+// A field that straddles several cells should be summarized from all of them,
+// weighted by how much of the field falls in each cell.
+export const POWER_CELL_LAT = 0.5;
+export const POWER_CELL_LON = 0.625;
+const KM_PER_DEG = 111.32;
+
+// Center of the POWER cell containing (lat, lon)
+export function powerCellCenter(lat, lon) {
+  const clat = Math.round(lat / POWER_CELL_LAT) * POWER_CELL_LAT;
+  const clon = -180 + Math.round((lon + 180) / POWER_CELL_LON) * POWER_CELL_LON;
+  return { lat: +clat.toFixed(4), lon: +clon.toFixed(4) };
+}
+
+// Shoelace area of a [lon, lat] ring in degrees² (unsigned)
+function ringAreaDeg(ring) {
+  let a = 0;
+  for (let i = 0, n = ring.length; i < n; i++) {
+    const [x1, y1] = ring[i], [x2, y2] = ring[(i + 1) % n];
+    a += x1 * y2 - x2 * y1;
+  }
+  return Math.abs(a) / 2;
+}
+
+// Sutherland–Hodgman clip of a ring against an axis-aligned box.
+// Works for concave subjects too: degenerate edges can appear but the area is exact.
+function clipRingToBox(ring, { west, south, east, north }) {
+  const edges = [
+    [p => p[0] >= west,  (a, b) => { const t = (west - a[0]) / (b[0] - a[0]); return [west, a[1] + t * (b[1] - a[1])]; }],
+    [p => p[0] <= east,  (a, b) => { const t = (east - a[0]) / (b[0] - a[0]); return [east, a[1] + t * (b[1] - a[1])]; }],
+    [p => p[1] >= south, (a, b) => { const t = (south - a[1]) / (b[1] - a[1]); return [a[0] + t * (b[0] - a[0]), south]; }],
+    [p => p[1] <= north, (a, b) => { const t = (north - a[1]) / (b[1] - a[1]); return [a[0] + t * (b[0] - a[0]), north]; }],
+  ];
+  let out = ring;
+  for (const [inside, cross] of edges) {
+    if (!out.length) break;
+    const input = out;
+    out = [];
+    for (let i = 0; i < input.length; i++) {
+      const cur = input[i], prev = input[(i + input.length - 1) % input.length];
+      if (inside(cur)) {
+        if (!inside(prev)) out.push(cross(prev, cur));
+        out.push(cur);
+      } else if (inside(prev)) {
+        out.push(cross(prev, cur));
+      }
+    }
+  }
+  return out;
+}
+
+// Clean a GeoJSON linear ring: numeric [lon, lat] pairs, closing point dropped
+function cleanRing(ring) {
+  const pts = (ring || [])
+    .map(c => [Number(c?.[0]), Number(c?.[1])])
+    .filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y));
+  if (pts.length > 1) {
+    const [a, b] = [pts[0], pts[pts.length - 1]];
+    if (a[0] === b[0] && a[1] === b[1]) pts.pop();
+  }
+  return pts;
+}
+
+export function polygonRings(geometry) {
+  return (geometry?.coordinates || []).map(cleanRing).filter(r => r.length >= 3);
+}
+
+// Polygon geometries of a Polygon or MultiPolygon (anything else → [])
+export function polygonParts(geometry) {
+  if (geometry?.type === "Polygon") return [geometry];
+  if (geometry?.type === "MultiPolygon") {
+    return (geometry.coordinates || []).map(coordinates => ({ type: "Polygon", coordinates }));
+  }
+  return [];
+}
+
+export function ringBounds(ring) {
+  const xs = ring.map(p => p[0]), ys = ring.map(p => p[1]);
+  return { west: Math.min(...xs), east: Math.max(...xs), south: Math.min(...ys), north: Math.max(...ys) };
+}
+
+// Area centroid of the outer ring as { lat, lon } (vertex mean if degenerate);
+// a MultiPolygon uses its largest part
+export function polygonCentroid(geometry) {
+  if (geometry?.type === "MultiPolygon") {
+    const parts = polygonParts(geometry);
+    const largest = parts.reduce((a, b) => (a && polygonAreaKm2(a) >= polygonAreaKm2(b) ? a : b), null);
+    return largest ? polygonCentroid(largest) : null;
+  }
+  const [ring] = polygonRings(geometry);
+  if (!ring) return null;
+  let a = 0, cx = 0, cy = 0;
+  for (let i = 0, n = ring.length; i < n; i++) {
+    const [x1, y1] = ring[i], [x2, y2] = ring[(i + 1) % n];
+    const f = x1 * y2 - x2 * y1;
+    a += f; cx += (x1 + x2) * f; cy += (y1 + y2) * f;
+  }
+  if (Math.abs(a) < 1e-12) {
+    return { lon: ring.reduce((s, p) => s + p[0], 0) / ring.length, lat: ring.reduce((s, p) => s + p[1], 0) / ring.length };
+  }
+  return { lon: cx / (3 * a), lat: cy / (3 * a) };
+}
+
+// Approximate km² of a [lon, lat] ring (equirectangular at its mean latitude)
+export function ringAreaKm2(ring) {
+  if (ring.length < 3) return 0;
+  const lat = ring.reduce((s, p) => s + p[1], 0) / ring.length;
+  return ringAreaDeg(ring) * KM_PER_DEG * KM_PER_DEG * Math.cos(lat * Math.PI / 180);
+}
+
+// Area of a GeoJSON Polygon geometry in km² (outer ring minus holes), summed over MultiPolygon parts
+export function polygonAreaKm2(geometry) {
+  if (geometry?.type === "MultiPolygon") return polygonParts(geometry).reduce((s, g) => s + polygonAreaKm2(g), 0);
+  const [outer, ...holes] = polygonRings(geometry);
+  if (!outer) return 0;
+  return Math.max(0, ringAreaKm2(outer) - holes.reduce((s, h) => s + ringAreaKm2(h), 0));
+}
+
+/**
+ * What's wrong with a Polygon/MultiPolygon geometry, as "path: problem"
+ * strings (empty when fine): positions must be [lon, lat] in range, rings
+ * closed with at least 4 positions, and the whole shape within `maxVertices`,
+ * `maxParts` and `maxAreaKm2`. Edges may not jump more than 180° of longitude:
+ * a ring crossing the antimeridian must be split there (RFC 7946 §3.1.9),
+ * otherwise its bounds would span the whole globe.
+ */
+export function geometryProblems(geometry, { maxVertices = Infinity, maxParts = Infinity, maxAreaKm2 = Infinity, path = "geometry" } = {}) {
+  if (!geometry || typeof geometry !== "object") return [`${path}: is required`];
+  if (!["Polygon", "MultiPolygon"].includes(geometry.type)) return [`${path}.type: must be Polygon or MultiPolygon`];
+  if (!Array.isArray(geometry.coordinates)) return [`${path}.coordinates: must be an array`];
+
+  const problems = [];
+  const polys = geometry.type === "Polygon" ? [[geometry.coordinates, `${path}.coordinates`]]
+    : geometry.coordinates.map((c, i) => [c, `${path}.coordinates[${i}]`]);
+  if (polys.length > maxParts) problems.push(`${path}: at most ${maxParts} polygons (got ${polys.length})`);
+  if (!polys.length) problems.push(`${path}.coordinates: has no polygons`);
+
+  let vertices = 0;
+  for (const [rings, at] of polys) {
+    if (!Array.isArray(rings) || !rings.length) { problems.push(`${at}: needs an outer ring`); continue; }
+    rings.forEach((ring, r) => {
+      const rp = `${at}[${r}]`;
+      if (!Array.isArray(ring) || ring.length < 4) { problems.push(`${rp}: a ring needs at least 4 positions`); return; }
+      vertices += ring.length;
+      const bad = ring.findIndex(p => !Array.isArray(p) || !Number.isFinite(p[0]) || !Number.isFinite(p[1]) ||
+        Math.abs(p[0]) > 180 || Math.abs(p[1]) > 90);
+      if (bad >= 0) { problems.push(`${rp}[${bad}]: must be [lon, lat] with lon in −180…180 and lat in −90…90`); return; }
+      const [a, z] = [ring[0], ring[ring.length - 1]];
+      if (a[0] !== z[0] || a[1] !== z[1]) problems.push(`${rp}: ring is not closed (last position must equal the first)`);
+      const jump = ring.findIndex((p, i) => i > 0 && Math.abs(p[0] - ring[i - 1][0]) > 180);
+      if (jump > 0) {
+        problems.push(`${rp}[${jump}]: edge crosses the antimeridian (lon ${ring[jump - 1][0]} → ${ring[jump][0]}); split the polygon at ±180° into a MultiPolygon`);
+      }
+    });
+  }
+  if (vertices > maxVertices) problems.push(`${path}: at most ${maxVertices} vertices (got ${vertices})`);
+  if (!problems.length && Number.isFinite(maxAreaKm2)) {
+    const area = polygonAreaKm2(geometry);
+    if (area > maxAreaKm2) problems.push(`${path}: area ${area.toFixed(0)} km² is over the ${maxAreaKm2} km² limit`);
+  }
+  return problems.slice(0, 10);
+}
+
+// Cells one Polygon overlaps: [{ lat, lon, bounds, area_km2 }], unsorted
+function cellsForPart(geometry) {
+  const [outer, ...holes] = polygonRings(geometry);
+  if (!outer) return [];
+
+  const b = ringBounds(outer);
+  const sw = powerCellCenter(b.south, b.west);
+  const ne = powerCellCenter(b.north, b.east);
+
+  const cells = [];
+  for (let lat = sw.lat; lat <= ne.lat + 1e-9; lat += POWER_CELL_LAT) {
+    for (let lon = sw.lon; lon <= ne.lon + 1e-9; lon += POWER_CELL_LON) {
+      const box = {
+        west: lon - POWER_CELL_LON / 2, east: lon + POWER_CELL_LON / 2,
+        south: lat - POWER_CELL_LAT / 2, north: lat + POWER_CELL_LAT / 2,
+      };
+      const inCell = (r) => ringAreaKm2(clipRingToBox(r, box));
+      const area = inCell(outer) - holes.reduce((s, h) => s + inCell(h), 0);
+      if (area > 1e-9) {
+        cells.push({ lat: +lat.toFixed(4), lon: +lon.toFixed(4), bounds: box, area_km2: area });
+      }
+    }
+  }
+
+  // Degenerate polygon (zero area): fall back to the cell under its first vertex
+  if (!cells.length) {
+    const c = powerCellCenter(outer[0][1], outer[0][0]);
+    cells.push({ ...c, bounds: null, area_km2: 0 });
+  }
+  return cells;
+}
+
+/**
+ * POWER cells overlapped by a GeoJSON Polygon or MultiPolygon geometry.
+ * Returns [{ lat, lon, bounds, area_km2, weight }] sorted by weight (desc);
+ * weights sum to 1. When more than `maxCells` overlap, the smallest overlaps
+ * are dropped and the rest renormalized (`truncated` tells the caller).
+ */
+export function powerCellsForPolygon(geometry, { maxCells = 16 } = {}) {
+  // Parts sharing a cell add up their overlap
+  const byCell = new Map();
+  for (const part of polygonParts(geometry)) {
+    for (const c of cellsForPart(part)) {
+      const key = `${c.lat},${c.lon}`;
+      const seen = byCell.get(key);
+      if (seen) seen.area_km2 += c.area_km2;
+      else byCell.set(key, c);
+    }
+  }
+  const cells = [...byCell.values()];
+  if (!cells.length) return { cells: [], truncated: false, total_cells: 0 };
+
+  cells.sort((x, y) => y.area_km2 - x.area_km2);
+  const total_cells = cells.length;
+  const kept = cells.slice(0, Math.max(1, maxCells));
+  const sum = kept.reduce((s, c) => s + c.area_km2, 0);
+  for (const c of kept) c.weight = sum > 0 ? c.area_km2 / sum : 1 / kept.length;
+  return { cells: kept, truncated: kept.length < total_cells, total_cells };
+}
@@ -0,0 +1,172 @@
+// lib/growthModel.js — season-long crop growth (port of the Unity PlantScript /
+// PlantGrowthModel RUE model)
+//
+// Each day: LAI from biomass, RUE adjusted by water, nutrient, temperature and
+// humidity factors, IPAR = PAR·(1 − e^(−k·LAI)), biomass += RUE·IPAR. Water
+// shortage and drought cost crop quality; heavy rain washes nutrients away.
+// Weather rows are the cleaned POWER daily rows from the server.
+
+// Unity "fallback" crop (used when a catalog entry has no growth block)
+export const FALLBACK_GROWTH = {
+  rue: 3.0, t_opt: 25, h_opt: 60, ideal_npk: [2, 1, 1], min_npk: [20, 10.5, 10.5], water_requirement: 5, harvest_index: 0.45,
+};
+
+// Game constants (PlantScript.simulation_init)
+const K = 0.5;
+const NUTRIENT_USAGE = 0.25;
+const NO_WATER_PENALTY = 0.02;
+const NO_NUTRIENT_PENALTY = 0.03;
+const T_RANGE = 15;
+const H_RANGE = 20;
+const PAR_FRACTION = 0.48;   // PAR share of all-sky shortwave
+const RUNOFF_RAIN_MM = 20;   // Rainfactor upper bound in FINDRUE
+
+// Biomass (g/m²) thresholds for stages 1…6 (0 → VE, 6 → harvest)
+const STAGE_THRESHOLDS = [50, 150, 400, 800, 1200, 2000];
+export const STAGE_NAMES = ["VE", "V-early", "V-late", "flowering", "grain fill", "maturing", "harvest"];
+
+const sum = (a) => a.reduce((s, v) => s + v, 0);
+
+function findLAI(biomass) {
+  const LAI_start = 0.5, LAI_max = 7.0, scaling = 0.005;
+  const lai = LAI_start + (LAI_max - LAI_start) * (Math.log(1 + scaling * biomass) / Math.log(1 + scaling * 1500));
+  return Math.min(lai, LAI_max);
+}
+
+function stageOf(biomass) {
+  const i = STAGE_THRESHOLDS.findIndex(t => biomass < t);
+  return i < 0 ? 6 : i;
+}
+
+/**
+ * Run one season.
+ * @param {object}   o
+ * @param {object}   o.growth        crop growth block (see lib/crops.js)
+ * @param {object[]} o.weather       [{ date, T2M, RH2M, PRECTOTCORR, ALLSKY_SFC_SW_DWN, flags }]
+ * @param {number}   [o.irrigation]  mm/day applied every day
+ * @param {number[]} [o.npk]         starting soil N, P, K
+ * @param {boolean}  [o.monocrop]    monocropping lowers nutrient retention
+ * @param {boolean}  [o.stopAtHarvest] stop once stage 6 is reached
+ */
+export function simulateSeason({ growth = FALLBACK_GROWTH, weather, irrigation = 4, npk = [200, 40, 30], monocrop = false, stopAtHarvest = true }) {
+  const g = { ...FALLBACK_GROWTH, ...growth };
+  const nutrients = [...npk].map(Number);
+  const retention = monocrop ? 90 - 25 : 90;
+  let biomass = 0, quality = 1, totalRunoff = 0, harvestDay = null;
+  let last = null;
+
+  // nutrient_scores(): under the minimum costs quality and scales the factor down
+  const nutrientScore = (value, low, high) => {
+    if (value < low) { quality -= NO_NUTRIENT_PENALTY / 3; return Math.max(0, value / low); }
+    if (value > high) return Math.max(0, high / value);
+    return 1;
+  };
+
+  const findRUE = (rain, temp, hum) => {
+    // as in the game, these only dock quality; the ratio check below sets the factor
+    nutrientScore(nutrients[0], g.min_npk[0], 1000);
+    nutrientScore(nutrients[1], g.min_npk[1], 1000);
+    nutrientScore(nutrients[2], g.min_npk[2], 1000);
+    nutrientScore(rain + irrigation, 2, 20); // irrigation counts as rain here
+
+    const water = Math.min((rain + irrigation) / g.water_requirement, 1);
+    const waterFactor = water >= 0.5 ? 1 : Math.exp(-5 * (0.5 - water));
+
+    let nutrientFactor = 0;
+    const total = sum(nutrients);
+    if (total > 0) {
+      const idealSum = sum(g.ideal_npk);
+      const diff = sum(g.ideal_npk.map((x, i) => Math.abs(x / idealSum - nutrients[i] / total)));
+      nutrientFactor = Math.max(0.4, 1 - diff);
+    }
+
+    const tempFactor = Math.exp(-Math.pow((temp - g.t_opt) / T_RANGE, 2));
+    const humFactor  = Math.exp(-Math.pow((hum - g.h_opt) / H_RANGE, 2));
+    return { rue: g.rue * waterFactor * nutrientFactor * tempFactor * humFactor, waterFactor, nutrientFactor, tempFactor, humFactor };
+  };
+
+  const daily = [];
+  for (const row of weather) {
+    // carry the previous day over gaps POWER couldn't fill
+    const pick = (k) => (row[k] != null ? Number(row[k]) : last?.[k] ?? null);
+    const temp = pick("T2M"), hum = pick("RH2M"), rain = pick("PRECTOTCORR"), solar = pick("ALLSKY_SFC_SW_DWN");
+    if ([temp, hum, rain, solar].some(v => v == null)) continue;
+    last = { T2M: temp, RH2M: hum, PRECTOTCORR: rain, ALLSKY_SFC_SW_DWN: solar };
+
+    const par = solar * PAR_FRACTION;
+    const water = rain + irrigation;
+    const hasWater = water >= 0.5 * g.water_requirement;
+    const drought = water < 0.25 * g.water_requirement;
+    const runoff = rain >= RUNOFF_RAIN_MM;
+
+    const lai = findLAI(biomass);
+    const f = findRUE(rain, temp, hum);
+    const ipar = par * (1 - Math.exp(-K * lai));
+    const gain = f.rue * ipar;
+
+    if (!hasWater) quality -= NO_WATER_PENALTY;
+    if (drought) quality -= 4 * NO_WATER_PENALTY;
+    quality = Math.max(0, quality);
+
+    let lost = 0;
+    if (runoff) {
+      const loss = (100 - retention) / 100;
+      nutrients.forEach((n, i) => { const l = n * loss; lost += l; nutrients[i] = n - l; });
+      totalRunoff += lost;
+    }
+
+    let grew = 0;
+    if (hasWater && !drought && !runoff) {
+      grew = gain;
+      biomass += gain;
+      const use = NUTRIENT_USAGE * (1 + (100 - retention) / 1000);
+      nutrients.forEach((n, i) => { nutrients[i] = Math.max(0, n - use); });
+    }
+    const stage = stageOf(biomass);
+
+    daily.push({
+      date: row.date,
+      biomass_g_m2: +biomass.toFixed(2),
+      gain_g_m2: +grew.toFixed(3),
+      lai: +lai.toFixed(3),
+      rue: +f.rue.toFixed(3),
+      ipar: +ipar.toFixed(3),
+      stage,
+      stage_name: STAGE_NAMES[stage],
+      water_mm: +water.toFixed(2),
+      runoff_loss: +lost.toFixed(3),
+      quality: +quality.toFixed(3),
+      events: { has_water: hasWater, drought, runoff },
+      factors: {
+        water: +f.waterFactor.toFixed(3), nutrient: +f.nutrientFactor.toFixed(3),
+        temperature: +f.tempFactor.toFixed(3), humidity: +f.humFactor.toFixed(3),
+      },
+      imputed: Object.keys(row.flags || {}).length > 0,
+    });
+
+    if (stage === 6 && harvestDay == null) {
+      harvestDay = daily.length;
+      if (stopAtHarvest) break;
+    }
+  }
+
+  const hi = g.harvest_index;
+  const yieldTHa = biomass * hi / 100; // g/m² → t/ha
+  return {
+    daily,
+    summary: {
+      days_simulated: daily.length,
+      final_biomass_g_m2: +biomass.toFixed(1),
+      final_stage: stageOf(biomass),
+      final_stage_name: STAGE_NAMES[stageOf(biomass)],
+      harvest_day: harvestDay,
+      crop_quality: +quality.toFixed(3),
+      total_runoff: +totalRunoff.toFixed(2),
+      nutrients_left: nutrients.map(n => +n.toFixed(2)),
+      harvest_index: hi,
+      yield_t_ha: +yieldTHa.toFixed(2),
+      marketable_yield_t_ha: +(yieldTHa * quality).toFixed(2),
+      imputed_days: daily.filter(d => d.imputed).length,
+    },
+  };
+}
@@ -0,0 +1,199 @@
+// lib/llmProvider.js — which model answers the AI calls, chosen by env
+//
+//   LLM_PROVIDER   openai | openai-compatible | local | fake | off
+//                  (default: openai when OPENAI_API_KEY is set, else off)
+//   LLM_MODEL      model name (openai: gpt-5-mini, local: llama3.1)
+//   LLM_BASE_URL   endpoint for openai-compatible (required) and local
+//                  (default http://localhost:11434, an Ollama server)
+//   LLM_API_KEY    key for openai / openai-compatible (falls back to OPENAI_API_KEY)
+//   LLM_FIXTURES   fake only: JSON file { "<call name>": reply | [reply, …] };
+//                  a list is replayed in order (last one repeats), strings are
+//                  returned verbatim so malformed replies can be scripted,
+//                  null hands that turn to the built-in responder
+//
+// A provider is { name, model, complete(messages, { signal, name }) → text,
+// probe({ signal }) } where probe throws when the model can't be reached.
+// The fake answers from fixtures first, then from built-in responders that
+// read the prompt, so /analyze-polygon runs end-to-end with no network.
+import fs from "fs";
+import OpenAI from "openai";
+
+const DEFAULT_MODELS = { openai: "gpt-5-mini", "openai-compatible": "gpt-4o-mini", local: "llama3.1", fake: "fixture" };
+
+// Responses API (api.openai.com)
+function openaiProvider({ apiKey, baseURL, model }) {
+  const client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+  return {
+    name: "openai", model,
+    async complete(messages, { signal } = {}) {
+      const resp = await client.responses.create({ model, input: messages }, { signal });
+      return resp.output_text || resp.output?.[0]?.content?.find?.(c => c.type === "output_text")?.text || "";
+    },
+    probe: ({ signal } = {}) => client.models.retrieve(model, { signal }),
+  };
+}
+
+// Chat Completions, which most OpenAI-style gateways and servers implement
+function compatibleProvider({ apiKey, baseURL, model }) {
+  if (!baseURL) throw new Error("LLM_BASE_URL is required for LLM_PROVIDER=openai-compatible");
+  const client = new OpenAI({ apiKey: apiKey || "none", baseURL });
+  return {
+    name: "openai-compatible", model,
+    async complete(messages, { signal } = {}) {
+      const resp = await client.chat.completions.create({ model, messages }, { signal });
+      return resp.choices?.[0]?.message?.content ?? "";
+    },
+    probe: ({ signal } = {}) => client.models.list({ signal }),
+  };
+}
+
+// Ollama-style /api/chat over plain HTTP, JSON mode, no key
+function localProvider({ baseURL = "http://localhost:11434", model }) {
+  const url = `${baseURL.replace(/\/+$/, "")}/api/chat`;
+  return {
+    name: "local", model,
+    async complete(messages, { signal } = {}) {
+      const r = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ model, messages, stream: false, format: "json" }),
+        signal,
+      });
+      if (!r.ok) throw new Error(`${url} → HTTP ${r.status}`);
+      const j = await r.json();
+      return j.message?.content ?? j.response ?? "";
+    },
+    async probe({ signal } = {}) {
+      const r = await fetch(`${baseURL.replace(/\/+$/, "")}/api/tags`, { signal });
+      if (!r.ok) throw Object.assign(new Error(`HTTP ${r.status}`), { status: r.status });
+    },
+  };
+}
+
+// ----------------------------- fake --------------------------------
+// Rough boxes for a plausible country in fixture answers: [name, S, W, N, E]
+const COUNTRY_BOXES = [
+  ["United States", 24.5, -125, 49.4, -66.9], ["Canada", 41.7, -141, 70, -52.6],
+  ["Mexico", 14.5, -118.4, 32.7, -86.7], ["Brazil", -33.8, -74, 5.3, -34.8],
+  ["Argentina", -55, -73.6, -21.8, -53.6], ["India", 6.7, 68.1, 35.5, 97.4],
+  ["China", 18.2, 73.5, 53.6, 134.8], ["Australia", -43.7, 113.3, -10.7, 153.6],
+  ["Nigeria", 4.3, 2.7, 13.9, 14.7], ["Kenya", -4.7, 33.9, 5, 41.9],
+  ["France", 42.3, -4.8, 51.1, 8.2], ["Germany", 47.3, 5.9, 55.1, 15],
+];
+const countryAt = (lat, lon) =>
+  COUNTRY_BOXES.find(([, s, w, n, e]) => lat >= s && lat <= n && lon >= w && lon <= e)?.[0] ?? "Unknown";
+
+// Smallest value satisfying a schema (the subset lib/structuredOutput.js checks)
+function exampleFor(schema) {
+  if (schema.enum) return schema.enum[0];
+  const type = [].concat(schema.type ?? "null")[0];
+  if (type === "object") {
+    return Object.fromEntries((schema.required || []).map(k => [k, exampleFor(schema.properties?.[k] || {})]));
+  }
+  if (type === "array") return [];
+  if (type === "number" || type === "integer") {
+    const lo = schema.minimum ?? 0, hi = schema.maximum ?? lo;
+    return type === "integer" ? Math.round((lo + hi) / 2) : (lo + hi) / 2;
+  }
+  if (type === "string") return "fixture".padEnd(schema.minLength ?? 0, ".");
+  if (type === "boolean") return false;
+  return null;
+}
+
+const schemaIn = (messages) => {
+  const m = messages.find(x => x.role === "system")?.content?.match(/matching this JSON schema:\n([\s\S]+)$/);
+  try { return m ? JSON.parse(m[1]) : null; } catch { return null; }
+};
+const userText = (messages) => messages.filter(x => x.role === "user")[0]?.content ?? "";
+
+// Built-in answers that read the prompt the way a careful model would
+const RESPONDERS = {
+  "sanity-check"(messages) {
+    const input = JSON.parse(userText(messages));
+    const p = input.power_input || {};
+    const r1 = (v) => (v == null ? 0 : Math.round(v * 10) / 10);
+    return {
+      t2m_avg: r1(p.t2m_avg), rh2m_avg: r1(p.rh2m_avg),
+      precip_mm_day: r1(p.precip_mm_day), solar_mj_m2_day: r1(p.solar_mj_m2_day),
+      notes: `Values plausible for ${countryAt(input.lat, input.lon)} (${input.whenRange}).`,
+    };
+  },
+  labels(messages, schema) {
+    const text = userText(messages);
+    const [lat, lon] = (text.match(/lat,lon:\s*(-?[\d.]+),\s*(-?[\d.]+)/) || []).slice(1).map(Number);
+    const names = schema?.properties?.crop?.enum || [];
+    return {
+      ...exampleFor(schema || {}),
+      country: countryAt(lat, lon),
+      crop: names[0],
+      ranking: names,
+      regional_popular_crop: names[1] ?? "maize",
+      soil_water_retention: "medium",
+      rationale: `Fixture answer: kept the rule-based order led by ${names[0]}.`,
+    };
+  },
+};
+
+function fakeProvider({ fixtures }) {
+  const scripted = fixtures ? JSON.parse(fs.readFileSync(fixtures, "utf8")) : {};
+  const played = {};
+  return {
+    name: "fake", model: "fixture",
+    probe: async () => {},
+    async complete(messages, { name } = {}) {
+      const list = scripted[name];
+      if (list != null) {
+        const seq = [].concat(list);
+        const i = Math.min(played[name] = (played[name] ?? -1) + 1, seq.length - 1);
+        if (seq[i] != null) return typeof seq[i] === "string" ? seq[i] : JSON.stringify(seq[i]);
+      }
+      const schema = schemaIn(messages);
+      const reply = RESPONDERS[name] ? RESPONDERS[name](messages, schema) : exampleFor(schema || {});
+      return JSON.stringify(reply);
+    },
+  };
+}
+
+/**
+ * Provider from env (or explicit options); null when AI is off.
+ * Throws on an unknown provider or missing required settings.
+ */
+export function createLLMProvider({
+  provider = process.env.LLM_PROVIDER || (process.env.OPENAI_API_KEY ? "openai" : "off"),
+  model = process.env.LLM_MODEL,
+  baseURL = process.env.LLM_BASE_URL,
+  apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+  fixtures = process.env.LLM_FIXTURES,
+} = {}) {
+  const kind = String(provider).toLowerCase();
+  if (kind === "off" || kind === "none") return null;
+  const opts = { apiKey, baseURL, model: model || DEFAULT_MODELS[kind] };
+  switch (kind) {
+    case "openai":
+      if (!apiKey) throw new Error("LLM_PROVIDER=openai needs LLM_API_KEY or OPENAI_API_KEY");
+      return openaiProvider(opts);
+    case "openai-compatible": return compatibleProvider(opts);
+    case "local": return localProvider({ ...opts, baseURL: baseURL || undefined });
+    case "fake": return fakeProvider({ fixtures });
+    default: throw new Error(`Unknown LLM_PROVIDER "${provider}" (openai | openai-compatible | local | fake | off)`);
+  }
+}
+
+/**
+ * Readiness of a provider → { ok, ms, error? }. An HTTP error other than
+ * 401/403 still proves the endpoint answers (some gateways have no /models).
+ */
+export async function probeLLM(provider, { timeoutMs = 5000 } = {}) {
+  const t0 = Date.now();
+  try {
+    await provider.probe({ signal: AbortSignal.timeout(timeoutMs) });
+    return { ok: true, ms: Date.now() - t0 };
+  } catch (e) {
+    const status = e?.status;
+    const ok = Number.isInteger(status) && status !== 401 && status !== 403;
+    const error = e?.name === "TimeoutError" || e?.name === "APIUserAbortError" || e?.name === "AbortError"
+      ? `no answer within ${timeoutMs} ms`
+      : status ? `HTTP ${status}` : e?.cause?.code || e?.cause?.message || e?.message || String(e);
+    return { ok, ms: Date.now() - t0, ...(ok ? { status } : { error }) };
+  }
+}
@@ -0,0 +1,122 @@
+// lib/logger.js — structured logs, one JSON object per line on stdout
+//
+//   LOG_LEVEL   debug | info | warn | error (default info)
+//   LOG_FORMAT  json | pretty (default json; pretty is for a terminal:
+//               "12:00:01.123 WARN  [power] no fixture  url=…  req=…")
+//
+// A line is { time, level, component, msg, req, ...fields }. `req` is the id
+// of the HTTP request being handled when the line was written, taken from
+// async context, so POWER/AI warnings deep in a route still say which
+// request they belong to. Errors passed as `err` keep their message and stack.
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const requestContext = new AsyncLocalStorage();
+
+const errorFields = (e) => (e instanceof Error ? { message: e.message, name: e.name, stack: e.stack } : String(e));
+
+function serialize(fields) {
+  const out = {};
+  for (const [k, v] of Object.entries(fields)) {
+    if (v === undefined) continue;
+    out[k] = v instanceof Error ? errorFields(v) : v;
+  }
+  return out;
+}
+
+function pretty({ time, level, component, msg, err, ...rest }) {
+  const kv = Object.entries(rest).map(([k, v]) => `${k}=${typeof v === "string" ? v : JSON.stringify(v)}`).join("  ");
+  const head = `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${component ? `[${component}] ` : ""}${msg}`;
+  return [head + (kv ? `  ${kv}` : ""), err?.stack].filter(Boolean).join("\n");
+}
+
+/**
+ * createLogger({ level, format, fields, write })
+ * → { debug, info, warn, error, child(fields), level }
+ * Each method is (msg, fields?); `child` adds fixed fields such as `component`.
+ */
+export function createLogger({
+  level = process.env.LOG_LEVEL || "info",
+  format = process.env.LOG_FORMAT || "json",
+  fields: base = {},
+  write = (line) => process.stdout.write(line + "\n"),
+} = {}) {
+  const min = LEVELS[String(level).toLowerCase()] ?? LEVELS.info;
+
+  const emit = (lvl) => (msg, fields = {}) => {
+    if (LEVELS[lvl] < min) return;
+    const req = requestContext.getStore()?.id;
+    const entry = serialize({ time: new Date().toISOString(), level: lvl, ...base, msg: String(msg), req, ...fields });
+    try {
+      write(format === "pretty" ? pretty(entry) : JSON.stringify(entry));
+    } catch {
+      write(JSON.stringify({ time: entry.time, level: lvl, msg: entry.msg, note: "fields not serializable" }));
+    }
+  };
+
+  return {
+    level: Object.keys(LEVELS).find(k => LEVELS[k] === min),
+    debug: emit("debug"), info: emit("info"), warn: emit("warn"), error: emit("error"),
+    child: (fields) => createLogger({ level, format, fields: { ...base, ...fields }, write }),
+  };
+}
+
+/** Low-cardinality route for logs and metrics: "/fields/:id", or the path for multi-path middleware. */
+export function routeOf(req) {
+  const p = req.route?.path;
+  if (typeof p === "string") return req.baseUrl + p;
+  return p ? req.path : "unmatched";
+}
+
+/** Id of the request being handled (null outside one). */
+export const currentRequestId = () => requestContext.getStore()?.id ?? null;
+
+/** Process-wide logger; modules take `log.child({ component })`. */
+export const log = createLogger();
+
+// Caller-supplied ids are kept when they look like ids (proxies, load balancers)
+const ID_RE = /^[\w.:-]{1,64}$/;
+
+/**
+ * Express middleware: give every request an id (X-Request-Id in and out),
+ * run the rest of the chain in its log context and write one access line
+ * when the response is done. `onFinish(req, status, ms)` sees the same
+ * moment (metrics hook). Successful hits on `quietPaths` (probes, scrapes)
+ * are logged at debug level.
+ */
+export function requestLogger({ logger = log.child({ component: "http" }), onFinish, quietPaths = new Set() } = {}) {
+  return (req, res, next) => {
+    const incoming = req.get("x-request-id");
+    req.id = incoming && ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+    res.setHeader("X-Request-Id", req.id);
+    const t0 = process.hrtime.bigint();
+    // "close" without "finish": the client went away first, logged as 499 like nginx
+    const done = () => {
+      const status = res.writableFinished ? res.statusCode : 499;
+      const ms = Number(process.hrtime.bigint() - t0) / 1e6;
+      onFinish?.(req, status, ms);
+      const lvl = status >= 500 && status !== 499 ? "error" : status < 400 && quietPaths.has(req.path) ? "debug" : "info";
+      requestContext.run({ id: req.id }, () => logger[lvl](`${req.method} ${req.originalUrl.split("?")[0]} ${status}`, {
+        method: req.method,
+        path: req.originalUrl.split("?")[0],
+        route: routeOf(req),
+        status,
+        ms: +ms.toFixed(1),
+        bytes: Number(res.getHeader("content-length")) || undefined,
+        client: req.client?.id,
+      }));
+    };
+    res.on("close", done);
+    requestContext.run({ id: req.id }, next);
+  };
+}
+
+/**
+ * Re-enter the request's log context. Body parsers resume the chain from
+ * stream callbacks, which drops async context; mount this after them.
+ */
+export function restoreRequestContext(req, _res, next) {
+  if (!req.id || requestContext.getStore()?.id === req.id) return next();
+  requestContext.run({ id: req.id }, next);
+}
@@ -0,0 +1,98 @@
+// lib/metrics.js — in-process metrics in the Prometheus text format
+//
+// Counters and histograms are updated as things happen; values that other
+// modules already keep (cache counters, batch jobs, memory) are read at
+// scrape time by `collect` callbacks, which also cover gauges. Everything is
+// per process and starts from zero on restart, which Prometheus' rate() handles.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+const labelText = (labels) => {
+  const parts = Object.entries(labels).filter(([, v]) => v != null).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+};
+const num = (v) => (v === Infinity ? "+Inf" : v === -Infinity ? "-Inf" : Number.isNaN(v) ? "NaN" : String(v));
+
+/**
+ * createMetrics({ prefix })
+ * → { counter, histogram, collect, render }
+ *   counter(name, help, labelNames) → { inc(labels?, n = 1) }
+ *   histogram(name, help, { labelNames, buckets }) → { observe(labels, seconds) }
+ *   collect(async () => [{ name, help, type, samples: [{ labels, value }] }])
+ *   render() → Promise<string>, the /metrics body
+ */
+export function createMetrics({ prefix = "" } = {}) {
+  const families = new Map(); // name → { name, help, type, labelNames, series: Map }
+  const collectors = [];
+
+  function family(name, help, type, labelNames, extra = {}) {
+    const full = prefix + name;
+    if (families.has(full)) throw new Error(`Metric ${full} registered twice`);
+    const f = { name: full, help, type, labelNames, series: new Map(), ...extra };
+    families.set(full, f);
+    return f;
+  }
+
+  // Only declared labels, in declared order, so one series per combination
+  const seriesFor = (f, labels = {}) => {
+    const picked = Object.fromEntries(f.labelNames.map(k => [k, labels[k] ?? ""]));
+    const id = JSON.stringify(picked);
+    let s = f.series.get(id);
+    if (!s) { s = { labels: picked, ...f.init() }; f.series.set(id, s); }
+    return s;
+  };
+
+  function counter(name, help, labelNames = []) {
+    const f = family(name, help, "counter", labelNames, { init: () => ({ value: 0 }) });
+    return { inc: (labels, n = 1) => { seriesFor(f, labels).value += n; } };
+  }
+
+  function histogram(name, help, { labelNames = [], buckets = DEFAULT_BUCKETS } = {}) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const f = family(name, help, "histogram", labelNames, {
+      bounds,
+      init: () => ({ counts: new Array(bounds.length).fill(0), sum: 0, count: 0 }),
+    });
+    return {
+      observe(labels, v) {
+        if (!Number.isFinite(v)) return;
+        const s = seriesFor(f, labels);
+        s.sum += v; s.count++;
+        const i = bounds.findIndex(b => v <= b);
+        if (i >= 0) s.counts[i]++;
+      },
+    };
+  }
+
+  const collect = (fn) => { collectors.push(fn); };
+
+  function renderFamily({ name, help, type, samples }) {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+    for (const { labels = {}, value, suffix = "" } of samples) lines.push(`${name}${suffix}${labelText(labels)} ${num(Number(value))}`);
+    return lines.join("\n");
+  }
+
+  function ownSamples(f) {
+    if (f.type !== "histogram") return [...f.series.values()].map(s => ({ labels: s.labels, value: s.value }));
+    const out = [];
+    for (const s of f.series.values()) {
+      let cum = 0;
+      f.bounds.forEach((b, i) => { cum += s.counts[i]; out.push({ suffix: "_bucket", labels: { ...s.labels, le: num(b) }, value: cum }); });
+      out.push({ suffix: "_bucket", labels: { ...s.labels, le: "+Inf" }, value: s.count });
+      out.push({ suffix: "_sum", labels: s.labels, value: +s.sum.toFixed(6) });
+      out.push({ suffix: "_count", labels: s.labels, value: s.count });
+    }
+    return out;
+  }
+
+  async function render() {
+    const blocks = [...families.values()].map(f => renderFamily({ ...f, samples: ownSamples(f) }));
+    for (const fn of collectors) {
+      for (const f of (await fn()) || []) blocks.push(renderFamily({ ...f, name: prefix + f.name }));
+    }
+    return blocks.join("\n") + "\n";
+  }
+
+  return { counter, histogram, collect, render };
+}
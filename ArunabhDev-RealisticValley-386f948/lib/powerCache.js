@@ -0,0 +1,161 @@
+// lib/powerCache.js — persistent on-disk cache for NASA POWER responses
+//
+// Entries are keyed by endpoint, parameters, rounded lat/lon, community and
+// date range, stored one JSON file per key, and expire per temporal
+// resolution (recent daily data still changes; climatology basically never).
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { log as rootLog } from "./logger.js";
+
+const log = rootLog.child({ component: "cache" });
+
+const HOUR = 60 * 60 * 1000;
+const DEFAULT_TTL_MS = {
+  daily:       6 * HOUR,
+  monthly:     7 * 24 * HOUR,
+  climatology: 30 * 24 * HOUR,
+  other:       1 * HOUR,
+};
+
+const envTtl = (name, fallback) => {
+  const h = Number(process.env[name]);
+  return Number.isFinite(h) && h >= 0 ? h * HOUR : fallback;
+};
+
+// "…/api/temporal/daily/point" → "daily"
+function resolutionOf(pathname) {
+  const m = pathname.match(/\/temporal\/([a-z]+)\//i);
+  return m ? m[1].toLowerCase() : "other";
+}
+
+// Build the logical cache key from a POWER URL. Returns null for URLs we don't cache.
+export function powerCacheKey(url, precision = 2) {
+  let u;
+  try { u = new URL(url); } catch { return null; }
+  const q = u.searchParams;
+  const lat = Number(q.get("latitude"));
+  const lon = Number(q.get("longitude"));
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  const parameters = (q.get("parameters") || "").split(",").map(s => s.trim().toUpperCase()).filter(Boolean).sort().join(",");
+  const resolution = resolutionOf(u.pathname);
+  return {
+    resolution,
+    endpoint: u.pathname,
+    parameters,
+    lat: lat.toFixed(precision),
+    lon: lon.toFixed(precision),
+    community: (q.get("community") || "").toUpperCase(),
+    start: q.get("start") || "",
+    end: q.get("end") || "",
+  };
+}
+
+export function createPowerCache({
+  dir = process.env.POWER_CACHE_DIR || path.join(process.cwd(), ".cache", "power"),
+  enabled = process.env.POWER_CACHE !== "off",
+  precision = 2,
+  now = Date.now, // injectable clock for tests
+} = {}) {
+  const ttl = {
+    daily:       envTtl("POWER_CACHE_TTL_DAILY_H", DEFAULT_TTL_MS.daily),
+    monthly:     envTtl("POWER_CACHE_TTL_MONTHLY_H", DEFAULT_TTL_MS.monthly),
+    climatology: envTtl("POWER_CACHE_TTL_CLIMATOLOGY_H", DEFAULT_TTL_MS.climatology),
+    other:       DEFAULT_TTL_MS.other,
+  };
+  const counters = { hits: 0, misses: 0, expired: 0, writes: 0, errors: 0 };
+  const byResolution = {};
+  const bump = (res, field) => {
+    byResolution[res] ??= { hits: 0, misses: 0 };
+    byResolution[res][field]++;
+  };
+
+  const fileFor = (key) => {
+    const id = crypto.createHash("sha1").update(JSON.stringify(key)).digest("hex");
+    return path.join(dir, `${id}.json`);
+  };
+  const ttlFor = (key) => ttl[key.resolution] ?? ttl.other;
+
+  async function get(url) {
+    if (!enabled) return undefined;
+    const key = powerCacheKey(url, precision);
+    if (!key) return undefined;
+    try {
+      const entry = JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+      if (now() - entry.stored_at > ttlFor(key)) {
+        counters.expired++; counters.misses++; bump(key.resolution, "misses");
+        return undefined;
+      }
+      counters.hits++; bump(key.resolution, "hits");
+      return entry.data;
+    } catch (e) {
+      if (e?.code !== "ENOENT") { counters.errors++; log.warn("read error", { err: e }); }
+      counters.misses++; bump(key.resolution, "misses");
+      return undefined;
+    }
+  }
+
+  async function set(url, data) {
+    if (!enabled || data == null) return;
+    const key = powerCacheKey(url, precision);
+    if (!key) return;
+    try {
+      await fs.mkdir(dir, { recursive: true });
+      const file = fileFor(key);
+      // write-then-rename so a crash never leaves a half-written entry
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify({ key, stored_at: now(), data }));
+      await fs.rename(tmp, file);
+      counters.writes++;
+    } catch (e) {
+      counters.errors++;
+      log.warn("write error", { err: e });
+    }
+  }
+
+  async function listEntries() {
+    let names = [];
+    try { names = await fs.readdir(dir); } catch { return []; }
+    return names.filter(n => n.endsWith(".json")).map(n => path.join(dir, n));
+  }
+
+  // Purge everything, or only entries that are past their TTL.
+  async function purge({ expiredOnly = false } = {}) {
+    let removed = 0;
+    for (const file of await listEntries()) {
+      try {
+        if (expiredOnly) {
+          const { key, stored_at } = JSON.parse(await fs.readFile(file, "utf8"));
+          if (now() - stored_at <= ttlFor(key)) continue;
+        }
+        await fs.unlink(file);
+        removed++;
+      } catch (e) {
+        counters.errors++;
+        log.warn("purge error", { err: e });
+      }
+    }
+    return { removed };
+  }
+
+  async function stats() {
+    const files = await listEntries();
+    let bytes = 0;
+    for (const f of files) {
+      try { bytes += (await fs.stat(f)).size; } catch {}
+    }
+    const lookups = counters.hits + counters.misses;
+    return {
+      enabled,
+      dir,
+      entries: files.length,
+      bytes,
+      ...counters,
+      hit_rate: lookups ? counters.hits / lookups : null,
+      by_resolution: byResolution,
+      ttl_hours: Object.fromEntries(Object.entries(ttl).map(([k, v]) => [k, v / HOUR])),
+    };
+  }
+
+  return { get, set, purge, stats };
+}
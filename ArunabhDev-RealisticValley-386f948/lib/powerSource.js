@@ -0,0 +1,194 @@
+// lib/powerSource.js — where NASA POWER JSON comes from
+//
+//   POWER_SOURCE        live | record | replay (default live)
+//   POWER_BASE_URL      send requests here instead of https://power.larc.nasa.gov,
+//                       e.g. the fixture stand-in (lib/powerStandin.js)
+//   POWER_FIXTURES_DIR  fixture files for record/replay (default fixtures/power)
+//
+// live    fetch (through the cache when talking to the real API)
+// record  fetch live, skip the cache, and save every response — errors too —
+//         as a fixture file
+// replay  answer from fixture files only; no network. A missing fixture
+//         answers null, like a failed request, so fallbacks still run
+//
+// Callers always build canonical power.larc.nasa.gov URLs; the source maps
+// them to POWER_BASE_URL. Fixtures are keyed like cache entries, but with the
+// date range as offsets from today (days for daily, whole months for monthly),
+// so "the last 30 days" or "the last 24 months" recorded today replays on any
+// later day. Requests for fixed dates (the Data tab, simulations) only replay
+// while the same offsets come round again, i.e. on the day they were recorded.
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { powerCacheKey } from "./powerCache.js";
+import { log as rootLog } from "./logger.js";
+
+const log = rootLog.child({ component: "power" });
+
+export const POWER_ORIGIN = "https://power.larc.nasa.gov";
+const MODES = ["live", "record", "replay"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ymd = (s) => (/^\d{8}$/.test(s) ? { y: +s.slice(0, 4), m: +s.slice(4, 6) - 1, d: +s.slice(6, 8) } : null);
+
+// YYYYMMDD → offset from `now` (UTC): days for daily, months for monthly
+// (monthly requests always run from the 1st to the 28th, so the day is noise)
+function dateOffset(s, resolution, now) {
+  const t = ymd(s);
+  if (!t) return null;
+  const today = new Date(now);
+  if (resolution === "monthly") return (t.y - today.getUTCFullYear()) * 12 + (t.m - today.getUTCMonth());
+  const day0 = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate());
+  return Math.round((Date.UTC(t.y, t.m, t.d) - day0) / DAY_MS);
+}
+
+/**
+ * Fixture key for a POWER URL (null for URLs that aren't POWER point queries):
+ * the cache key with start/end replaced by `window: { unit, start, end }`,
+ * offsets from `now` (e.g. { unit: "day", start: -30, end: 0 }); null when
+ * the URL has no dates (climatology).
+ */
+export function fixtureKey(url, now = Date.now()) {
+  const key = powerCacheKey(url);
+  if (!key) return null;
+  const { start, end, ...rest } = key;
+  const a = dateOffset(start, key.resolution, now), b = dateOffset(end, key.resolution, now);
+  const unit = key.resolution === "monthly" ? "month" : "day";
+  return { ...rest, window: a != null && b != null ? { unit, start: a, end: b } : null };
+}
+
+// "daily-40.10_-88.20-AG-3f2a9c1e.json": readable prefix, hash for the rest
+export function fixtureFile(dir, key) {
+  const id = crypto.createHash("sha1").update(JSON.stringify(key)).digest("hex").slice(0, 8);
+  return path.join(dir, `${key.resolution}-${key.lat}_${key.lon}-${key.community || "NA"}-${id}.json`);
+}
+
+/** Recorded response for a URL → { status, body } (body is JSON or text), or null. */
+export async function readFixture(dir, url) {
+  const key = fixtureKey(url);
+  if (!key) return null;
+  try {
+    return JSON.parse(await fs.readFile(fixtureFile(dir, key), "utf8"));
+  } catch (e) {
+    if (e?.code !== "ENOENT") log.warn("fixture read error", { err: e });
+    return null;
+  }
+}
+
+async function writeFixture(dir, url, status, body) {
+  const key = fixtureKey(url);
+  if (!key) return;
+  try {
+    await fs.mkdir(dir, { recursive: true });
+    const file = fixtureFile(dir, key);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({ key, url, recorded_at: new Date().toISOString(), status, body }, null, 1));
+    await fs.rename(tmp, file);
+  } catch (e) {
+    log.warn("fixture write error", { err: e });
+  }
+}
+
+/**
+ * createPowerSource({ mode, baseURL, fixturesDir, cache, fetchImpl, onRequest })
+ * → { mode, baseURL, fixturesDir, getJSON(url, { signal, tier }) → json|null, probe(), stats() }
+ * `cache` is a lib/powerCache.js instance; `fetchImpl` defaults to global fetch.
+ * `onRequest({ resolution, community, tier, outcome, ms })` sees every getJSON
+ * (outcome: ok | cached | failed | aborted); `tier` is the caller's label.
+ */
+export function createPowerSource({
+  mode = process.env.POWER_SOURCE || "live",
+  baseURL = process.env.POWER_BASE_URL || POWER_ORIGIN,
+  fixturesDir = process.env.POWER_FIXTURES_DIR || path.join(process.cwd(), "fixtures", "power"),
+  cache = null,
+  fetchImpl = (...args) => globalThis.fetch(...args),
+  onRequest = null,
+} = {}) {
+  mode = String(mode).toLowerCase();
+  if (!MODES.includes(mode)) throw new Error(`Unknown POWER_SOURCE "${mode}" (${MODES.join(" | ")})`);
+  baseURL = baseURL.replace(/\/+$/, "");
+  // Only real API answers go in the cache; recordings always hit the network
+  const useCache = cache && mode === "live" && baseURL === POWER_ORIGIN;
+  const counters = { requests: 0, ok: 0, failed: 0, fixture_hits: 0, fixture_misses: 0, recorded: 0 };
+
+  const target = (url) => (url.startsWith(POWER_ORIGIN) ? baseURL + url.slice(POWER_ORIGIN.length) : url);
+
+  async function replay(url) {
+    const fx = await readFixture(fixturesDir, url);
+    if (!fx) {
+      counters.fixture_misses++;
+      log.warn("no fixture", { url });
+      return null;
+    }
+    counters.fixture_hits++;
+    if (fx.status >= 400 || typeof fx.body !== "object") return null;
+    return fx.body;
+  }
+
+  async function fetchLive(url, signal) {
+    const r = await fetchImpl(target(url), { headers: { "User-Agent": "AgroScope/strict-power" }, signal });
+    const txt = await r.text();
+    let j = null;
+    try { j = JSON.parse(txt); } catch { /* kept as text below */ }
+    if (mode === "record") {
+      await writeFixture(fixturesDir, url, r.status, j ?? txt);
+      counters.recorded++;
+    }
+    if (!r.ok) {
+      log.warn("request failed", { status: r.status, url, body: txt.slice(0, 160) });
+      return null;
+    }
+    if (j == null) log.warn("bad JSON", { url });
+    return j;
+  }
+
+  async function getJSON(url, { signal, tier } = {}) {
+    counters.requests++;
+    const t0 = Date.now();
+    const key = powerCacheKey(url);
+    const report = (outcome) => onRequest?.({ resolution: key?.resolution ?? "other", community: key?.community || null, tier, outcome, ms: Date.now() - t0 });
+    if (useCache) {
+      const cached = await cache.get(url);
+      if (cached !== undefined) { counters.ok++; report("cached"); return cached; }
+    }
+    let j = null, aborted = false;
+    try {
+      j = mode === "replay" ? await replay(url) : await fetchLive(url, signal);
+    } catch (e) {
+      aborted = e?.name === "AbortError"; // cancelled by the tier race, not a failure
+      if (!aborted) log.warn("network error", { url, err: e });
+    }
+    if (j == null) { counters.failed++; report(aborted ? "aborted" : "failed"); return null; }
+    counters.ok++;
+    report("ok");
+    if (useCache) await cache.set(url, j);
+    return j;
+  }
+
+  /**
+   * Readiness: replay needs a fixtures directory with files in it; otherwise
+   * any HTTP answer from the base URL (even 404) means POWER is reachable.
+   * → { ok, ms, status?, error? }
+   */
+  async function probe({ timeoutMs = 5000 } = {}) {
+    const t0 = Date.now();
+    if (mode === "replay") {
+      try {
+        const files = (await fs.readdir(fixturesDir)).filter(f => f.endsWith(".json"));
+        return { ok: files.length > 0, ms: Date.now() - t0, fixtures: files.length, ...(files.length ? {} : { error: "no fixtures" }) };
+      } catch (e) {
+        return { ok: false, ms: Date.now() - t0, error: e?.message || String(e) };
+      }
+    }
+    try {
+      const r = await fetchImpl(baseURL + "/", { method: "HEAD", signal: AbortSignal.timeout(timeoutMs) });
+      return { ok: r.status < 500, ms: Date.now() - t0, status: r.status };
+    } catch (e) {
+      return { ok: false, ms: Date.now() - t0, error: e?.name === "TimeoutError" ? `no answer within ${timeoutMs} ms` : e?.cause?.code || e?.cause?.message || e?.message || String(e) };
+    }
+  }
+
+  const stats = () => ({ mode, base_url: baseURL, fixtures_dir: mode === "live" ? null : fixturesDir, cached: !!useCache, ...counters });
+
+  return { mode, baseURL, fixturesDir, getJSON, probe, stats };
+}
@@ -0,0 +1,59 @@
+// lib/powerStandin.js — local stand-in for the POWER API, served from fixtures
+//
+//   node lib/powerStandin.js                      (or: npm run power:standin)
+//   POWER_BASE_URL=http://localhost:3999 npm start
+//
+//   POWER_STANDIN_PORT   port (default 3999)
+//   POWER_FIXTURES_DIR   recordings made with POWER_SOURCE=record (default fixtures/power)
+//   POWER_STANDIN_FAIL   resolutions answered with HTTP 503, e.g. "daily,monthly",
+//                        to push fetchPowerStrict down its fallback tiers
+//   POWER_STANDIN_DELAY_MS  added latency per request (exercises the time budget)
+//
+// Requests without a fixture get 404, like a point POWER has no data for.
+import express from "express";
+import path from "path";
+import { pathToFileURL } from "url";
+import { POWER_ORIGIN, readFixture } from "./powerSource.js";
+import { log as rootLog } from "./logger.js";
+
+const log = rootLog.child({ component: "standin" });
+
+const list = (s) => String(s || "").split(",").map(x => x.trim().toLowerCase()).filter(Boolean);
+
+/** Express app answering /api/temporal/:resolution/point from fixture files. */
+export function createPowerStandin({
+  fixturesDir = process.env.POWER_FIXTURES_DIR || path.join(process.cwd(), "fixtures", "power"),
+  fail = list(process.env.POWER_STANDIN_FAIL),
+  delayMs = Math.max(0, Number(process.env.POWER_STANDIN_DELAY_MS) || 0),
+} = {}) {
+  const app = express();
+  const counters = { served: 0, missing: 0, failed: 0 };
+
+  app.get("/api/temporal/:resolution/point", async (req, res) => {
+    if (delayMs) await new Promise(r => setTimeout(r, delayMs));
+    const resolution = req.params.resolution.toLowerCase();
+    if (fail.includes(resolution)) {
+      counters.failed++;
+      return res.status(503).json({ messages: [`stand-in: ${resolution} disabled by POWER_STANDIN_FAIL`] });
+    }
+    const fx = await readFixture(fixturesDir, POWER_ORIGIN + req.originalUrl);
+    if (!fx) {
+      counters.missing++;
+      log.warn("no fixture", { url: req.originalUrl });
+      return res.status(404).json({ messages: ["stand-in: no fixture recorded for this request"] });
+    }
+    counters.served++;
+    res.status(fx.status || 200);
+    return typeof fx.body === "string" ? res.type("text").send(fx.body) : res.json(fx.body);
+  });
+
+  app.get("/standin/stats", (_req, res) => res.json({ fixtures_dir: fixturesDir, fail, delay_ms: delayMs, ...counters }));
+
+  return app;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || "").href) {
+  const port = Number(process.env.POWER_STANDIN_PORT) || 3999;
+  const app = createPowerStandin();
+  app.listen(port, () => log.info(`POWER stand-in → http://localhost:${port}`, { port }));
+}
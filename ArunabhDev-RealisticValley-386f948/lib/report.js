@@ -0,0 +1,385 @@
+// lib/report.js — printable field report (self-contained HTML or PDF)
+//
+// Built from a saved field (lib/fieldStore.js): its geometry, the stored
+// /analyze-polygon answer and the stored daily POWER series. The figures (map
+// snapshot, charts) are described once as plain shapes and drawn as inline SVG
+// for HTML and as vector paths for PDF, so both formats show the same thing.
+// The map is the field outline over the POWER grid it was sampled from; it has
+// no basemap so the report never depends on a tile server.
+import PDFDocument from "pdfkit";
+import { polygonParts, polygonRings, polygonCentroid, POWER_CELL_LAT, POWER_CELL_LON } from "./geo.js";
+
+const KM_PER_DEG = 111.32;
+const COLORS = { field: "#16a34a", fieldFill: "#bbf7d0", grid: "#94a3b8", text: "#0f172a", muted: "#64748b", temp: "#dc2626", rain: "#2563eb", et0: "#f59e0b" };
+const ORIGIN_LABEL = {
+  observed: "observed", neighbor: "neighbor", climatology: "climatology",
+  derived: "derived", default: "default", "ai-adjusted": "AI-adjusted",
+};
+const SERIES_COLUMNS = [
+  ["Date", r => r.date],
+  ["Temp °C", r => fmt(r.T2M, 1)],
+  ["RH %", r => fmt(r.RH2M, 0)],
+  ["Solar MJ/m²", r => fmt(r.ALLSKY_SFC_SW_DWN, 1)],
+  ["Rain mm", r => fmt(r.PRECTOTCORR, 1)],
+  ["ET0 mm", r => fmt(r.ET0, 1)],
+  ["Rain − ET0", r => fmt(r.WB, 1)],
+];
+
+const fmt = (v, d = 1) => (v == null || !Number.isFinite(Number(v)) ? "—" : Number(v).toFixed(d));
+const escHTML = (s) => String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+
+// Where a metric's number came from, in words (same facts as the app's quality badge)
+function provenanceText(prov, digits = 1) {
+  if (!prov?.origin) return "—";
+  const parts = [ORIGIN_LABEL[prov.origin] || prov.origin];
+  if (prov.source) parts.push(`POWER ${prov.source}`);
+  if (prov.n) parts.push(`${prov.n} samples`);
+  if (Array.isArray(prov.range) && prov.range.every(v => Number.isFinite(+v))) {
+    parts.push(`range ${fmt(prov.range[0], digits)}–${fmt(prov.range[1], digits)}`);
+  }
+  if (prov.from) parts.push(`from ${prov.from}`);
+  if (prov.mixed) parts.push(Object.entries(prov.mixed).map(([o, w]) => `${o} ${Math.round(w * 100)}%`).join(", "));
+  if (prov.origin === "ai-adjusted" && prov.original != null) parts.push(`was ${fmt(prov.original, digits)} (${prov.based_on || "?"})`);
+  if (prov.capped && prov.proposed != null) parts.push(`AI proposed ${fmt(prov.proposed, digits)}, capped`);
+  if (prov.clamped) parts.push("clamped to physical range");
+  return parts.join(" · ");
+}
+
+/**
+ * Everything a report shows, as plain data: { title, generated_at, field,
+ * metrics, summary, ranking, indices, rasters, rationale, notes, rows, figures }.
+ */
+export function reportModel(field, { now = new Date() } = {}) {
+  const a = field.analysis?.result || {};
+  const power = a.power || {};
+  const prov = power.provenance || {};
+  const rows = field.series?.rows || [];
+  const metric = (label, v, unit, digits, p) => ({ label, value: v == null ? "—" : `${fmt(v, digits)} ${unit}`, source: provenanceText(p, digits) });
+  const ix = a.indices;
+
+  return {
+    title: `Field report — ${field.name || "Unnamed field"}`,
+    generated_at: now.toISOString(),
+    field: [
+      ["Name", field.name || "—"],
+      ["Notes", field.notes || "—"],
+      ["Area", field.area_km2 != null ? `${fmt(field.area_km2, 2)} km² (${fmt(field.area_km2 * 100, 1)} ha)` : "—"],
+      ["Centroid", field.centroid ? `${fmt(field.centroid.lat, 5)}, ${fmt(field.centroid.lon, 5)}` : "—"],
+      ["Analyzed", field.analysis?.at ? new Date(field.analysis.at).toUTCString() : "not analyzed"],
+    ],
+    summary: [
+      ["Recommended crop", a.crop ?? (a.no_suitable_crop ? "No suitable crop" : "—")],
+      ["Regional popular crop", a.regional_popular_crop ?? "—"],
+      ["Country", a.country ?? "—"],
+      ["Soil water retention", a.soil_water_retention ?? "—"],
+      ["Ranking", a.recommender ? `${a.recommender.engine}${a.recommender.reranked_by ? `, re-ranked by ${a.recommender.provider || "LLM"}${a.recommender.model ? ` (${a.recommender.model})` : ""}` : ""}` : "—"],
+    ],
+    metrics: [
+      metric("Temperature", a.temperature_c ?? power.t2m_avg, "°C", 1, prov.t2m_avg),
+      metric("Relative humidity", a.humidity_relative_percent ?? power.rh2m_avg, "%", 0, prov.rh2m_avg),
+      metric("Solar radiation", power.solar_mj_m2_day, "MJ/m²/day", 2, prov.solar_mj_m2_day),
+      metric("Precipitation", power.precip_mm_day, "mm/day", 2, prov.precip_mm_day),
+    ],
+    power_source: [
+      power.meta?.source ? `POWER ${power.meta.source}` : null,
+      power.meta?.community ? `community ${power.meta.community}` : null,
+      power.meta?.window_days ? `${power.meta.window_days}-day window` : power.meta?.window_months ? `${power.meta.window_months}-month window` : null,
+      power.meta?.sampling ? `${power.meta.sampling.method} over ${power.meta.sampling.cells} cell(s)` : null,
+    ].filter(Boolean).join(", ") || "—",
+    ranking: (a.recommendations || []).slice(0, 8).map((r, i) => ({
+      rank: i + 1, crop: r.crop, score: fmt(r.score, 2),
+      factors: Object.entries(r.factors || {}).map(([k, v]) => `${k} ${fmt(v, 2)}`).join(", "),
+    })),
+    indices: ix ? [
+      ["Period", `${ix.period.start} → ${ix.period.end} (${ix.period.days} days)`],
+      ["Reference ET (ET0)", `${fmt(ix.et0.total_mm)} mm total, ${fmt(ix.et0.mean_mm_day, 2)} mm/day (${ix.et0.method})`],
+      ["Rain", `${fmt(ix.rain_mm)} mm`],
+      ["Water balance (rain − ET0)", `${fmt(ix.water_balance.total_mm)} mm; lowest ${fmt(ix.water_balance.min_cumulative_mm)} mm; ${ix.water_balance.deficit_days} deficit days`],
+      ["Longest dry spell", `${ix.dry_spell.longest_days} days (< ${ix.dry_spell.threshold_mm} mm/day)${ix.dry_spell.longest_start ? `, ${ix.dry_spell.longest_start} → ${ix.dry_spell.longest_end}` : ""}`],
+      ...ix.crops.map(c => [`${c.crop} GDD`, `${c.gdd} °C·d (base ${c.t_base} °C); ${c.heat_days} days ≥ ${c.heat_threshold_c} °C`]),
+    ] : [],
+    rasters: Object.values(a.raster_zonal || {}).filter(z => z?.label).map(z => [
+      z.label, z.mean == null ? "no data" : `${fmt(z.mean)} ${z.unit}${z.n > 1 ? ` (${fmt(z.min)}–${fmt(z.max)}, ${z.n} px)` : z.fallback ? ` (${z.fallback})` : ""}`,
+    ]),
+    rationale: a.rationale || "—",
+    notes: [power.ai_notes && `POWER check: ${power.ai_notes}`, ...(a.ai_error || []).map(e => `AI: ${e}`)].filter(Boolean),
+    rows,
+    series_range: field.series ? `${field.series.start ?? rows[0]?.date ?? "?"} → ${field.series.end ?? rows[rows.length - 1]?.date ?? "?"}` : null,
+    figures: {
+      map: mapFigure(field.geometry?.geometry, power.cells),
+      temp: rows.length ? chartFigure(rows, "Daily mean temperature (°C)", [{ key: "T2M", color: COLORS.temp, kind: "line" }]) : null,
+      rain: rows.length ? chartFigure(rows, "Daily rain and reference ET (mm)", [
+        { key: "PRECTOTCORR", color: COLORS.rain, kind: "bar", label: "Rain" },
+        { key: "ET0", color: COLORS.et0, kind: "line", label: "ET0" },
+      ]) : null,
+    },
+  };
+}
+
+// ----------------------------- figures -----------------------------
+// A figure is { width, height, shapes }, shapes being
+//   { t: "path", points, close?, stroke?, fill?, width?, dash? }
+//   { t: "text", x, y, text, size?, color?, anchor? }   (y = baseline)
+
+function mapFigure(geometry, cells = []) {
+  const W = 480, H = 300, PAD = 28;
+  const parts = polygonParts(geometry).map(g => polygonRings(g)).filter(r => r.length);
+  if (!parts.length) return null;
+  const lons = parts.flat(2).map(p => p[0]), lats = parts.flat(2).map(p => p[1]);
+  let west = Math.min(...lons), east = Math.max(...lons), south = Math.min(...lats), north = Math.max(...lats);
+  // Pad the frame a fifth of the field each side; keep x/y ground distances equal
+  const kx = Math.cos(((south + north) / 2) * Math.PI / 180);
+  const padX = Math.max((east - west) * 0.2, 0.002), padY = Math.max((north - south) * 0.2, 0.002);
+  west -= padX; east += padX; south -= padY; north += padY;
+  const scale = Math.min((W - 2 * PAD) / ((east - west) * kx), (H - 2 * PAD) / (north - south));
+  const cx = (west + east) / 2, cy = (south + north) / 2;
+  const X = (lon) => W / 2 + (lon - cx) * kx * scale;
+  const Y = (lat) => H / 2 - (lat - cy) * scale;
+  const inX = (x) => x >= PAD / 2 && x <= W - PAD / 2, inY = (y) => y >= PAD / 2 && y <= H - PAD / 2;
+  const shapes = [{ t: "path", points: [[0, 0], [W, 0], [W, H], [0, H]], close: true, fill: "#f8fafc", stroke: "#cbd5e1" }];
+
+  // POWER cell edges crossing the frame, dashed
+  const lonEdge = (k) => -180 + (k + 0.5) * POWER_CELL_LON, latEdge = (k) => (k + 0.5) * POWER_CELL_LAT;
+  for (let k = Math.floor((west + 180) / POWER_CELL_LON) - 1; lonEdge(k) <= east; k++) {
+    const x = X(lonEdge(k));
+    if (inX(x)) shapes.push({ t: "path", points: [[x, 0], [x, H]], stroke: COLORS.grid, dash: [4, 3] });
+  }
+  for (let k = Math.floor(south / POWER_CELL_LAT) - 1; latEdge(k) <= north; k++) {
+    const y = Y(latEdge(k));
+    if (inY(y)) shapes.push({ t: "path", points: [[0, y], [W, y]], stroke: COLORS.grid, dash: [4, 3] });
+  }
+  for (const c of cells || []) {
+    const x = X(c.lon), y = Y(c.lat);
+    if (inX(x) && inY(y)) shapes.push({ t: "text", x, y, text: `POWER cell ${Math.round((c.weight ?? 0) * 100)}%`, size: 9, color: COLORS.muted, anchor: "middle" });
+  }
+
+  // Field: outer rings filled, holes drawn over in the background color
+  for (const [outer, ...holes] of parts) {
+    shapes.push({ t: "path", points: outer.map(([lon, lat]) => [X(lon), Y(lat)]), close: true, fill: COLORS.fieldFill, stroke: COLORS.field, width: 2 });
+    for (const h of holes) shapes.push({ t: "path", points: h.map(([lon, lat]) => [X(lon), Y(lat)]), close: true, fill: "#f8fafc", stroke: COLORS.field, width: 1.5 });
+  }
+  const c = polygonCentroid(geometry);
+  if (c) shapes.push({ t: "path", points: [[X(c.lon) - 4, Y(c.lat)], [X(c.lon) + 4, Y(c.lat)], [X(c.lon), Y(c.lat)], [X(c.lon), Y(c.lat) - 4], [X(c.lon), Y(c.lat) + 4]], stroke: COLORS.text });
+
+  // Scale bar: a round number of km about a quarter of the width
+  const kmPerPx = KM_PER_DEG / scale;
+  const target = kmPerPx * W / 4;
+  const step = [0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 50, 100, 200].find(s => s >= target / 2) ?? target;
+  const barPx = step / kmPerPx;
+  shapes.push(
+    { t: "path", points: [[12, H - 12], [12 + barPx, H - 12]], stroke: COLORS.text, width: 2 },
+    { t: "text", x: 12 + barPx / 2, y: H - 16, text: step < 1 ? `${step * 1000} m` : `${step} km`, size: 9, color: COLORS.text, anchor: "middle" },
+    { t: "text", x: W - 14, y: 20, text: "N ↑", size: 11, color: COLORS.text, anchor: "end" },
+    { t: "text", x: 6, y: 12, text: `${fmt(north, 4)}°, ${fmt(west, 4)}°`, size: 8, color: COLORS.muted },
+    { t: "text", x: W - 6, y: H - 4, text: `${fmt(south, 4)}°, ${fmt(east, 4)}°`, size: 8, color: COLORS.muted, anchor: "end" },
+  );
+  return { width: W, height: H, shapes };
+}
+
+function chartFigure(rows, title, series) {
+  const W = 480, H = 180, L = 36, R = 8, T = 22, B = 22;
+  const vals = series.flatMap(s => rows.map(r => Number(r[s.key])).filter(Number.isFinite));
+  if (!vals.length) return null;
+  let lo = Math.min(0, ...vals), hi = Math.max(...vals);
+  if (series.some(s => s.kind === "line") && !series.some(s => s.kind === "bar")) lo = Math.min(...vals);
+  if (hi === lo) hi = lo + 1;
+  const X = (i) => L + ((i + 0.5) / rows.length) * (W - L - R);   // center of day i's slot
+  const Y = (v) => T + (1 - (v - lo) / (hi - lo)) * (H - T - B);
+  const shapes = [{ t: "text", x: L, y: 14, text: title, size: 11, color: COLORS.text }];
+
+  for (const v of [lo, (lo + hi) / 2, hi]) {
+    shapes.push(
+      { t: "path", points: [[L, Y(v)], [W - R, Y(v)]], stroke: "#e2e8f0" },
+      { t: "text", x: L - 4, y: Y(v) + 3, text: fmt(v, Math.abs(hi - lo) < 10 ? 1 : 0), size: 8, color: COLORS.muted, anchor: "end" },
+    );
+  }
+  shapes.push(
+    { t: "text", x: L, y: H - 6, text: rows[0].date, size: 8, color: COLORS.muted },
+    { t: "text", x: W - R, y: H - 6, text: rows[rows.length - 1].date, size: 8, color: COLORS.muted, anchor: "end" },
+  );
+
+  const barW = Math.max(1, (W - L - R) / rows.length - 1);
+  for (const s of series) {
+    if (s.kind === "bar") {
+      rows.forEach((r, i) => {
+        const v = Number(r[s.key]);
+        if (!Number.isFinite(v) || v <= 0) return;
+        const x = X(i) - barW / 2;
+        shapes.push({ t: "path", points: [[x, Y(0)], [x + barW, Y(0)], [x + barW, Y(v)], [x, Y(v)]], close: true, fill: s.color });
+      });
+    } else {
+      // break the line at missing days
+      let run = [];
+      const flush = () => { if (run.length > 1) shapes.push({ t: "path", points: run, stroke: s.color, width: 1.5 }); run = []; };
+      rows.forEach((r, i) => { const v = Number(r[s.key]); if (r[s.key] == null || !Number.isFinite(v)) flush(); else run.push([X(i), Y(v)]); });
+      flush();
+    }
+  }
+  if (series.length > 1) {
+    let x = W - R;
+    for (const s of [...series].reverse()) {
+      shapes.push({ t: "text", x, y: 14, text: s.label, size: 9, color: s.color, anchor: "end" });
+      x -= 8 * s.label.length + 10;
+    }
+  }
+  return { width: W, height: H, shapes };
+}
+
+function figureSVG(fig) {
+  if (!fig) return "";
+  const body = fig.shapes.map(s => {
+    if (s.t === "text") {
+      const anchor = s.anchor && s.anchor !== "start" ? ` text-anchor="${s.anchor}"` : "";
+      return `<text x="${s.x.toFixed(1)}" y="${s.y.toFixed(1)}" font-size="${s.size || 10}" fill="${s.color || COLORS.text}"${anchor}>${escHTML(s.text)}</text>`;
+    }
+    const d = s.points.map(([x, y], i) => `${i ? "L" : "M"}${x.toFixed(1)} ${y.toFixed(1)}`).join("") + (s.close ? "Z" : "");
+    return `<path d="${d}" fill="${s.fill || "none"}" stroke="${s.stroke || "none"}" stroke-width="${s.width || 1}"${s.dash ? ` stroke-dasharray="${s.dash.join(" ")}"` : ""}/>`;
+  }).join("");
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${fig.width} ${fig.height}" width="100%" font-family="Helvetica, Arial, sans-serif">${body}</svg>`;
+}
+
+// ----------------------------- HTML --------------------------------
+/** The report as one HTML document with inline CSS and SVG (no external files). */
+export function reportHTML(field, opts) {
+  const m = reportModel(field, opts);
+  const kv = (pairs) => `<table class="kv">${pairs.map(([k, v]) => `<tr><th>${escHTML(k)}</th><td>${escHTML(v)}</td></tr>`).join("")}</table>`;
+  const section = (title, html) => (html ? `<section><h2>${escHTML(title)}</h2>${html}</section>` : "");
+
+  return `<!doctype html>
+<html lang="en"><head><meta charset="utf-8"/><title>${escHTML(m.title)}</title>
+<style>
+  body{font:13px/1.45 Helvetica,Arial,sans-serif;color:#0f172a;max-width:860px;margin:24px auto;padding:0 16px}
+  h1{font-size:20px;margin:0 0 2px} h2{font-size:15px;margin:22px 0 8px;border-bottom:1px solid #e2e8f0;padding-bottom:4px}
+  .muted{color:#64748b} table{border-collapse:collapse;width:100%}
+  th,td{text-align:left;padding:3px 6px;border-bottom:1px solid #f1f5f9;vertical-align:top}
+  table.kv th{width:32%;font-weight:600} table.daily{font-size:11px} table.daily td:not(:first-child),table.daily th:not(:first-child){text-align:right}
+  .figs{display:grid;gap:10px} .rationale{white-space:pre-wrap}
+  @media print{body{margin:0} section{break-inside:avoid} table.daily{break-inside:auto}}
+</style></head><body>
+<h1>${escHTML(m.title)}</h1>
+<div class="muted">Generated ${escHTML(new Date(m.generated_at).toUTCString())} · AgroScope</div>
+${section("Field", kv(m.field))}
+${section("Map", `${figureSVG(m.figures.map) || '<p class="muted">No geometry stored.</p>'}<div class="muted">Field outline (green) over the NASA POWER grid (dashed, 0.5° × 0.625° cells, share of the field per cell).</div>`)}
+${section("Recommendation", kv(m.summary))}
+${section("Climate at the field", `<table><tr><th>Metric</th><th>Value</th><th>Data source</th></tr>${m.metrics.map(r => `<tr><td>${escHTML(r.label)}</td><td>${escHTML(r.value)}</td><td class="muted">${escHTML(r.source)}</td></tr>`).join("")}</table><p class="muted">${escHTML(m.power_source)}</p>`)}
+${section("Crop ranking", m.ranking.length ? `<table><tr><th>#</th><th>Crop</th><th>Score</th><th>Suitability by factor</th></tr>${m.ranking.map(r => `<tr><td>${r.rank}</td><td>${escHTML(r.crop)}</td><td>${r.score}</td><td class="muted">${escHTML(r.factors)}</td></tr>`).join("")}</table>` : "")}
+${section("Agro-climatic indices", m.indices.length ? kv(m.indices) : "")}
+${section("Climate rasters (zonal mean)", m.rasters.length ? kv(m.rasters) : "")}
+${section("Rationale", `<p class="rationale">${escHTML(m.rationale)}</p>${m.notes.map(n => `<p class="muted">${escHTML(n)}</p>`).join("")}`)}
+${section("Daily POWER data", m.rows.length ? `<p class="muted">${escHTML(m.series_range)} · NASA POWER daily (power.larc.nasa.gov)</p><div class="figs">${figureSVG(m.figures.temp)}${figureSVG(m.figures.rain)}</div>
+<table class="daily"><tr>${SERIES_COLUMNS.map(([h]) => `<th>${escHTML(h)}</th>`).join("")}</tr>${m.rows.map(r => `<tr>${SERIES_COLUMNS.map(([, get]) => `<td>${escHTML(get(r))}</td>`).join("")}</tr>`).join("")}</table>` : '<p class="muted">No daily series stored with this field.</p>')}
+</body></html>
+`;
+}
+
+// ----------------------------- PDF ---------------------------------
+// The built-in PDF fonts only cover Latin-1 plus a few extras
+const pdfSafe = (s) => String(s ?? "").replace(/→/g, "->").replace(/≥/g, ">=").replace(/≤/g, "<=").replace(/−/g, "-").replace(/↑/g, "^");
+
+function drawFigure(doc, fig, x, y, width) {
+  const k = width / fig.width;
+  doc.save();
+  for (const s of fig.shapes) {
+    if (s.t === "text") {
+      const size = (s.size || 10) * k;
+      doc.font("Helvetica").fontSize(size).fillColor(s.color || COLORS.text);
+      const text = pdfSafe(s.text);
+      const w = doc.widthOfString(text);
+      const dx = s.anchor === "end" ? -w : s.anchor === "middle" ? -w / 2 : 0;
+      doc.text(text, x + s.x * k + dx, y + s.y * k - size * 0.8, { lineBreak: false });
+      continue;
+    }
+    const [first, ...rest] = s.points;
+    doc.moveTo(x + first[0] * k, y + first[1] * k);
+    for (const [px, py] of rest) doc.lineTo(x + px * k, y + py * k);
+    if (s.close) doc.closePath();
+    doc.lineWidth((s.width || 1) * k);
+    if (s.dash) doc.dash(s.dash[0] * k, { space: s.dash[1] * k }); else doc.undash();
+    if (s.fill && s.stroke) doc.fillAndStroke(s.fill, s.stroke);
+    else if (s.fill) doc.fill(s.fill);
+    else doc.stroke(s.stroke || COLORS.text);
+  }
+  doc.undash();
+  doc.restore();
+  doc.x = x; doc.y = y + fig.height * k + 6;
+}
+
+/** The report as a PDF → Promise<Buffer> (A4, vector figures). */
+export function reportPDF(field, opts) {
+  const m = reportModel(field, opts);
+  const doc = new PDFDocument({ size: "A4", margin: 40, info: { Title: m.title, Creator: "AgroScope" } });
+  const chunks = [];
+  doc.on("data", c => chunks.push(c));
+  const done = new Promise((resolve, reject) => { doc.on("end", () => resolve(Buffer.concat(chunks))); doc.on("error", reject); });
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+  const ensure = (h) => { if (doc.y + h > bottom()) doc.addPage(); };
+  const heading = (t) => { ensure(40); doc.moveDown(0.6).font("Helvetica-Bold").fontSize(12).fillColor(COLORS.text).text(pdfSafe(t), left, doc.y); doc.moveDown(0.2); };
+  const muted = (t) => doc.font("Helvetica").fontSize(8.5).fillColor(COLORS.muted).text(pdfSafe(t), left, doc.y, { width });
+  const kv = (pairs) => {
+    for (const [k, v] of pairs) {
+      ensure(14);
+      const y = doc.y;
+      doc.font("Helvetica-Bold").fontSize(9).fillColor(COLORS.text).text(pdfSafe(k), left, y, { width: width * 0.3 });
+      const yk = doc.y;
+      doc.font("Helvetica").text(pdfSafe(v), left + width * 0.32, y, { width: width * 0.68 });
+      doc.y = Math.max(yk, doc.y) + 2;
+    }
+  };
+  const table = (headers, rows, widths, size = 8.5) => {
+    const xs = widths.reduce((a, w) => [...a, a[a.length - 1] + w * width], [left]);
+    const line = (cells, bold) => {
+      if (doc.y + size + 6 > bottom()) {
+        doc.addPage();
+        if (!bold) line(headers, true); // repeat the header row on each page
+      }
+      const y = doc.y;
+      let yMax = y;
+      cells.forEach((c, i) => {
+        doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(size).fillColor(COLORS.text).text(pdfSafe(c), xs[i], y, { width: xs[i + 1] - xs[i] - 4 });
+        yMax = Math.max(yMax, doc.y);
+      });
+      doc.y = yMax + 2;
+    };
+    line(headers, true);
+    rows.forEach(r => line(r, false));
+  };
+  const figure = (fig) => { if (!fig) return; ensure(fig.height * width / fig.width + 8); drawFigure(doc, fig, left, doc.y, width); };
+
+  doc.font("Helvetica-Bold").fontSize(17).fillColor(COLORS.text).text(pdfSafe(m.title));
+  muted(`Generated ${new Date(m.generated_at).toUTCString()} · AgroScope`);
+
+  heading("Field"); kv(m.field);
+  heading("Map");
+  if (m.figures.map) figure(m.figures.map); else muted("No geometry stored.");
+  muted("Field outline (green) over the NASA POWER grid (dashed, 0.5° × 0.625° cells, share of the field per cell).");
+  heading("Recommendation"); kv(m.summary);
+  heading("Climate at the field");
+  table(["Metric", "Value", "Data source"], m.metrics.map(r => [r.label, r.value, r.source]), [0.22, 0.2, 0.58]);
+  muted(m.power_source);
+  if (m.ranking.length) {
+    heading("Crop ranking");
+    table(["#", "Crop", "Score", "Suitability by factor"], m.ranking.map(r => [r.rank, r.crop, r.score, r.factors]), [0.06, 0.2, 0.1, 0.64]);
+  }
+  if (m.indices.length) { heading("Agro-climatic indices"); kv(m.indices); }
+  if (m.rasters.length) { heading("Climate rasters (zonal mean)"); kv(m.rasters); }
+  heading("Rationale");
+  doc.font("Helvetica").fontSize(9).fillColor(COLORS.text).text(pdfSafe(m.rationale), left, doc.y, { width });
+  m.notes.forEach(n => muted(n));
+
+  heading("Daily POWER data");
+  if (m.rows.length) {
+    muted(`${m.series_range} · NASA POWER daily (power.larc.nasa.gov)`);
+    doc.moveDown(0.3);
+    figure(m.figures.temp);
+    figure(m.figures.rain);
+    table(SERIES_COLUMNS.map(([h]) => h), m.rows.map(r => SERIES_COLUMNS.map(([, get]) => get(r))), [0.2, 0.12, 0.1, 0.16, 0.13, 0.13, 0.16], 7.5);
+  } else {
+    muted("No daily series stored with this field.");
+  }
+
+  doc.end();
+  return done;
+}
@@ -0,0 +1,138 @@
+// lib/structuredOutput.js — JSON-only model calls checked against a schema
+//
+// Every AI call declares a JSON schema (the small subset below). The reply is
+// parsed, validated and, when it fails, the model is shown its own answer plus
+// the errors and asked again, up to `retries` times. Each attempt has its own
+// timeout. Rejections are logged and counted; callers get { ok, data } or
+// { ok: false, errors } and decide on a fallback instead of failing the request.
+import { log as rootLog } from "./logger.js";
+
+/**
+ * Validate `value` against a schema using: type (object|array|string|number|
+ * integer|boolean|null, or a list), properties, required, additionalProperties
+ * (false only), items, minItems, maxItems, enum, minimum, maximum, minLength,
+ * maxLength. → array of "path: problem" strings (empty when valid).
+ */
+export function validateSchema(value, schema, path = "$") {
+  const errors = [];
+  const types = schema.type == null ? null : [].concat(schema.type);
+  const typeOf = (v) => (v === null ? "null" : Array.isArray(v) ? "array" : typeof v);
+  const matches = (t) =>
+    t === "integer" ? Number.isInteger(value) :
+    t === "number" ? typeof value === "number" && Number.isFinite(value) :
+    typeOf(value) === t;
+
+  if (types && !types.some(matches)) return [`${path}: expected ${types.join(" | ")}, got ${typeOf(value)}`];
+  if (schema.enum && !schema.enum.some(e => e === value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(e => JSON.stringify(e)).join(", ")}`);
+  }
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${path}: must be ≥ ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${path}: must be ≤ ${schema.maximum}`);
+  }
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${path}: must have at least ${schema.minLength} characters`);
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${path}: must have at most ${schema.maxLength} characters`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${path}: needs at least ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${path}: allows at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((v, i) => errors.push(...validateSchema(v, schema.items, `${path}[${i}]`)));
+  }
+  if (typeOf(value) === "object") {
+    for (const k of schema.required || []) if (!(k in value)) errors.push(`${path}.${k}: is required`);
+    for (const [k, v] of Object.entries(value)) {
+      if (schema.properties?.[k]) errors.push(...validateSchema(v, schema.properties[k], `${path}.${k}`));
+      else if (schema.additionalProperties === false) errors.push(`${path}.${k}: is not allowed`);
+    }
+  }
+  return errors;
+}
+
+// First JSON object in model text: whole reply, a ```json fence, or the outermost braces
+export function extractJSON(text) {
+  const t = String(text ?? "").trim();
+  const candidates = [t, t.match(/```(?:json)?\s*([\s\S]*?)```/)?.[1], t.match(/\{[\s\S]*\}/)?.[0]];
+  for (const c of candidates) {
+    if (!c) continue;
+    try { return { ok: true, value: JSON.parse(c) }; } catch { /* next */ }
+  }
+  return { ok: false, error: t ? "reply is not valid JSON" : "empty reply" };
+}
+
+/**
+ * createStructuredCaller({ complete, retries, timeoutMs, log, onCall })
+ *   complete(messages, { signal, name }) → Promise<string>: one model call;
+ *   messages are [{ role: "system"|"user"|"assistant", content }] and `name`
+ *   is the call's name (lib/llmProvider.js's fake keys fixtures on it).
+ * → { call, stats }
+ *   call({ name, system, user, schema, check?, signal? }) → { ok, data, attempts, errors }
+ *   `check(data)` adds domain rules as more error strings; aborting `signal`
+ *   stops the call (no more retries) with { ok: false, cancelled: true }.
+ * `onCall({ name, ok, attempts, ms, errors })` runs once per finished call.
+ */
+export function createStructuredCaller({
+  complete,
+  retries = 2,
+  timeoutMs = 20000,
+  log = rootLog.child({ component: "ai" }),
+  onCall = null,
+} = {}) {
+  const stats = { calls: 0, ok: 0, failed: 0, retries: 0, rejections: {} };
+
+  async function attempt(messages, name, outer) {
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+    const cancel = () => ctrl.abort();
+    outer?.addEventListener("abort", cancel, { once: true });
+    try {
+      return { text: await complete(messages, { signal: ctrl.signal, name }) };
+    } catch (e) {
+      return { error: ctrl.signal.aborted ? `timed out after ${timeoutMs} ms` : `call failed: ${e?.message || e}` };
+    } finally {
+      clearTimeout(timer);
+      outer?.removeEventListener("abort", cancel);
+    }
+  }
+
+  async function call({ name, system, user, schema, check, signal }) {
+    stats.calls++;
+    const t0 = Date.now();
+    const messages = [
+      { role: "system", content: `${system}\n\nReply with ONLY a JSON object matching this JSON schema:\n${JSON.stringify(schema)}` },
+      { role: "user", content: user },
+    ];
+    let errors = [];
+    const cancelled = (attempts) => ({ ok: false, data: null, attempts, errors: ["cancelled"], cancelled: true });
+    for (let n = 1; n <= retries + 1; n++) {
+      if (signal?.aborted) return cancelled(n - 1);
+      if (n > 1) stats.retries++;
+      const { text, error } = await attempt(messages, name, signal);
+      if (signal?.aborted) return cancelled(n);
+      if (error) {
+        errors = [error];
+      } else {
+        const parsed = extractJSON(text);
+        errors = parsed.ok ? validateSchema(parsed.value, schema) : [parsed.error];
+        if (parsed.ok && !errors.length && check) errors = check(parsed.value) || [];
+        if (!errors.length) {
+          stats.ok++;
+          onCall?.({ name, ok: true, attempts: n, ms: Date.now() - t0, errors: [] });
+          return { ok: true, data: parsed.value, attempts: n, errors: [] };
+        }
+        // Repair prompt: show the model its reply and what was wrong with it
+        messages.push(
+          { role: "assistant", content: String(text).slice(0, 4000) },
+          { role: "user", content: `That reply was rejected:\n- ${errors.slice(0, 10).join("\n- ")}\nReturn the corrected JSON object only.` },
+        );
+      }
+      stats.rejections[name] = (stats.rejections[name] || 0) + 1;
+      log.warn("reply rejected", { call: name, attempt: n, of: retries + 1, errors: errors.slice(0, 5) });
+    }
+    stats.failed++;
+    onCall?.({ name, ok: false, attempts: retries + 1, ms: Date.now() - t0, errors });
+    return { ok: false, data: null, attempts: retries + 1, errors };
+  }
+
+  return { call, stats };
+}
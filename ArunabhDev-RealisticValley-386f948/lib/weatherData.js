@@ -0,0 +1,285 @@
+// lib/weatherData.js — NASA POWER daily weather export for the game (and scripts)
+//
+//   import { exportWeather } from "./lib/weatherData.js";
+//   await exportWeather({ lat: 40.1, lon: -88.2, season: "growing", format: "json", out: "w.json" });
+//
+//   node lib/weatherData.js --lat 40.1 --lon -88.2 --start 2020-01-01 --end 2024-12-31 \
+//     --months 5-8 --params T2M,PRECTOTCORR --format ndjson --out weather.ndjson
+//   (or: npm run weather:export -- --lat 40.1 --lon -88.2)
+//
+// With the default parameters the CSV keeps the layout the game reads
+// (Date,Temperature_C,Humidity_Percent,Solar_kWh_per_m2,Precipitation_mm);
+// solar is converted to kWh/m²/day from whatever unit POWER reports (MJ for
+// the AG community). Any other parameter list is written as raw POWER columns.
+import fs from "fs/promises";
+import path from "path";
+import { parseArgs } from "util";
+import { pathToFileURL } from "url";
+
+const POWER_DAILY = "https://power.larc.nasa.gov/api/temporal/daily/point";
+const POWER_LAG_DAYS = 5;   // POWER daily data trails real time by a few days
+const DEFAULT_YEARS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const GAME_PARAMETERS = ["T2M", "T2MDEW", "ALLSKY_SFC_SW_DWN", "PRECTOTCORR"];
+export const FORMATS = ["csv", "json", "ndjson"];
+
+// Month lists; "growing" picks a hemisphere from the latitude
+export const SEASONS = {
+  game:   [5, 6, 7, 8], // the original May–August window
+  spring: [3, 4, 5],
+  summer: [6, 7, 8],
+  autumn: [9, 10, 11],
+  winter: [12, 1, 2],
+  "growing-north": [4, 5, 6, 7, 8, 9],
+  "growing-south": [10, 11, 12, 1, 2, 3],
+  all: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12],
+};
+
+export function relativeHumidity(tempC, dewC) {
+  if (!Number.isFinite(tempC) || !Number.isFinite(dewC)) return null;
+  const rh =
+    100 *
+    Math.exp(
+      (17.625 * dewC) / (243.04 + dewC) -
+        (17.625 * tempC) / (243.04 + tempC)
+    );
+  return Math.round(rh * 10) / 10;
+}
+
+/**
+ * "2025-01-31" | "20250131" → UTC Date, or null, also for days that don't
+ * exist: Date.UTC rolls 2025-02-31 over to March 3, so the parts must round-trip.
+ */
+export function parseDay(s) {
+  const m = String(s ?? "").match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+  if (!m) return null;
+  const [y, mo, day] = [+m[1], +m[2] - 1, +m[3]];
+  const d = new Date(Date.UTC(y, mo, day));
+  return d.getUTCFullYear() === y && d.getUTCMonth() === mo && d.getUTCDate() === day ? d : null;
+}
+
+// "2024-05-01" | "20240501" | Date → UTC Date
+function toDate(v, name) {
+  if (v instanceof Date && !isNaN(v)) return v;
+  const d = parseDay(v);
+  if (!d) throw new Error(`${name} must be a calendar date as YYYY-MM-DD or YYYYMMDD (got "${v}")`);
+  return d;
+}
+
+const compact = (d) => d.toISOString().slice(0, 10).replace(/-/g, "");
+
+// [5,6] | "5-8" | "11-2" | "5,6,7" → sorted month numbers (ranges may wrap the year)
+export function parseMonths(spec) {
+  if (spec == null || spec === "") return null;
+  const parts = Array.isArray(spec) ? spec : String(spec).split(",");
+  const out = new Set();
+  for (const p of parts) {
+    const [a, b] = String(p).split("-").map(s => Number(s.trim()));
+    if (!Number.isInteger(a) || a < 1 || a > 12 || (b != null && (!Number.isInteger(b) || b < 1 || b > 12))) {
+      throw new Error(`invalid month "${p}" (use 1–12, ranges like 5-8 or 11-2)`);
+    }
+    if (b == null) { out.add(a); continue; }
+    for (let m = a; ; m = (m % 12) + 1) { out.add(m); if (m === b) break; }
+  }
+  return [...out].sort((x, y) => x - y);
+}
+
+function seasonMonths(season, lat) {
+  if (season == null || season === "") return null;
+  const name = season === "growing" ? (lat < 0 ? "growing-south" : "growing-north") : season;
+  const months = SEASONS[name];
+  if (!months) throw new Error(`unknown season "${season}" (one of: growing, ${Object.keys(SEASONS).join(", ")})`);
+  return months;
+}
+
+// Normalize and validate options; throws on anything we can't request
+export function resolveOptions(o = {}) {
+  const lat = Number(o.lat), lon = Number(o.lon);
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) throw new Error("lat must be a number in [-90, 90]");
+  if (!Number.isFinite(lon) || lon < -180 || lon > 180) throw new Error("lon must be a number in [-180, 180]");
+
+  const end = o.end != null ? toDate(o.end, "end") : new Date(Date.now() - POWER_LAG_DAYS * DAY_MS);
+  const start = o.start != null
+    ? toDate(o.start, "start")
+    : new Date(Date.UTC(end.getUTCFullYear() - DEFAULT_YEARS, end.getUTCMonth(), end.getUTCDate()));
+  if (start > end) throw new Error("start must be on or before end");
+
+  const parameters = (Array.isArray(o.parameters) ? o.parameters : String(o.parameters || GAME_PARAMETERS.join(",")).split(","))
+    .map(s => String(s).trim().toUpperCase())
+    .filter(Boolean);
+  if (!parameters.length) throw new Error("parameters must list at least one POWER parameter");
+
+  const format = String(o.format || "csv").toLowerCase();
+  if (!FORMATS.includes(format)) throw new Error(`format must be one of ${FORMATS.join(", ")}`);
+
+  const isGameSet = GAME_PARAMETERS.every(p => parameters.includes(p)) && parameters.length === GAME_PARAMETERS.length;
+  const layout = o.layout || (isGameSet ? "game" : "raw");
+  if (!["game", "raw"].includes(layout)) throw new Error('layout must be "game" or "raw"');
+  if (layout === "game" && !GAME_PARAMETERS.every(p => parameters.includes(p))) {
+    throw new Error(`layout "game" needs ${GAME_PARAMETERS.join(",")}`);
+  }
+
+  // explicit months win over a named season; no filter when neither is given
+  const months = parseMonths(o.months) ?? seasonMonths(o.season, lat);
+
+  return {
+    lat, lon, start, end, parameters, format, layout, months,
+    community: String(o.community || "AG").toUpperCase(),
+  };
+}
+
+/**
+ * Fetch daily POWER rows: [{ date: "YYYY-MM-DD", PARAM: value|null, … }].
+ * Fill values (-999) come back as null. Rejects on HTTP or payload errors.
+ */
+export async function fetchWeather(options) {
+  const o = resolveOptions(options);
+  const params = new URLSearchParams({
+    latitude: o.lat,
+    longitude: o.lon,
+    start: compact(o.start),
+    end: compact(o.end),
+    parameters: o.parameters.join(","),
+    community: o.community,
+    format: "JSON",
+  });
+  const url = `${POWER_DAILY}?${params.toString()}`;
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    const body = await response.text().catch(() => "");
+    throw new Error(`POWER HTTP ${response.status}${body ? `: ${body.slice(0, 200)}` : ""}`);
+  }
+  const data = await response.json();
+  const parameter = data?.properties?.parameter;
+  if (!parameter) throw new Error("Unexpected API structure");
+
+  const missing = o.parameters.filter(p => !parameter[p]);
+  if (missing.length) throw new Error(`POWER returned no data for ${missing.join(", ")}`);
+
+  const dates = Object.keys(parameter[o.parameters[0]]).sort();
+  const rows = [];
+  for (const key of dates) {
+    if (o.months && !o.months.includes(Number(key.slice(4, 6)))) continue;
+    const row = { date: `${key.slice(0, 4)}-${key.slice(4, 6)}-${key.slice(6, 8)}` };
+    for (const p of o.parameters) {
+      const v = Number(parameter[p][key]);
+      row[p] = Number.isFinite(v) && v > -900 ? v : null;
+    }
+    rows.push(row);
+  }
+  return { rows, options: o, units: data?.parameters ?? null, url };
+}
+
+const fixed = (v, digits) => (v == null ? null : +v.toFixed(digits));
+
+const MJ_PER_KWH = 3.6;
+// POWER's units for a parameter, from its `parameters` block ({ T2M: { units } })
+// or a plain { T2M: "C" } map
+const unitsOf = (units, p) => (typeof units?.[p] === "string" ? units[p] : units?.[p]?.units ?? null);
+
+// The game's columns, derived from T2M/T2MDEW/ALLSKY_SFC_SW_DWN/PRECTOTCORR.
+// ALLSKY_SFC_SW_DWN is MJ/m²/day for AG (the default) and kWh/m²/day for RE/SB.
+function toGameRow(r, solarUnits) {
+  const solarKwh = /kw/i.test(solarUnits ?? "") ? r.ALLSKY_SFC_SW_DWN : r.ALLSKY_SFC_SW_DWN / MJ_PER_KWH;
+  return {
+    Date: r.date,
+    Temperature_C: fixed(r.T2M, 1),
+    Humidity_Percent: fixed(relativeHumidity(r.T2M, r.T2MDEW), 1),
+    Solar_kWh_per_m2: r.ALLSKY_SFC_SW_DWN == null ? null : fixed(solarKwh, 2),
+    Precipitation_mm: fixed(r.PRECTOTCORR, 2),
+  };
+}
+
+// Serialize rows as CSV / JSON / NDJSON text; `units` is what POWER reported
+// (needed for the game layout's solar column; MJ/m²/day when missing)
+export function formatWeather(rows, { format = "csv", layout = "raw", units = null } = {}) {
+  const solarUnits = unitsOf(units, "ALLSKY_SFC_SW_DWN");
+  const records = layout === "game" ? rows.map(r => toGameRow(r, solarUnits)) : rows;
+  if (format === "json") return JSON.stringify(records, null, 2) + "\n";
+  if (format === "ndjson") return records.map(r => JSON.stringify(r)).join("\n") + (records.length ? "\n" : "");
+
+  const columns = records.length ? Object.keys(records[0]) : (layout === "game" ? Object.keys(toGameRow({})) : ["date"]);
+  const lines = [columns.join(",")];
+  for (const r of records) lines.push(columns.map(c => (r[c] == null ? "" : r[c])).join(","));
+  return lines.join("\n") + "\n";
+}
+
+// A directory (or nothing) gets the default weatherData.<ext> name
+async function resolveOutFile(out, format) {
+  const name = `weatherData.${format}`;
+  if (!out) return path.resolve(name);
+  const stat = await fs.stat(out).catch(() => null);
+  if (stat?.isDirectory() || /[\\/]$/.test(out)) return path.join(out, name);
+  return path.resolve(out);
+}
+
+/**
+ * Fetch, filter and write one export. Resolves to { file, rows, format, layout };
+ * with `out: "-"` nothing is written and `text` holds the output instead.
+ */
+export async function exportWeather(options = {}) {
+  const { rows, options: o, units } = await fetchWeather(options);
+  const text = formatWeather(rows, { ...o, units });
+  if (options.out === "-") return { file: null, text, rows: rows.length, format: o.format, layout: o.layout };
+
+  const file = await resolveOutFile(options.out, o.format);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, text, "utf8");
+  return { file, rows: rows.length, format: o.format, layout: o.layout };
+}
+
+// Original entry point: game CSV for the May–August window into `outputPath`
+export async function giveDataCSV(coordinates, outputPath, options = {}) {
+  const [lat, lon] = coordinates;
+  return exportWeather({ season: "game", ...options, lat, lon, out: outputPath ?? "." });
+}
+
+/* ---------------- CLI ---------------- */
+const USAGE = `Usage: node lib/weatherData.js --lat <deg> --lon <deg> [options]
+
+  --start YYYY-MM-DD     first day (default: ${DEFAULT_YEARS} years before --end)
+  --end YYYY-MM-DD       last day (default: ${POWER_LAG_DAYS} days ago)
+  --months 5-8           months to keep, e.g. 5-8, 11-2 or 3,4,5
+  --season <name>        growing, ${Object.keys(SEASONS).join(", ")}
+  --params A,B,…         POWER parameters (default ${GAME_PARAMETERS.join(",")})
+  --community AG|RE|SB   POWER community (default AG)
+  --format csv|json|ndjson
+  --layout game|raw      game columns or raw POWER columns
+  --out <path>           file or directory, "-" for stdout (default ./weatherData.<format>)`;
+
+// parseArgs reads "--lon -88.2" as two flags; glue negative numbers to their option
+const glueNegatives = (argv) => argv.reduce((out, a) => {
+  const prev = out[out.length - 1];
+  if (/^-\d/.test(a) && /^--[a-z]+$/.test(prev ?? "")) out[out.length - 1] = `${prev}=${a}`;
+  else out.push(a);
+  return out;
+}, []);
+
+async function main(argv) {
+  const { values } = parseArgs({
+    args: glueNegatives(argv),
+    options: {
+      lat: { type: "string" }, lon: { type: "string" },
+      start: { type: "string" }, end: { type: "string" },
+      months: { type: "string" }, season: { type: "string" },
+      params: { type: "string" }, community: { type: "string" },
+      format: { type: "string" }, layout: { type: "string" },
+      out: { type: "string" }, help: { type: "boolean", short: "h" },
+    },
+  });
+  if (values.help) { console.log(USAGE); return; }
+
+  const result = await exportWeather({ ...values, parameters: values.params });
+  if (result.file) console.log(`Data written to ${result.file} (${result.rows} rows, ${result.format})`);
+  else process.stdout.write(result.text);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  main(process.argv.slice(2)).catch(err => {
+    console.error("Error:", err.message);
+    if (/must|invalid|unknown|needs|Unknown option/.test(err.message)) console.error(`\n${USAGE}`);
+    process.exitCode = 1;
+  });
+}
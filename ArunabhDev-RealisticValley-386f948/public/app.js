@@ -1,10 +1,32 @@
-// High-contrast UI + Intro modal + OSM + 4-point polygon → /analyze-polygon
-// NEW: "POWER Data" tab that fetches last-30-day timeseries for the polygon centroid.
+// High-contrast UI + Intro modal + OSM + field drawing/import → /analyze-polygon
+// "POWER Data" tab loads a cleaned daily series for the polygon centroid via /power/series.
 
 /* ---------- helpers ---------- */
 const $ = (s, r=document) => r.querySelector(s);
 const esc = s => String(s ?? '').replace(/[&<>"']/g,c=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#039;'}[c]));
 
+/* ---------- API key (servers started with API_KEYS) ---------- */
+// Same-origin calls carry the key saved in this browser; a 401 asks for a key
+// once and retries. Plain links (report downloads) use apiKeyQuery().
+const API_KEY_STORE = 'api_key';
+const apiKeyQuery = () => { const k = localStorage.getItem(API_KEY_STORE); return k ? `&api_key=${encodeURIComponent(k)}` : ''; };
+(function initApiKey(){
+  const plain = window.fetch.bind(window);
+  let asking = null; // one prompt for parallel 401s
+  const withKey = (init = {}, key) => key ? { ...init, headers:{ ...(init.headers || {}), 'X-API-Key':key } } : init;
+  window.fetch = async (input, init) => {
+    const url = typeof input === 'string' ? input : input?.url || '';
+    if (!url.startsWith('/')) return plain(input, init);
+    const res = await plain(input, withKey(init, localStorage.getItem(API_KEY_STORE)));
+    if (res.status !== 401) return res;
+    asking ??= Promise.resolve(prompt('This server needs an API key:')?.trim() || null).finally(() => { setTimeout(() => { asking = null; }, 0); });
+    const key = await asking;
+    if (!key) return res;
+    localStorage.setItem(API_KEY_STORE, key);
+    return plain(input, withKey(init, key));
+  };
+})();
+
 /* ---------- theme ---------- */
 (function initTheme(){
   const sw = $('#themeSwitch');
@@ -77,11 +99,14 @@ if (map) {
   // purge any old panes/overlays from earlier builds
   (function purge(){
     map.eachLayer(l => { if (l !== base) map.removeLayer(l); });
-    ['rasters','ndvi','images','heatmap','countries'].forEach(id=>{
+    ['ndvi','images','heatmap','countries'].forEach(id=>{
       const pane = map.getPane(id); if (pane) { try { pane.remove(); } catch {} }
     });
   })();
 
+  // climate raster overlays sit under the drawn fields
+  map.createPane('rasters').style.zIndex = 350;
+
   requestAnimationFrame(()=>map.invalidateSize());
   setTimeout(()=>map.invalidateSize(), 0);
 }
@@ -101,51 +126,169 @@ const resArea      = $('#resArea');
 const resSolar     = $('#resSolar');
 const resPrecip    = $('#resPrecip');
 const resRationale = $('#resRationale');
+const resRanking   = $('#resRanking');
+const resRasterTemp = $('#resRasterTemp');
+const resRasterRain = $('#resRasterRain');
+const resIndices   = $('#resIndices');
+const resIndicesMeta = $('#resIndicesMeta');
+const resIndexCrops  = $('#resIndexCrops');
 
 /* ---------- POWER table refs ---------- */
 const powerMeta  = $('#powerMeta');
 const powerTbody = $('#powerTbody');
 const powerTabBtn = Array.from(document.querySelectorAll('.tab')).find(t => t.dataset.tab==='power');
+const powerRange = $('#powerRange');
+const powerStart = $('#powerStart');
+const powerEnd   = $('#powerEnd');
+const powerLoad  = $('#powerLoad');
+const powerIndices = $('#powerIndices');
+let seriesPoint = null; // centroid of the current polygon
+
+/* ---------- Season simulation refs ---------- */
+const simForm = $('#simForm');
+const simCrop = $('#simCrop');
+const simSowing = $('#simSowing');
+const simRun  = $('#simRun');
+const simOut  = $('#simOut');
+let simPolygon = null; // GeoJSON of the analyzed polygon
+const gameWeatherBtn = $('#gameWeather');
+const adviceRun  = $('#adviceRun');
+const adviceOut  = $('#adviceOut');
+let adviceCrops  = []; // top ranked crops of the analyzed polygon
+const climRun    = $('#climRun');
+const climMonths = $('#climMonths');
+const climNotes  = $('#climNotes');
+const climTable  = $('#climTable');
+const gameWeatherMsg = $('#gameWeatherMsg');
+
+/* ---------- Saved fields refs ---------- */
+const fieldForm  = $('#fieldForm');
+const fieldName  = $('#fieldName');
+const fieldNotes = $('#fieldNotes');
+const fieldSave  = $('#fieldSave');
+const fieldMsg   = $('#fieldMsg');
+const fieldList  = $('#fieldList');
+
+/* ---------- Compare refs ---------- */
+const comparePin      = $('#comparePin');
+const compareCsv      = $('#compareCsv');
+const compareDailyCsv = $('#compareDailyCsv');
+const compareClear    = $('#compareClear');
+const compareMsg      = $('#compareMsg');
+const compareTable    = $('#compareTable');
+const compareLegend   = $('#compareLegend');
+const compareCharts   = $('#compareCharts');
+
+/* ---------- Field tool (buttons are in TOPBAR) ---------- */
+// Leaflet-Geoman does the drawing: N-vertex polygons (Finish, or click the first
+// vertex), rectangles, circles, cut-out holes and draggable vertices.
+// Every finished shape or edit re-runs /analyze-polygon.
+const startBtn  = $('#startBtn');
+const rectBtn   = $('#rectBtn');
+const circleBtn = $('#circleBtn');
+const holeBtn   = $('#holeBtn');
+const finishBtn = $('#finishBtn');
+const undoBtn   = $('#undoBtn');
+const resetBtn  = $('#resetBtn');
+const importBtn = $('#importBtn');
+const importFile= $('#importFile');
+
+const FIELD_STYLE     = { color:'#1f2937', weight:2, fillColor:'#e11d48', fillOpacity:0.35 };
+const CANDIDATE_STYLE = { color:'#2563eb', weight:2, dashArray:'4,4', fillColor:'#2563eb', fillOpacity:0.08 };
+const IDLE_STATUS = 'Draw a polygon, rectangle or circle — or drop a GeoJSON/KML/zipped shapefile on the map';
+const hasPM = !!map?.pm;
 
-/* ---------- Polygon tool (buttons are in TOPBAR) ---------- */
-const startBtn = $('#startBtn');
-const undoBtn  = $('#undoBtn');
-const resetBtn = $('#resetBtn');
+let drawing = null;   // active Geoman mode: 'Polygon' | 'Rectangle' | 'Circle' | 'Cut'
+let field = null;     // the field being analyzed (polygon, rectangle or circle layer)
+let analysisSeq = 0;  // bumps on every edit so stale answers are dropped
+let analysisCtrl = null;            // aborts the /analyze-polygon stream in flight
+let editTimer = null;
+let activeFieldId = null;           // saved field being edited (null = unsaved drawing)
+let lastAnalysis = null, lastSeries = null;
+const drawLayer   = map ? L.featureGroup().addTo(map) : null;
+const importLayer = map ? L.featureGroup().addTo(map) : null; // other polygons from an imported file
 
-let selecting=false, points=[], markers=[], line=null, poly=null;
-const drawLayer = (map && L) ? L.featureGroup().addTo(map) : null;
+if (hasPM){
+  map.pm.setGlobalOptions({
+    allowSelfIntersection: false,
+    pathOptions: FIELD_STYLE,
+    templineStyle: { color:'#ff7800', dashArray:'4,4', weight:2 },
+    hintlineStyle: { color:'#ff7800', dashArray:'4,4', weight:2 },
+  });
+} else if (map) {
+  console.error('Leaflet-Geoman not loaded; drawing is disabled.');
+}
 
 function setBtns(){
-  undoBtn && (undoBtn.disabled = !selecting || points.length===0);
-  resetBtn && (resetBtn.disabled = !selecting && !poly);
-  startBtn && (startBtn.disabled = selecting);
+  const multiVertex = drawing === 'Polygon' || drawing === 'Cut';
+  startBtn  && (startBtn.disabled  = !hasPM || drawing === 'Polygon');
+  rectBtn   && (rectBtn.disabled   = !hasPM || drawing === 'Rectangle');
+  circleBtn && (circleBtn.disabled = !hasPM || drawing === 'Circle');
+  holeBtn   && (holeBtn.disabled   = !hasPM || !field || drawing === 'Cut');
+  finishBtn && (finishBtn.disabled = !multiVertex || !pmAction('finish'));
+  undoBtn   && (undoBtn.disabled   = !multiVertex || !pmAction('undo'));
+  resetBtn  && (resetBtn.disabled  = !drawing && !field && !importLayer?.getLayers().length);
+  fieldSave && (fieldSave.disabled = !field && !activeFieldId);
+  comparePin && (comparePin.disabled = !field || !lastAnalysis);
 }
-function clearTemps(){
-  if (!drawLayer) return;
-  markers.forEach(m => drawLayer.removeLayer(m));
-  markers=[]; if (line){ drawLayer.removeLayer(line); line=null; }
-  points=[];
+function stopModes(){
+  if (!hasPM) return;
+  map.pm.disableDraw();
+  map.pm.globalCutModeEnabled?.() && map.pm.disableGlobalCutMode();
+  drawing = null;
 }
 function resetAll(){
-  clearTemps(); if (poly && drawLayer){ drawLayer.removeLayer(poly); poly=null; }
-  selecting=false; statusEl && (statusEl.textContent='Click Start, then pick 4 points'); setBtns();
-  writeResult(); // clear panel
+  stopModes();
+  analysisSeq++; clearTimeout(editTimer); analysisCtrl?.abort();
+  if (field && drawLayer){ field.pm?.disable(); drawLayer.removeLayer(field); field = null; }
+  importLayer?.clearLayers();
+  lastAnalysis = lastSeries = null;
+  selectField(null);
+  statusEl && (statusEl.textContent = IDLE_STATUS); setBtns();
+  writeResult(); clearProgress(); // clear panel
   clearPowerTable();
+  seriesPoint = null; powerLoad && (powerLoad.disabled = true);
+  prepareSimulation(null);
 }
-function begin(){
-  if (!map) return;
-  resetAll(); selecting=true; statusEl && (statusEl.textContent='Click 4 points on the map'); setBtns();
-}
-function undo(){
-  if (!points.length || !drawLayer || !L) return;
-  points.pop(); const m = markers.pop(); m && drawLayer.removeLayer(m);
-  if (line){ drawLayer.removeLayer(line); line=null; }
-  if (points.length>=2){
-    line = L.polyline(points, { color:'#ff7800', dashArray:'4,4', weight:2 }).addTo(drawLayer);
+
+const MODE_HINT = {
+  Polygon:   'Click to add vertices; Finish (F) or click the first vertex to close',
+  Rectangle: 'Click two opposite corners',
+  Circle:    'Click the center, then the radius',
+  Cut:       'Draw the hole inside the field; Finish (F) to cut',
+};
+function startMode(shape){
+  if (!hasPM) return;
+  stopModes();
+  if (shape === 'Cut'){
+    if (!field) return;
+    // circles can't be cut; swap in their polygon outline first
+    if (field instanceof L.Circle) setField(layerFromFeature(fieldGeoJSON(field)), { analyze:false, fieldId:activeFieldId });
+    map.pm.enableGlobalCutMode({ allowSelfIntersection:false });
+  } else {
+    map.pm.enableDraw(shape, { snappable:true });
   }
+  drawing = shape;
+  statusEl && (statusEl.textContent = MODE_HINT[shape]);
   setBtns();
 }
-startBtn?.addEventListener('click', begin);
+// Geoman has no public undo/finish for a shape being drawn; its own toolbar
+// calls these draw-handler methods. index.html pins the version (checked by
+// test/geoman-pin.test.js), and the buttons stay disabled if a build doesn't have them.
+const PM_ACTIONS = { undo:'_removeLastVertex', finish:'_finishShape' };
+function pmAction(what){
+  const handler = hasPM && drawing ? map.pm.Draw[drawing] : null;
+  const fn = handler?.[PM_ACTIONS[what]];
+  return typeof fn === 'function' ? fn.bind(handler) : null;
+}
+function undo(){ pmAction('undo')?.(); }
+function finish(){ pmAction('finish')?.(); }
+
+startBtn?.addEventListener('click', ()=>startMode('Polygon'));
+rectBtn?.addEventListener('click', ()=>startMode('Rectangle'));
+circleBtn?.addEventListener('click', ()=>startMode('Circle'));
+holeBtn?.addEventListener('click', ()=>startMode('Cut'));
+finishBtn?.addEventListener('click', finish);
 undoBtn?.addEventListener('click', undo);
 resetBtn?.addEventListener('click', resetAll);
 
@@ -153,91 +296,302 @@ resetBtn?.addEventListener('click', resetAll);
 window.addEventListener('keydown', (e)=>{
   if (['INPUT','TEXTAREA','SELECT'].includes(e.target.tagName)) return;
   const k = e.key.toLowerCase();
-  if (k==='s') begin();
+  if (k==='s') startMode('Polygon');
+  if (k==='h') startMode('Cut');
+  if (k==='f') finish();
   if (k==='u') undo();
   if (k==='r') resetAll();
 });
 
-// click-to-place
-map?.on('click', async (e)=>{
-  if (!selecting || !drawLayer || !L) return;
-
-  points.push(e.latlng);
-  const mk = L.circleMarker(e.latlng, { radius:6, color:'#fff', weight:2, fillColor:'#e11d48', fillOpacity:0.9 }).addTo(drawLayer);
-  mk.bindTooltip(String(points.length), { permanent:true, direction:'top' });
-  markers.push(mk);
-
-  if (line){ drawLayer.removeLayer(line); line=null; }
-  if (points.length>=2 && points.length<4){
-    line = L.polyline(points, { color:'#ff7800', dashArray:'4,4', weight:2 }).addTo(drawLayer);
-  }
-
-  if (points.length===4){
-    if (line){ drawLayer.removeLayer(line); line=null; }
-    poly = L.polygon(points, { color:'#1f2937', weight:2, fillColor:'#e11d48', fillOpacity:0.35 }).addTo(drawLayer);
-    selecting=false; setBtns();
-    statusEl && (statusEl.textContent='Analyzing…');
-
-    // area & centroid
-    const gj = poly.toGeoJSON();
-    let area_km2=null, centroid=null;
-    try{
-      if (typeof turf!=='undefined'){
-        area_km2 = turf.area(gj)/1e6;
-        const c = turf.centroid(gj)?.geometry?.coordinates; // [lng,lat]
-        if (c) centroid = { lon:c[0], lat:c[1] };
-      } else {
-        const b = poly.getBounds(); const c = b.getCenter();
-        centroid = { lon:c.lng, lat:c.lat };
-        const kmPerDeg = 111;
-        area_km2 = Math.abs(b.getNorth()-b.getSouth())*kmPerDeg * Math.abs(b.getEast()-b.getWest())*kmPerDeg;
-      }
-    }catch{}
+map?.on('pm:drawstart', ({ shape, workingLayer })=>{
+  workingLayer?.on?.('pm:vertexadded', ()=>{
+    const n = workingLayer.getLatLngs().length;
+    statusEl && (statusEl.textContent = `${n} vertex${n===1?'':'es'} — ${MODE_HINT[shape]}`);
+  });
+});
+map?.on('pm:drawend', ()=>{ drawing = null; setBtns(); });
+map?.on('pm:globalcutmodetoggled', ({ enabled })=>{ if (!enabled){ drawing = null; setBtns(); } });
+map?.on('pm:create', ({ layer })=>{ importLayer?.clearLayers(); setField(layer); });
+map?.on('pm:cut', ({ layer })=>{
+  map.removeLayer(layer);
+  const parts = polygonsOf(layer.toGeoJSON()).sort((a,b)=>ringsArea(b)-ringsArea(a));
+  if (!parts.length){ resetAll(); return; }
+  setField(layerFromFeature(parts[0]), { fieldId:activeFieldId });
+  if (parts.length > 1) statusEl && (statusEl.textContent = `Cut split the field; kept the largest of ${parts.length} parts`);
+});
 
-    // Kick off both: server analysis + POWER series (client-side)
-    await Promise.allSettled([
-      analyzePolygon(poly, area_km2, centroid),
-      centroid ? fetchPowerSeries(centroid.lat, centroid.lon) : Promise.resolve()
-    ]);
+// Make `layer` the field: editable, restyled, and re-analyzed on every edit.
+// `fieldId` ties it to a saved field (new drawings and imports start unsaved).
+function setField(layer, { analyze = true, fieldId = null } = {}){
+  if (!drawLayer) return;
+  if (fieldId !== activeFieldId) selectField(fieldId);
+  if (field && field !== layer){ field.pm?.disable(); drawLayer.removeLayer(field); }
+  map.hasLayer(layer) && map.removeLayer(layer); // Geoman adds new shapes straight to the map
+  field = layer;
+  layer.setStyle?.(FIELD_STYLE);
+  drawLayer.addLayer(layer);
+  layer.pm?.enable({ allowSelfIntersection:false, snappable:true });
+  layer.on('pm:edit', ()=>{ clearTimeout(editTimer); editTimer = setTimeout(runAnalysis, 600); });
+  setBtns();
+  if (analyze) runAnalysis();
+}
 
-    statusEl && (statusEl.textContent='Done. Click Reset to draw again.');
-  } else {
-    statusEl && (statusEl.textContent = `Point ${points.length}/4 placed…`);
+// GeoJSON Polygon/MultiPolygon Feature for the field (circles become a 64-gon)
+function fieldGeoJSON(layer){
+  if (layer instanceof L.Circle){
+    const c = layer.getLatLng(), r = layer.getRadius(), steps = 64;
+    const dLat = r / 111320, dLon = dLat / Math.cos(c.lat * Math.PI / 180);
+    const ring = Array.from({ length: steps }, (_, i) => {
+      const a = 2 * Math.PI * i / steps;
+      return [c.lng + dLon * Math.cos(a), c.lat + dLat * Math.sin(a)];
+    });
+    ring.push(ring[0]);
+    return { type:'Feature', properties:{ shape:'circle', radius_m:r }, geometry:{ type:'Polygon', coordinates:[ring] } };
+  }
+  return layer.toGeoJSON();
+}
+function layerFromFeature(f){
+  const flip = ring => ring.map(([x, y]) => [y, x]), g = f.geometry;
+  const latlngs = g.type === 'MultiPolygon' ? g.coordinates.map(p => p.map(flip)) : g.coordinates.map(flip);
+  return L.polygon(latlngs, FIELD_STYLE);
+}
+
+// area & centroid (Turf when loaded, bounding box otherwise)
+function measure(gj){
+  try{
+    if (typeof turf!=='undefined'){
+      const c = turf.centroid(gj)?.geometry?.coordinates; // [lng,lat]
+      return { area_km2: turf.area(gj)/1e6, centroid: c ? { lon:c[0], lat:c[1] } : null };
+    }
+    const b = L.geoJSON(gj).getBounds(); const c = b.getCenter();
+    const kmPerDeg = 111;
+    return {
+      area_km2: Math.abs(b.getNorth()-b.getSouth())*kmPerDeg * Math.abs(b.getEast()-b.getWest())*kmPerDeg,
+      centroid: { lon:c.lng, lat:c.lat }
+    };
+  }catch{ return { area_km2:null, centroid:null }; }
+}
+
+async function runAnalysis(){
+  if (!field) return;
+  const seq = ++analysisSeq;
+  lastAnalysis = lastSeries = null; setBtns();
+  const gj = fieldGeoJSON(field);
+  const { area_km2, centroid } = measure(gj);
+  statusEl && (statusEl.textContent='Analyzing…');
+
+  // Kick off both: server analysis + POWER series
+  const [analysis, series, zonal] = await Promise.all([
+    analyzePolygon(field, gj, area_km2, centroid, () => seq !== analysisSeq),
+    centroid ? fetchPowerSeries(centroid.lat, centroid.lon) : Promise.resolve(null),
+    rasterZonal(gj)
+  ]);
+  if (seq !== analysisSeq) return;
+  if (analysis && zonal) analysis.raster_zonal = zonal;
+  renderRasterZonal(analysis ? zonal : null);
+  lastAnalysis = analysis || null; lastSeries = series || null;
+  setBtns();
+  analysis && statusEl && (statusEl.textContent='Done. Drag vertices to adjust, H to cut a hole, R to reset.');
+
+  // a saved field keeps its latest shape and results
+  if (activeFieldId){
+    await patchField(activeFieldId, {
+      geometry: gj, area_km2, centroid,
+      ...(analysis ? { analysis } : {}),
+      ...(series ? { series } : {}),
+    }).catch(err => { fieldMsg && (fieldMsg.textContent = `Could not store results: ${String(err.message || err)}`); });
+    refreshFields();
+  }
+}
+
+/* ---------- boundary import (GeoJSON / KML / zipped shapefile) ---------- */
+// Every Polygon in a Feature/FeatureCollection/GeometryCollection; MultiPolygons are split
+function polygonsOf(gj){
+  const out = [];
+  const visit = (g, props = {}) => {
+    if (!g) return;
+    if (Array.isArray(g)) return g.forEach(x => visit(x));                // shpjs: one collection per layer
+    if (g.type === 'FeatureCollection') return g.features.forEach(f => visit(f));
+    if (g.type === 'Feature') return visit(g.geometry, g.properties || {});
+    if (g.type === 'GeometryCollection') return g.geometries.forEach(x => visit(x, props));
+    if (g.type === 'Polygon') out.push({ type:'Feature', properties:props, geometry:g });
+    if (g.type === 'MultiPolygon') g.coordinates.forEach(c => out.push({ type:'Feature', properties:props, geometry:{ type:'Polygon', coordinates:c } }));
+  };
+  visit(gj);
+  return out.filter(f => f.geometry.coordinates?.[0]?.length >= 4);
+}
+// rough size for ordering only (degrees², outer ring)
+function ringsArea(f){
+  const r = f.geometry.coordinates[0];
+  let a = 0;
+  for (let i = 0; i < r.length - 1; i++) a += r[i][0]*r[i+1][1] - r[i+1][0]*r[i][1];
+  return Math.abs(a) / 2;
+}
+
+async function readBoundaryFile(file){
+  const name = file.name.toLowerCase();
+  if (name.endsWith('.zip')){
+    if (typeof shp === 'undefined') throw new Error('shapefile reader not loaded');
+    return shp(await file.arrayBuffer());
+  }
+  const text = await file.text();
+  if (name.endsWith('.kml')){
+    if (typeof toGeoJSON === 'undefined') throw new Error('KML reader not loaded');
+    return toGeoJSON.kml(new DOMParser().parseFromString(text, 'text/xml'));
   }
+  return JSON.parse(text); // .geojson / .json
+}
+
+// Dashed outline that swaps places with the current field when clicked
+function addCandidate(f){
+  const c = L.polygon(layerFromFeature(f).getLatLngs(), { ...CANDIDATE_STYLE, pmIgnore:true }).addTo(importLayer);
+  const label = f.properties?.name || f.properties?.NAME || f.properties?.id;
+  label != null && c.bindTooltip(String(label));
+  c.on('click', ()=>{
+    importLayer.removeLayer(c);
+    field && addCandidate(fieldGeoJSON(field));
+    setField(layerFromFeature(f));
+  });
+}
+
+async function importBoundaries(files){
+  if (!files?.length || !map) return;
+  statusEl && (statusEl.textContent = 'Reading boundaries…');
+  const polys = [];
+  for (const file of files){
+    try { polys.push(...polygonsOf(await readBoundaryFile(file))); }
+    catch(err){ statusEl && (statusEl.textContent = `Could not read ${file.name}: ${String(err.message || err)}`); return; }
+  }
+  if (!polys.length){ statusEl && (statusEl.textContent = 'No polygons found in the dropped file(s)'); return; }
+
+  stopModes();
+  importLayer.clearLayers();
+  polys.sort((a,b)=>ringsArea(b)-ringsArea(a));
+  // the largest becomes the field; the rest stay as dashed outlines to click
+  polys.slice(1).forEach(addCandidate);
+  setField(layerFromFeature(polys[0]));
+  map.fitBounds(L.featureGroup([field, ...importLayer.getLayers()]).getBounds(), { padding:[40,40] });
+  if (polys.length > 1) statusEl && (statusEl.textContent = `Imported ${polys.length} polygons; analyzing the largest (click another to switch)`);
+}
+
+importBtn?.addEventListener('click', ()=>importFile?.click());
+importFile?.addEventListener('change', ()=>{ importBoundaries(Array.from(importFile.files || [])); importFile.value=''; });
+
+// drag & drop onto the map
+const mapEl = $('#map');
+mapEl?.addEventListener('dragover', (e)=>{ e.preventDefault(); mapEl.classList.add('dropping'); });
+mapEl?.addEventListener('dragleave', ()=>mapEl.classList.remove('dropping'));
+mapEl?.addEventListener('drop', (e)=>{
+  e.preventDefault(); mapEl.classList.remove('dropping');
+  importBoundaries(Array.from(e.dataTransfer?.files || []));
 });
 
-/* ---------- server call (AI + POWER averages) ---------- */
-async function analyzePolygon(polygonLayer, area_km2, centroidLngLat){
-  const geojson = polygonLayer?.toGeoJSON?.();
+setBtns();
+
+/* ---------- server call (AI + POWER averages, streamed progress) ---------- */
+// The server streams Server-Sent Events (see /analyze-polygon in server.js);
+// each step shows in the status bar and the Results tab as it happens.
+const cancelBtn   = $('#cancelBtn');
+const resProgress = $('#resProgress');
+const STAGE_LABELS = { 'ai-check':'AI sanity check of the POWER numbers', indices:'Agro indices from the daily series', 'ai-labels':'AI labels and crop re-ranking' };
+const tierText = (t) => `${t.tier}${t.window_days ? ` ${t.window_days} d` : t.window_months ? ` ${t.window_months} mo` : ''} · ${t.community}`;
+
+cancelBtn?.addEventListener('click', ()=>analysisCtrl?.abort());
+window.addEventListener('keydown', (e)=>{ if (e.key === 'Escape' && analysisCtrl) analysisCtrl.abort(); });
+
+// One line per step; a running step is replaced by its outcome
+function progressStep(key, text, state = 'run'){
+  if (!resProgress) return;
+  let li = resProgress.querySelector(`[data-key="${key}"]`);
+  if (!li){
+    resProgress.querySelectorAll('[data-state="run"]').forEach(x => { x.dataset.state = 'ok'; });
+    li = document.createElement('li'); li.dataset.key = key; resProgress.appendChild(li);
+  }
+  li.dataset.state = state; li.textContent = text;
+  resProgress.hidden = false;
+  if (state === 'run') statusEl && (statusEl.textContent = `Analyzing… ${text}`);
+}
+
+function clearProgress(){ resProgress && (resProgress.innerHTML = '', resProgress.hidden = true); }
+
+// Server-Sent Events from a fetch() body → onEvent(name, data)
+async function readEventStream(res, onEvent){
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = '';
+  for (;;){
+    const { value, done } = await reader.read();
+    if (done) return;
+    buf += decoder.decode(value, { stream:true });
+    let cut;
+    while ((cut = buf.indexOf('\n\n')) >= 0){
+      const block = buf.slice(0, cut); buf = buf.slice(cut + 2);
+      let event = 'message', data = '';
+      for (const line of block.split('\n')){
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
+async function analyzePolygon(polygonLayer, geojson, area_km2, centroidLngLat, isStale = () => false){
   if (!geojson) return;
+  analysisCtrl?.abort(); // an edit supersedes the previous run
+  const ctrl = analysisCtrl = new AbortController();
+  cancelBtn && (cancelBtn.hidden = false);
+  clearProgress();
+  const showError = (title, detail, status) => {
+    writeResult({ error:title, raw:detail, area:area_km2 });
+    polygonLayer.bindPopup(`<b>${esc(title)}</b><br/><pre style="white-space:pre-wrap">${esc(detail)}</pre>`).openPopup();
+    progressStep('result', title, 'fail');
+    statusEl && (statusEl.textContent = status);
+  };
   try{
     const res = await fetch('/analyze-polygon', {
       method:'POST',
-      headers:{ 'Content-Type':'application/json' },
+      headers:{ 'Content-Type':'application/json', 'Accept':'text/event-stream' },
       body: JSON.stringify({
         polygon: geojson,
         area_sq_km: area_km2,
         centroid: centroidLngLat || null
-      })
+      }),
+      signal: ctrl.signal
     });
-    const text = await res.text();
-    if (!res.ok){
-      writeResult({ error:`Server error ${res.status}`, raw:text, area:area_km2 });
-      polygonLayer.bindPopup(`<b>Server error ${res.status}</b><br/><pre style="white-space:pre-wrap">${esc(text)}</pre>`).openPopup();
-      statusEl && (statusEl.textContent='Server error');
-      return;
-    }
-    let data;
-    try { data = JSON.parse(text); }
-    catch {
-      writeResult({ error:'Bad JSON from server', raw:text, area:area_km2 });
-      polygonLayer.bindPopup(`<b>Bad JSON</b><br/><pre style="white-space:pre-wrap">${esc(text)}</pre>`).openPopup();
-      statusEl && (statusEl.textContent='Bad JSON'); return;
+    if (!res.ok || !res.headers.get('content-type')?.startsWith('text/event-stream')){
+      const text = await res.text();
+      if (isStale()) return; // the field was edited while this was in flight
+      return showError(`Server error ${res.status}`, text, 'Server error');
     }
 
+    let data = null, failure = null;
+    const empty = {}; // cell → tiers that came back empty
+    await readEventStream(res, (event, d) => {
+      if (isStale()) return;
+      if (event === 'start') progressStep('power', 'NASA POWER: starting the fallback chain');
+      else if (event === 'tier' && d.status === 'running'){
+        const where = d.cells > 1 ? ` (cell ${d.cell}/${d.cells})` : '';
+        const tried = empty[d.cell] ? `, ${empty[d.cell]} empty so far` : '';
+        progressStep('power', `NASA POWER: trying ${tierText(d)}${where}${tried}`);
+      }
+      else if (event === 'tier' && d.status === 'empty') empty[d.cell] = (empty[d.cell] || 0) + 1;
+      else if (event === 'power'){
+        const secs = d.power?.meta?.elapsed_ms != null ? ` in ${(d.power.meta.elapsed_ms / 1000).toFixed(1)} s` : '';
+        progressStep('power', `NASA POWER: ${d.when_range}${d.power?.community ? ` · ${d.power.community}` : ''}${secs}`, d.power?.meta?.source === 'defaults' ? 'fail' : 'ok');
+        writeResult({ power:d.power, area:area_km2 }); // numbers first, crops once the rest is done
+      }
+      else if (event === 'stage') progressStep(d.stage, STAGE_LABELS[d.stage] || d.stage);
+      else if (event === 'result') data = d;
+      else if (event === 'error') failure = d;
+    });
+    if (isStale()) return;
+    if (failure || !data) return showError(failure?.error || 'Analysis ended early', failure?.details || 'The server closed the stream without a result', 'Server error');
+    progressStep('result', 'Done', 'ok');
+
     polygonLayer.bindPopup(`
       <b>Country:</b> ${esc(data.country)}<br/>
-      <b>Crop:</b> ${esc(data.crop)}<br/>
+      <b>Crop:</b> ${esc(data.crop ?? (data.no_suitable_crop ? 'No suitable crop' : '—'))}<br/>
       <b>Regional popular:</b> ${esc(data.regional_popular_crop)}<br/>
       <b>Temp (°C):</b> ${esc(data.temperature_c ?? data.power?.t2m_avg ?? '—')}<br/>
       <b>Humidity (%):</b> ${esc(data.humidity_relative_percent ?? data.power?.rh2m_avg ?? '—')}<br/>
@@ -248,125 +602,893 @@ async function analyzePolygon(polygonLayer, area_km2, centroidLngLat){
     `).openPopup();
 
     writeResult({ ...data, area: area_km2 });
+    prepareSimulation(geojson, data.recommendations);
+    return data;
   }catch(err){
-    writeResult({ error:'Network error', raw:String(err), area:area_km2 });
-    polygonLayer.bindPopup(`<b>Network error</b><br/>${esc(String(err))}`).openPopup();
-    statusEl && (statusEl.textContent='Network error — is the server running?');
+    if (isStale()) return;
+    if (ctrl.signal.aborted){
+      resProgress?.querySelectorAll('[data-state="run"]').forEach(x => { x.dataset.state = 'stop'; });
+      progressStep('result', 'Cancelled', 'stop');
+      statusEl && (statusEl.textContent = 'Analysis cancelled. Edit the field or reopen it to run again.');
+      return;
+    }
+    showError('Network error', String(err), 'Network error — is the server running?');
+  }finally{
+    if (analysisCtrl === ctrl){ analysisCtrl = null; cancelBtn && (cancelBtn.hidden = true); }
   }
 }
 
-/* ---------- POWER client-side series (last 30 days) ---------- */
+/* ---------- POWER daily series (server-cleaned) ---------- */
 function fmtDateISO(d){ return d.toISOString().slice(0,10); }
-function fmtDateKey(d){ return d.toISOString().slice(0,10).replace(/-/g,''); }
+
+// default range: last 30 days
+(function initPowerRange(){
+  const end = new Date();
+  const start = new Date(end); start.setDate(end.getDate()-30);
+  powerStart && (powerStart.value = fmtDateISO(start));
+  powerEnd && (powerEnd.value = fmtDateISO(end));
+  powerEnd && (powerEnd.max = fmtDateISO(end));
+})();
+powerRange?.addEventListener('submit', (e)=>{
+  e.preventDefault();
+  if (seriesPoint) fetchPowerSeries(seriesPoint.lat, seriesPoint.lon);
+});
 
 async function fetchPowerSeries(lat, lon){
+  seriesPoint = { lat, lon };
+  powerLoad && (powerLoad.disabled = false);
   try{
-    // Build last 30-day range
-    const end = new Date();            // today
-    const start = new Date(end); start.setDate(end.getDate()-30);
-    const startKey = fmtDateKey(start);
-    const endKey   = fmtDateKey(end);
-
+    const start = powerStart?.value, end = powerEnd?.value;
     const params = new URLSearchParams({
-      latitude: lat, longitude: lon,
-      start: startKey, end: endKey,
+      lat, lon,
       parameters: 'T2M,RH2M,ALLSKY_SFC_SW_DWN,PRECTOTCORR',
-      community: 'AG', format: 'JSON'
+      community: 'AG',
+      indices: '1'
     });
+    start && params.set('start', start);
+    end && params.set('end', end);
 
     // Tell the UI
-    setPowerMeta(`Loading POWER for ${lat.toFixed(4)}, ${lon.toFixed(4)} from ${fmtDateISO(start)} to ${fmtDateISO(end)}…`);
+    setPowerMeta(`Loading POWER for ${lat.toFixed(4)}, ${lon.toFixed(4)} from ${start || '…'} to ${end || 'today'}…`);
     fillPowerTableLoading();
 
-    const url = `https://power.larc.nasa.gov/api/temporal/daily/point?${params.toString()}`;
-    const r = await fetch(url);
-    if (!r.ok) throw new Error(`POWER HTTP ${r.status}`);
-    const j = await r.json();
-
-    const p = j?.properties?.parameter || {};
-    const T2M = p.T2M || {};
-    const RH2M = p.RH2M || {};
-    const SOL = p.ALLSKY_SFC_SW_DWN || {};
-    const P   = p.PRECTOTCORR || {};
-
-    const dates = Object.keys(T2M).sort();
-    const rows = dates.map(dkey => {
-      const yyyy = dkey.slice(0,4), mm = dkey.slice(4,6), dd = dkey.slice(6,8);
-      const iso = `${yyyy}-${mm}-${dd}`;
-      const t   = toNum(T2M[dkey]);
-      const rh  = toNum(RH2M[dkey]);
-      const sol = toNum(SOL[dkey]);
-      const pr  = toNum(P[dkey]);
-
-      // harden against null/undefined: show '—' if not finite
-      return {
-        date: iso,
-        t: Number.isFinite(t)   ? t : null,
-        rh:Number.isFinite(rh)  ? rh: null,
-        sol:Number.isFinite(sol)? sol: null,
-        pr: Number.isFinite(pr) ? pr : null
-      };
-    });
+    const r = await fetch(`/power/series?${params.toString()}`);
+    const j = await r.json().catch(()=>null);
+    if (!r.ok) throw new Error(j?.error || `HTTP ${r.status}`);
 
-    renderPowerTable(rows);
-    setPowerMeta(`POWER daily @ ${lat.toFixed(4)}, ${lon.toFixed(4)} (${rows.length} days)`);
+    showPowerSeries(j, lat, lon);
     // Auto-switch to POWER tab so users see it immediately
     powerTabBtn?.click();
+    return j;
   } catch(err){
     setPowerMeta(`POWER load error: ${String(err.message || err)}`);
     renderPowerTable([]); // empties
+    return null;
   }
 }
-function toNum(v){ const n = Number(v); return Number.isFinite(n) ? n : NaN; }
+// Table + meta line for a /power/series payload (fresh or from a saved field)
+function showPowerSeries(j, lat, lon, note = ''){
+  const rows = (j.rows || []).map(row => ({
+    date: row.date,
+    t:   row.T2M ?? null,
+    rh:  row.RH2M ?? null,
+    sol: row.ALLSKY_SFC_SW_DWN ?? null,
+    pr:  row.PRECTOTCORR ?? null,
+    et0: row.ET0 ?? null,
+    wb:  row.WB ?? null,
+    flags: {
+      t: row.flags?.T2M, rh: row.flags?.RH2M,
+      sol: row.flags?.ALLSKY_SFC_SW_DWN, pr: row.flags?.PRECTOTCORR
+    }
+  }));
+
+  const q = Object.values(j.quality || {});
+  const imputed = q.reduce((s,x)=>s+(x.imputed||0),0);
+  const masked  = q.reduce((s,x)=>s+(x.masked||0),0);
+  renderPowerTable(rows);
+  renderPowerIndices(j.indices);
+  setPowerMeta(`POWER daily @ ${lat.toFixed(4)}, ${lon.toFixed(4)}, ${j.start} → ${j.end} (${rows.length} days` +
+    `${imputed ? `, ${imputed} gap-filled` : ''}${masked ? `, ${masked} missing` : ''})${note}`);
+}
 function setPowerMeta(text){ if (powerMeta) powerMeta.textContent = text; }
+
+// One-line summary of /power/series?indices=1 for the chosen range
+function renderPowerIndices(ix){
+  if (!powerIndices) return;
+  powerIndices.hidden = !ix;
+  if (!ix) { powerIndices.textContent = ''; return; }
+  const gdd = (ix.crops || []).map(c => `${c.crop} ${c.gdd}`).join(' · ');
+  powerIndices.innerHTML =
+    `ET0 ${fmtNum(ix.et0?.total_mm, 0)} mm · rain ${fmtNum(ix.rain_mm, 0)} mm · balance ${fmtNum(ix.water_balance?.total_mm, 0)} mm · ` +
+    `longest dry spell ${ix.dry_spell?.longest_days ?? '—'} d` +
+    (gdd ? `<br/>GDD: ${esc(gdd)}` : '');
+}
+function fmtNum(v, d = 1){ return (v != null && Number.isFinite(+v)) ? Number(v).toFixed(d) : '—'; }
+
+/* ---------- POWER charts (public/charts.js, no CDN) ---------- */
+const powerCharts    = $('#powerCharts');
+const powerTableWrap = $('#powerTableWrap');
+const powerViewChart = $('#powerViewChart');
+const powerViewTable = $('#powerViewTable');
+let powerChartSet = null; // [temp+RH, solar, rain]; created on first use
+
+function setPowerView(mode){
+  const chart = mode !== 'table';
+  powerCharts && (powerCharts.hidden = !chart);
+  powerTableWrap && (powerTableWrap.hidden = chart);
+  powerViewChart?.setAttribute('aria-pressed', String(chart));
+  powerViewTable?.setAttribute('aria-pressed', String(!chart));
+  try { localStorage.setItem('power_view', chart ? 'chart' : 'table'); } catch {}
+  if (chart) requestAnimationFrame(()=>powerChartSet?.forEach(c => c.redraw()));
+}
+powerViewChart?.addEventListener('click', ()=>setPowerView('chart'));
+powerViewTable?.addEventListener('click', ()=>setPowerView('table'));
+try { setPowerView(localStorage.getItem('power_view') || 'chart'); } catch { setPowerView('chart'); }
+
+// rows as built by showPowerSeries: { date, t, rh, sol, pr, flags:{ t, rh, sol, pr } }
+function renderPowerCharts(rows = []){
+  if (typeof Charts === 'undefined' || !powerCharts) return;
+  if (!powerChartSet){
+    powerChartSet = Charts.linkCharts(['#chartTempRh', '#chartSolar', '#chartRain'].map(id => Charts.createTimeChart($(id), {})));
+  }
+  const dates = rows.map(r => r.date);
+  const col = k => rows.map(r => r[k]);
+  const flags = k => rows.map(r => r.flags?.[k]);
+  let total = 0, balance = 0;
+  const cumulative = rows.map(r => (total += Number.isFinite(+r.pr) && r.pr != null ? +r.pr : 0));
+  const hasEt0 = rows.some(r => r.et0 != null);
+  const cumBalance = rows.map(r => (balance += r.wb != null ? +r.wb : 0));
+
+  const [tempRh, solar, rain] = powerChartSet;
+  tempRh.setData({ title:'Temperature & humidity', dates, series:[
+    { label:'Temp', color:'#e11d48', values:col('t'), flags:flags('t'), unit:'°C', digits:1 },
+    { label:'RH', color:'#0ea5e9', values:col('rh'), flags:flags('rh'), unit:'%', digits:0, axis:'right', dash:[4,3] },
+  ]});
+  solar.setData({ title:'Solar radiation', dates, series:[
+    { label:'Solar', color:'#f59e0b', values:col('sol'), flags:flags('sol'), unit:'MJ/m²/day', digits:2 },
+  ]});
+  rain.setData({ title:'Rainfall', dates, series:[
+    { label:'Daily', color:'#2563eb', values:col('pr'), flags:flags('pr'), unit:'mm/day', digits:2, type:'bar' },
+    { label:'Cumulative', color:'#16a34a', values:cumulative, unit:'mm', digits:1, axis:'right' },
+    ...(hasEt0 ? [
+      { label:'ET0', color:'#9333ea', values:col('et0'), unit:'mm/day', digits:2, dash:[4,3] },
+      { label:'Rain − ET0', color:'#ea580c', values:cumBalance, unit:'mm', digits:1, axis:'right' },
+    ] : []),
+  ]});
+}
+powerTabBtn?.addEventListener('click', ()=>requestAnimationFrame(()=>powerChartSet?.forEach(c => c.redraw())));
+window.addEventListener('resize', ()=>powerChartSet?.forEach(c => c.redraw()));
 function fillPowerTableLoading(){
   if (!powerTbody) return;
-  powerTbody.innerHTML = `<tr><td colspan="5" class="muted">Loading…</td></tr>`;
+  powerTbody.innerHTML = `<tr><td colspan="7" class="muted">Loading…</td></tr>`;
 }
 function clearPowerTable(){
+  renderPowerCharts([]);
+  renderPowerIndices(null);
   if (!powerTbody) return;
-  powerTbody.innerHTML = `<tr><td colspan="5" class="muted">—</td></tr>`;
+  powerTbody.innerHTML = `<tr><td colspan="7" class="muted">—</td></tr>`;
 }
 function renderPowerTable(rows){
+  renderPowerCharts(rows || []);
   if (!powerTbody) return;
   if (!rows?.length){
-    powerTbody.innerHTML = `<tr><td colspan="5" class="muted">No data</td></tr>`;
+    powerTbody.innerHTML = `<tr><td colspan="7" class="muted">No data</td></tr>`;
     return;
   }
+  // imputed/masked cells get a class + tooltip
+  const cell = (r, k, text) => {
+    const f = r.flags?.[k];
+    return f ? `<td class="${esc(f)}" title="${esc(f)}">${text}</td>` : `<td>${text}</td>`;
+  };
   powerTbody.innerHTML = rows.map(r => `
     <tr>
       <td class="mono">${esc(r.date)}</td>
-      <td>${r.t   != null ? Number(r.t).toFixed(1)  : '—'}</td>
-      <td>${r.rh  != null ? Math.round(r.rh)        : '—'}</td>
-      <td>${r.sol != null ? Number(r.sol).toFixed(2): '—'}</td>
-      <td>${r.pr  != null ? Number(r.pr).toFixed(2) : '—'}</td>
+      ${cell(r, 't',   r.t   != null ? Number(r.t).toFixed(1)  : '—')}
+      ${cell(r, 'rh',  r.rh  != null ? Math.round(r.rh)        : '—')}
+      ${cell(r, 'sol', r.sol != null ? Number(r.sol).toFixed(2): '—')}
+      ${cell(r, 'pr',  r.pr  != null ? Number(r.pr).toFixed(2) : '—')}
+      <td>${fmtNum(r.et0, 2)}</td>
+      <td>${fmtNum(r.wb, 2)}</td>
     </tr>
   `).join('');
 }
 
+/* ---------- data-quality badge (provenance from the server) ---------- */
+const ORIGIN_LABEL = {
+  observed:'observed', neighbor:'neighbor', climatology:'climatology',
+  derived:'derived', default:'default', 'ai-adjusted':'AI-adjusted'
+};
+function qualityBadge(prov, digits = 1){
+  if (!prov?.origin) return '';
+  const tip = [];
+  if (prov.source) tip.push(`POWER ${prov.source}`);
+  if (prov.n) tip.push(`${prov.n} samples`);
+  if (Array.isArray(prov.range) && prov.range.every(v => Number.isFinite(+v))) {
+    tip.push(`range ${Number(prov.range[0]).toFixed(digits)}–${Number(prov.range[1]).toFixed(digits)}`);
+  }
+  if (prov.from) tip.push(`from ${prov.from}`);
+  if (prov.mixed) tip.push(Object.entries(prov.mixed).map(([o,w]) => `${o} ${Math.round(w*100)}%`).join(', '));
+  if (prov.origin === 'ai-adjusted' && prov.original != null) tip.push(`was ${Number(prov.original).toFixed(digits)} (${prov.based_on || '?'})`);
+  if (prov.capped && prov.proposed != null) tip.push(`AI proposed ${Number(prov.proposed).toFixed(digits)}, capped`);
+  if (prov.clamped) tip.push('clamped to physical range');
+  return ` <span class="qbadge ${esc(prov.origin)}" title="${esc(tip.join(' · ') || prov.origin)}">${esc(ORIGIN_LABEL[prov.origin] || prov.origin)}</span>`;
+}
+function setMetric(el, text, prov, digits){
+  if (!el) return;
+  el.innerHTML = esc(text) + (text === '—' ? '' : qualityBadge(prov, digits));
+}
+
+/* ---------- season simulation (/simulate) ---------- */
+async function loadCropOptions(preferred = []){
+  if (!simCrop) return;
+  let names = preferred.map(r => r.crop);
+  try{
+    const r = await fetch('/crops');
+    const j = await r.json();
+    for (const c of j.crops || []) if (!names.includes(c.name)) names.push(c.name);
+  }catch{}
+  simCrop.innerHTML = names.map(n => `<option value="${esc(n)}">${esc(n)}</option>`).join('');
+}
+function prepareSimulation(geojson, recommendations){
+  simPolygon = geojson || null;
+  simRun && (simRun.disabled = !simPolygon);
+  gameWeatherBtn && (gameWeatherBtn.disabled = !simPolygon);
+  gameWeatherMsg && (gameWeatherMsg.textContent = '');
+  climRun && (climRun.disabled = !simPolygon);
+  adviceCrops = (recommendations || []).slice(0, 3).map(r => r.crop);
+  adviceRun && (adviceRun.disabled = !simPolygon);
+  adviceOut && (adviceOut.innerHTML = `<p class="muted">${simPolygon ? 'When to sow the top crops, and how much to irrigate.' : 'Draw a polygon first.'}</p>`);
+  climNotes && (climNotes.innerHTML = `<li class="muted">${simPolygon ? 'Compare recent months with the long-term normals.' : 'Draw a polygon first.'}</li>`);
+  climTable && (climTable.innerHTML = '');
+  simOut && (simOut.textContent = simPolygon ? 'Pick a crop and sowing date.' : 'Draw a polygon first.');
+  if (simSowing && !simSowing.value){
+    const d = new Date(); d.setMonth(d.getMonth()-6);
+    simSowing.value = d.toISOString().slice(0,10);
+  }
+  if (simPolygon) loadCropOptions(recommendations || []);
+}
+simForm?.addEventListener('submit', async (e)=>{
+  e.preventDefault();
+  if (!simPolygon) return;
+  simRun.disabled = true;
+  simOut.textContent = 'Simulating…';
+  try{
+    const res = await fetch('/simulate', {
+      method:'POST',
+      headers:{ 'Content-Type':'application/json' },
+      body: JSON.stringify({
+        polygon: simPolygon,
+        crop: simCrop.value,
+        sowing_date: simSowing.value,
+        season_days: Number($('#simDays')?.value || 150),
+        irrigation_mm_day: Number($('#simIrrigation')?.value || 0),
+        npk: ['#simN','#simP','#simK'].map(id => Number($(id)?.value || 0))
+      })
+    });
+    const j = await res.json();
+    if (!res.ok) throw new Error(j?.error || `HTTP ${res.status}`);
+    const s = j.summary;
+    simOut.textContent =
+      `${j.crop}: ${s.yield_t_ha} t/ha (marketable ${s.marketable_yield_t_ha} t/ha)\n` +
+      `Biomass ${s.final_biomass_g_m2} g/m², stage ${s.final_stage_name}` +
+      `${s.harvest_day ? `, harvest on day ${s.harvest_day}` : ', not mature by season end'}\n` +
+      `Quality ${Math.round(s.crop_quality*100)}%, nutrient runoff ${s.total_runoff}\n` +
+      `Weather ${j.weather.start} → ${j.weather.end}${j.weather.note ? ` (${j.weather.note})` : ''}`;
+  }catch(err){
+    simOut.textContent = `Simulation error: ${String(err.message || err)}`;
+  }finally{
+    simRun.disabled = !simPolygon;
+  }
+});
+
+/* ---------- planting & irrigation advice (/advise) ---------- */
+function renderAdvice(j){
+  const sow = (j.sowing || []).map(c => `
+    <div class="sow">
+      <b>${esc(c.crop)}</b>${c.windows.length
+        ? c.windows.map(w => `<span class="window">${esc(w.label)}</span>`).join('')
+        : '<span class="window muted">no good window</span>'}
+      <p class="why muted">${esc(c.explanation)}</p>
+    </div>`).join('');
+
+  const irr = j.irrigation || {};
+  const weekRow = (w, label) => `
+    <tr><td class="mono">${esc(label)}</td><td>${fmtNum(w.etc_mm)}</td><td>${fmtNum(w.rain_mm)}</td><td class="${w.need_mm > 0 ? 'warm' : ''}">${fmtNum(w.need_mm)}</td></tr>`;
+  const rows = [
+    ...(irr.recent || []).map(w => weekRow(w, w.start)),
+    ...(irr.outlook || []).map(w => weekRow(w, `${w.start} (normal)`)),
+  ].join('');
+  adviceOut.innerHTML = sow + `
+    <p style="margin:8px 0 4px"><b>Irrigation${irr.crop ? ` · ${esc(irr.crop)}` : ''}</b> <span class="muted">(Kc ${esc(irr.kc)})</span></p>
+    <p class="why muted">${esc(irr.explanation || '')}</p>
+    ${rows ? `<div style="overflow:auto"><table class="compare">
+      <thead><tr><th>Week from</th><th>Crop ET (mm)</th><th>Rain (mm)</th><th>Need (mm)</th></tr></thead>
+      <tbody>${rows}</tbody></table></div>` : ''}
+    ${j.warning ? `<p class="muted">${esc(j.warning)}</p>` : ''}`;
+}
+
+adviceRun?.addEventListener('click', async ()=>{
+  if (!simPolygon) return;
+  adviceRun.disabled = true;
+  adviceOut.innerHTML = '<p class="muted">Scoring sowing months…</p>';
+  try{
+    const res = await fetch('/advise', {
+      method:'POST',
+      headers:{ 'Content-Type':'application/json' },
+      body: JSON.stringify({ polygon: simPolygon, ...(adviceCrops.length ? { crops: adviceCrops } : {}) })
+    });
+    const j = await res.json().catch(()=>null);
+    if (!res.ok) throw new Error(j?.error || `HTTP ${res.status}`);
+    renderAdvice(j);
+  }catch(err){
+    adviceOut.innerHTML = `<p class="muted">Advice error: ${esc(String(err.message || err))}</p>`;
+  }finally{
+    adviceRun.disabled = !simPolygon;
+  }
+});
+
+/* ---------- climate vs normal (/climate/anomalies) ---------- */
+const CLIM_COLS = [
+  { key:'T2M', label:'Temp', digits:1 },
+  { key:'RH2M', label:'RH', digits:0 },
+  { key:'PRECTOTCORR', label:'Rain', pct:true },
+  { key:'ALLSKY_SFC_SW_DWN', label:'Solar', digits:1 },
+];
+const signed = (v, d) => `${v > 0 ? '+' : v < 0 ? '−' : '±'}${Math.abs(v).toFixed(d)}`;
+
+function renderClimate(j){
+  const warmth = a => !a ? '' : a.diff > 0 ? 'warm' : a.diff < 0 ? 'cool' : '';
+  climNotes.innerHTML = j.notes?.length
+    ? j.notes.map(n => `<li class="${n.param === 'T2M' ? warmth(n) : ''}">${esc(n.text)}${n.complete ? '' : ' <span class="muted">(month so far)</span>'}</li>`).join('')
+    : `<li class="muted">${esc(j.warning || 'No recent data to compare.')}</li>`;
+  if (j.warning && j.notes?.length) climNotes.innerHTML += `<li class="muted">${esc(j.warning)}</li>`;
+
+  // recent months: anomaly per parameter, then the 12 normals underneath
+  const head = `<thead><tr><th>Month</th>${CLIM_COLS.map(c => `<th>${c.label}</th>`).join('')}</tr></thead>`;
+  const recent = (j.recent || []).slice().reverse().map(m => `
+    <tr><td>${esc(m.month)}${m.complete ? '' : '*'}</td>${CLIM_COLS.map(c => {
+      const a = m.anomalies?.[c.key];
+      if (!a) return '<td>—</td>';
+      const txt = c.pct ? (a.pct == null ? '—' : `${signed(a.pct, 0)}%`) : signed(a.diff, c.digits);
+      return `<td class="${c.key === 'T2M' ? warmth(a) : ''}" title="${esc(a.text || '')}">${txt}</td>`;
+    }).join('')}</tr>`).join('');
+  const MONTHS = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
+  const normals = MONTHS.map((name, i) => `
+    <tr><td class="muted">${name} normal</td>${CLIM_COLS.map(c => {
+      const v = j.normals?.[c.key]?.months?.[i];
+      return `<td class="muted">${v == null ? '—' : Number(v).toFixed(c.pct ? 2 : (c.digits ?? 1))}</td>`;
+    }).join('')}</tr>`).join('');
+  climTable.innerHTML = head + `<tbody>${recent}${normals}</tbody>`;
+}
+
+climRun?.addEventListener('click', async ()=>{
+  if (!simPolygon) return;
+  climRun.disabled = true;
+  climNotes.innerHTML = '<li class="muted">Loading normals…</li>';
+  try{
+    const res = await fetch('/climate/anomalies', {
+      method:'POST',
+      headers:{ 'Content-Type':'application/json' },
+      body: JSON.stringify({ polygon: simPolygon, months: Number(climMonths?.value || 6) })
+    });
+    const j = await res.json().catch(()=>null);
+    if (!res.ok) throw new Error(j?.error || `HTTP ${res.status}`);
+    renderClimate(j);
+  }catch(err){
+    climNotes.innerHTML = `<li class="muted">Climate error: ${esc(String(err.message || err))}</li>`;
+  }finally{
+    climRun.disabled = !simPolygon;
+  }
+});
+
+/* ---------- game weather.csv (/export/game-weather) ---------- */
+gameWeatherBtn?.addEventListener('click', async ()=>{
+  if (!simPolygon) return;
+  gameWeatherBtn.disabled = true;
+  gameWeatherMsg.textContent = 'Preparing weather.csv…';
+  try{
+    const res = await fetch('/export/game-weather', {
+      method:'POST',
+      headers:{ 'Content-Type':'application/json' },
+      body: JSON.stringify({ polygon: simPolygon, season: 'growing' })
+    });
+    if (!res.ok){
+      const j = await res.json().catch(()=>null);
+      throw new Error(j?.error || `HTTP ${res.status}`);
+    }
+    const blob = await res.blob();
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = 'weather.csv';
+    document.body.appendChild(a); a.click(); a.remove();
+    setTimeout(()=>URL.revokeObjectURL(a.href), 1000);
+    const win = (res.headers.get('X-Weather-Window') || '').replace('/', ' → ');
+    const imputed = Number(res.headers.get('X-Weather-Imputed-Days') || 0);
+    gameWeatherMsg.textContent = `weather.csv saved${win ? ` (${win})` : ''}${imputed ? `, ${imputed} gap-filled day(s)` : ''}. Place it in the game's working folder.`;
+  }catch(err){
+    gameWeatherMsg.textContent = `Export error: ${String(err.message || err)}`;
+  }finally{
+    gameWeatherBtn.disabled = !simPolygon;
+  }
+});
+
+/* ---------- saved fields (/fields) ---------- */
+async function fieldsApi(url, opts = {}){
+  const res = await fetch(url, {
+    ...opts,
+    headers: opts.body ? { 'Content-Type':'application/json' } : undefined,
+    body: opts.body ? JSON.stringify(opts.body) : undefined
+  });
+  if (res.status === 204) return null;
+  const j = await res.json().catch(()=>null);
+  if (!res.ok) throw new Error(j?.error || `HTTP ${res.status}`);
+  return j;
+}
+const patchField = (id, body) => fieldsApi(`/fields/${encodeURIComponent(id)}`, { method:'PATCH', body });
+
+// Which saved field (if any) the map shows; fills the name/notes form
+function selectField(id, record = null){
+  activeFieldId = id;
+  if (fieldName) fieldName.value = record?.name ?? '';
+  if (fieldNotes) fieldNotes.value = record?.notes ?? '';
+  if (fieldSave) fieldSave.textContent = id ? 'Update name & notes' : 'Save field';
+  fieldList?.querySelectorAll('li[data-id]').forEach(li => li.classList.toggle('is-active', li.dataset.id === id));
+  setBtns();
+}
+
+async function refreshFields(){
+  if (!fieldList) return;
+  try{
+    const { fields } = await fieldsApi('/fields');
+    if (!fields.length){ fieldList.innerHTML = `<li class="muted">No saved fields yet.</li>`; return; }
+    fieldList.innerHTML = fields.map(f => `
+      <li data-id="${esc(f.id)}" class="${f.id === activeFieldId ? 'is-active' : ''}">
+        <span class="name">${esc(f.name)}</span>
+        <span class="meta">${f.area_km2 != null ? `${Number(f.area_km2).toFixed(2)} km² · ` : ''}${f.analysis?.crop ? `${esc(f.analysis.crop)} · ` : ''}updated ${esc(new Date(f.updated_at).toLocaleString())}</span>
+        ${f.notes ? `<span class="meta">${esc(f.notes)}</span>` : ''}
+        <span class="actions">
+          <button class="btn secondary" data-act="open">Open</button>
+          <button class="btn secondary" data-act="reanalyze">Re-analyze</button>
+          <button class="btn secondary" data-act="compare"${f.analysis ? '' : ' disabled'}>Compare</button>
+          <button class="btn secondary" data-act="report"${f.analysis ? '' : ' disabled'}>Report</button>
+          <button class="btn secondary" data-act="pdf"${f.analysis ? '' : ' disabled'}>PDF</button>
+          <button class="btn secondary" data-act="rename">Rename</button>
+          <button class="btn secondary" data-act="delete">Delete</button>
+        </span>
+      </li>`).join('');
+  }catch(err){
+    fieldList.innerHTML = `<li class="muted">Could not load fields: ${esc(String(err.message || err))}</li>`;
+  }
+}
+
+// Put a saved field on the map with its stored results; optionally re-run them
+async function openField(id, { reanalyze = false } = {}){
+  if (!map) return;
+  try{
+    const f = await fieldsApi(`/fields/${encodeURIComponent(id)}`);
+    stopModes(); importLayer?.clearLayers();
+    setField(layerFromFeature(f.geometry), { analyze:false, fieldId:f.id });
+    selectField(f.id, f);
+    map.fitBounds(field.getBounds(), { padding:[40,40] });
+    if (reanalyze || !f.analysis){ runAnalysis(); return; }
+
+    analysisSeq++; analysisCtrl?.abort(); clearProgress(); // drop anything still in flight for the previous field
+    lastAnalysis = f.analysis.result; lastSeries = f.series;
+    setBtns();
+    writeResult({ ...f.analysis.result, area: f.area_km2 });
+    prepareSimulation(f.geometry, f.analysis.result?.recommendations);
+    if (f.series && f.centroid){
+      seriesPoint = { ...f.centroid }; powerLoad && (powerLoad.disabled = false);
+      showPowerSeries(f.series, f.centroid.lat, f.centroid.lon, ` — saved ${new Date(f.series.at).toLocaleString()}`);
+    } else {
+      clearPowerTable();
+    }
+    statusEl && (statusEl.textContent = `Opened "${f.name}" (analyzed ${new Date(f.analysis.at).toLocaleString()})`);
+  }catch(err){
+    fieldMsg && (fieldMsg.textContent = `Could not open field: ${String(err.message || err)}`);
+  }
+}
+
+fieldForm?.addEventListener('submit', async (e)=>{
+  e.preventDefault();
+  const name = fieldName?.value.trim();
+  if (!name){ fieldMsg && (fieldMsg.textContent = 'Give the field a name first.'); fieldName?.focus(); return; }
+  const notes = fieldNotes?.value || '';
+  fieldSave.disabled = true;
+  try{
+    if (activeFieldId){
+      await patchField(activeFieldId, { name, notes });
+      fieldMsg && (fieldMsg.textContent = `Updated "${name}".`);
+    } else {
+      if (!field) return;
+      const geometry = fieldGeoJSON(field);
+      const { area_km2, centroid } = measure(geometry);
+      const saved = await fieldsApi('/fields', { method:'POST', body: {
+        name, notes, geometry, area_km2, centroid,
+        ...(lastAnalysis ? { analysis: lastAnalysis } : {}),
+        ...(lastSeries ? { series: lastSeries } : {}),
+      }});
+      selectField(saved.id, saved);
+      fieldMsg && (fieldMsg.textContent = `Saved "${name}". Edits to it are stored automatically.`);
+    }
+    refreshFields();
+  }catch(err){
+    fieldMsg && (fieldMsg.textContent = `Save failed: ${String(err.message || err)}`);
+  }finally{
+    setBtns();
+  }
+});
+
+fieldList?.addEventListener('click', async (e)=>{
+  const btn = e.target.closest('button[data-act]');
+  const id = btn?.closest('li[data-id]')?.dataset.id;
+  if (!id) return;
+  const act = btn.dataset.act;
+  if (act === 'open') return openField(id);
+  if (act === 'reanalyze') return openField(id, { reanalyze:true });
+  if (act === 'compare') return pinSavedField(id);
+  if (act === 'report' || act === 'pdf'){
+    window.open(`/fields/${encodeURIComponent(id)}/report?format=${act === 'pdf' ? 'pdf' : 'html'}${apiKeyQuery()}`, '_blank', 'noopener');
+    return;
+  }
+  try{
+    if (act === 'rename'){
+      const current = btn.closest('li').querySelector('.name')?.textContent || '';
+      const name = prompt('New name for this field', current)?.trim();
+      if (!name || name === current) return;
+      await patchField(id, { name });
+      if (id === activeFieldId && fieldName) fieldName.value = name;
+    }
+    if (act === 'delete'){
+      if (!confirm('Delete this saved field? The drawing on the map stays until you reset.')) return;
+      await fieldsApi(`/fields/${encodeURIComponent(id)}`, { method:'DELETE' });
+      if (id === activeFieldId) selectField(null, { name: fieldName?.value, notes: fieldNotes?.value });
+    }
+    refreshFields();
+  }catch(err){
+    fieldMsg && (fieldMsg.textContent = `${act} failed: ${String(err.message || err)}`);
+  }
+});
+
+refreshFields();
+
+/* ---------- compare (2–5 pinned fields) ---------- */
+const PIN_COLORS = ['#e11d48', '#2563eb', '#16a34a', '#f59e0b', '#9333ea'];
+const MAX_PINS = 5;
+const pins = []; // { key, name, color, geometry, area_km2, analysis, series, layer }
+let compareChartSet = [];
+const pinLayer = map ? L.featureGroup().addTo(map) : null;
+const compareTabBtn = Array.from(document.querySelectorAll('.tab')).find(t => t.dataset.tab==='compare');
+
+const SERIES_CHARTS = [
+  { key:'T2M', title:'Temperature', unit:'°C', digits:1 },
+  { key:'PRECTOTCORR', title:'Precipitation', unit:'mm/day', digits:2 },
+  { key:'ALLSKY_SFC_SW_DWN', title:'Solar', unit:'MJ/m²/day', digits:2 },
+  { key:'RH2M', title:'Humidity', unit:'%', digits:0 },
+];
+
+const mean = a => a.length ? a.reduce((s, v) => s + v, 0) / a.length : null;
+const seriesValues = (pin, k) => (pin.series?.rows || []).map(r => r[k]).filter(v => v != null && Number.isFinite(+v)).map(Number);
+
+// Table rows: [label, pin => value, { digits } | { text:true }]
+const COMPARE_ROWS = [
+  ['Area (km²)',          p => p.area_km2, { digits:2 }],
+  ['Temp (°C)',           p => p.analysis.power?.t2m_avg, { digits:1 }],
+  ['Humidity (%)',        p => p.analysis.power?.rh2m_avg, { digits:0 }],
+  ['Precip (mm/day)',     p => p.analysis.power?.precip_mm_day, { digits:2 }],
+  ['Solar (MJ/m²/day)',   p => p.analysis.power?.solar_mj_m2_day, { digits:2 }],
+  ['POWER source',        p => p.analysis.power?.meta?.source, { text:true }],
+  ['Recommended crop',    p => p.analysis.crop, { text:true }],
+  ['Series days',         p => p.series?.rows?.length ?? null, { digits:0 }],
+  ['Series mean temp (°C)', p => mean(seriesValues(p, 'T2M')), { digits:1 }],
+  ['Series total precip (mm)', p => { const v = seriesValues(p, 'PRECTOTCORR'); return v.length ? v.reduce((s, x) => s + x, 0) : null; }, { digits:0 }],
+];
+
+// Crops worth a row: anything in any pin's top 5
+function compareCrops(){
+  const names = new Set();
+  pins.forEach(p => (p.analysis.recommendations || []).slice(0, 5).forEach(r => names.add(r.crop)));
+  return [...names];
+}
+const cropScore = (p, crop) => (p.analysis.recommendations || []).find(r => r.crop === crop)?.score ?? null;
+
+function compareMatrix(){
+  const rows = COMPARE_ROWS.map(([label, get, opt]) => ({ label, values: pins.map(p => get(p) ?? null), ...opt }));
+  for (const crop of compareCrops()) rows.push({ label:`Score: ${crop}`, values: pins.map(p => cropScore(p, crop)), digits:2 });
+  return rows;
+}
+
+function renderCompare(){
+  const n = pins.length;
+  compareCsv && (compareCsv.disabled = n < 1);
+  compareDailyCsv && (compareDailyCsv.disabled = !pins.some(p => p.series?.rows?.length));
+  compareClear && (compareClear.disabled = n < 1);
+  if (compareMsg) compareMsg.textContent = n >= 2
+    ? `${n} of ${MAX_PINS} fields pinned.`
+    : n === 1 ? 'Pin at least one more field to compare.' : 'Pin 2–5 analyzed fields to compare them side by side.';
+  if (compareLegend) compareLegend.innerHTML = pins.map(p => `<span><i style="background:${p.color}"></i>${esc(p.name)}</span>`).join('');
+  if (!compareTable) return;
+  if (!n){
+    compareTable.innerHTML = `<tbody><tr><td class="muted">—</td></tr></tbody>`;
+    compareCharts && (compareCharts.innerHTML = '');
+    return;
+  }
+
+  const head = `<thead><tr><th></th>${pins.map((p, i) => `
+    <th style="--pin:${p.color}">${esc(p.name)}<br/><button class="btn secondary" data-unpin="${i}" style="padding:2px 6px; font-size:11px">✕</button></th>`).join('')}</tr></thead>`;
+  const body = compareMatrix().map(r => {
+    let cls = r.values.map(() => '');
+    if (n > 1 && r.text){
+      cls = r.values.map((v, i) => (i && v !== r.values[0] ? 'diff' : ''));
+    } else if (n > 1){
+      const nums = r.values.filter(v => v != null);
+      const hi = Math.max(...nums), lo = Math.min(...nums);
+      if (nums.length > 1 && hi !== lo) cls = r.values.map(v => (v === hi ? 'hi' : v === lo ? 'lo' : ''));
+    }
+    const cells = r.values.map((v, i) => `<td class="${cls[i]}">${v == null ? '—' : esc(r.text ? v : Number(v).toFixed(r.digits))}</td>`);
+    return `<tr><td>${esc(r.label)}</td>${cells.join('')}</tr>`;
+  }).join('');
+  compareTable.innerHTML = head + `<tbody>${body}</tbody>`;
+
+  if (compareCharts && typeof Charts !== 'undefined'){
+    compareCharts.innerHTML = SERIES_CHARTS.map(c => `<canvas data-chart="${c.key}" aria-label="${esc(c.title)} chart"></canvas>`).join('');
+    const lists = pins.map(p => p.series?.rows || []);
+    compareChartSet = Charts.linkCharts(SERIES_CHARTS.map(c => {
+      const { dates, values } = Charts.alignSeries(lists, c.key);
+      return Charts.createTimeChart(compareCharts.querySelector(`canvas[data-chart="${c.key}"]`), {
+        title: c.title, dates,
+        series: pins.map((p, i) => ({ label: p.name, color: p.color, values: values[i], unit: c.unit, digits: c.digits })),
+      });
+    }));
+  }
+}
+
+function pinEntry({ key, name, geometry, area_km2, analysis, series }){
+  if (!analysis){ compareMsg && (compareMsg.textContent = 'Analyze the field first.'); return; }
+  if (pins.some(p => p.key === key)){ compareMsg && (compareMsg.textContent = `${name} is already pinned.`); return; }
+  if (pins.length >= MAX_PINS){ compareMsg && (compareMsg.textContent = `At most ${MAX_PINS} fields; remove one first.`); return; }
+  const color = PIN_COLORS.find(c => !pins.some(p => p.color === c));
+  const layer = pinLayer && L.polygon(layerFromFeature(geometry).getLatLngs(), { color, weight:3, fill:false, pmIgnore:true, interactive:false })
+    .bindTooltip(name).addTo(pinLayer);
+  pins.push({ key, name, color, geometry, area_km2, analysis, series, layer });
+  renderCompare();
+  compareTabBtn?.click();
+}
+function unpin(i){
+  const [p] = pins.splice(i, 1);
+  p?.layer && pinLayer.removeLayer(p.layer);
+  renderCompare();
+}
+
+comparePin?.addEventListener('click', ()=>{
+  if (!field) return;
+  const geometry = fieldGeoJSON(field);
+  pinEntry({
+    key: activeFieldId || JSON.stringify(geometry.geometry.coordinates),
+    name: (activeFieldId && fieldName?.value.trim()) || `Field ${pins.length + 1}`,
+    geometry, area_km2: measure(geometry).area_km2,
+    analysis: lastAnalysis, series: lastSeries,
+  });
+});
+async function pinSavedField(id){
+  try{
+    const f = await fieldsApi(`/fields/${encodeURIComponent(id)}`);
+    pinEntry({ key:f.id, name:f.name, geometry:f.geometry, area_km2:f.area_km2, analysis:f.analysis?.result, series:f.series });
+  }catch(err){
+    fieldMsg && (fieldMsg.textContent = `Could not load field: ${String(err.message || err)}`);
+  }
+}
+compareTable?.addEventListener('click', (e)=>{
+  const b = e.target.closest('button[data-unpin]');
+  if (b) unpin(Number(b.dataset.unpin));
+});
+compareClear?.addEventListener('click', ()=>{ while (pins.length) unpin(0); });
+
+// CSV download helpers
+const csvCell = v => {
+  const s = v == null ? '' : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+function downloadText(text, filename, type = 'text/csv'){
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(new Blob([text], { type }));
+  a.download = filename;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(()=>URL.revokeObjectURL(a.href), 1000);
+}
+compareCsv?.addEventListener('click', ()=>{
+  const lines = [['metric', ...pins.map(p => p.name)].map(csvCell).join(',')];
+  for (const r of compareMatrix()){
+    lines.push([r.label, ...r.values.map(v => (v == null ? '' : r.text ? v : +Number(v).toFixed(4)))].map(csvCell).join(','));
+  }
+  downloadText(lines.join('\n') + '\n', 'compare-summary.csv');
+});
+compareDailyCsv?.addEventListener('click', ()=>{
+  const dates = [...new Set(pins.flatMap(p => (p.series?.rows || []).map(r => r.date)))].sort();
+  const byDate = pins.map(p => new Map((p.series?.rows || []).map(r => [r.date, r])));
+  const header = ['date'];
+  pins.forEach(p => SERIES_CHARTS.forEach(c => header.push(`${p.name} ${c.key}`)));
+  const lines = [header.map(csvCell).join(',')];
+  for (const d of dates){
+    const row = [d];
+    byDate.forEach(m => SERIES_CHARTS.forEach(c => row.push(m.get(d)?.[c.key] ?? '')));
+    lines.push(row.map(csvCell).join(','));
+  }
+  downloadText(lines.join('\n') + '\n', 'compare-daily.csv');
+});
+
+// charts size themselves when drawn; redraw once visible or resized
+window.addEventListener('resize', ()=>compareChartSet.forEach(c => c.redraw()));
+compareTabBtn?.addEventListener('click', ()=>requestAnimationFrame(()=>compareChartSet.forEach(c => c.redraw())));
+
 /* ---------- write results (sidebar Results tab) ---------- */
 function writeResult(d = {}){
   const temp = d.temperature_c ?? d.power?.t2m_avg;
   const rh   = d.humidity_relative_percent ?? d.power?.rh2m_avg;
+  const prov = d.power?.provenance || {};
 
   resCountry.textContent   = d.country ?? '—';
-  resCrop.textContent      = d.crop ?? '—';
+  resCrop.textContent      = d.crop ?? (d.no_suitable_crop ? 'No suitable crop' : '—');
   resRegional.textContent  = d.regional_popular_crop ?? '—';
-  resTemp.textContent      = (temp != null && Number.isFinite(+temp)) ? Number(temp).toFixed(1) : '—';
-  resHum.textContent       = (rh   != null && Number.isFinite(+rh  )) ? Math.round(rh) : '—';
+  setMetric(resTemp,   (temp != null && Number.isFinite(+temp)) ? Number(temp).toFixed(1) : '—', prov.t2m_avg, 1);
+  setMetric(resHum,    (rh   != null && Number.isFinite(+rh  )) ? String(Math.round(rh)) : '—', prov.rh2m_avg, 0);
   resSoil && (resSoil.textContent = d.soil_water_retention ?? '—'); // optional
   resArea.textContent      = d.area != null ? d.area.toFixed(2) : '—';
-  resSolar.textContent     = d.power?.solar_mj_m2_day != null ? Number(d.power.solar_mj_m2_day).toFixed(2) : '—';
-  resPrecip.textContent    = d.power?.precip_mm_day    != null ? Number(d.power.precip_mm_day).toFixed(2)    : '—';
+  setMetric(resSolar,  d.power?.solar_mj_m2_day != null ? Number(d.power.solar_mj_m2_day).toFixed(2) : '—', prov.solar_mj_m2_day, 2);
+  setMetric(resPrecip, d.power?.precip_mm_day    != null ? Number(d.power.precip_mm_day).toFixed(2)    : '—', prov.precip_mm_day, 2);
   resRationale.textContent = d.rationale ?? (d.error ? `${d.error}\n\n${d.raw ?? ''}` : '—');
+  renderRanking(d.recommendations, d.recommender);
+  renderIndices(d.indices);
+  renderRasterZonal(d.raster_zonal);
+}
+
+/* ---------- raster overlays (public/rasters.js) ---------- */
+// Toggleable overlays of the bundled rasters, with opacity, legend and a
+// hover/click readout; analysis adds each raster's zonal mean over the field.
+const rasterLayers = {};  // key → { raster, layer } once loaded
+let rasterOpacity = 0.7;
+let rasterReadout = null;
+
+const rasterValueText = (def, v) => v == null ? 'no data' : `${Number(v).toFixed(def.digits)} ${def.unit}`;
+
+async function toggleRaster(key, on){
+  if (!map || typeof Rasters === 'undefined') return;
+  try{
+    if (!rasterLayers[key]){
+      const raster = await Rasters.load(key);
+      rasterLayers[key] = {
+        raster,
+        layer: L.imageOverlay(raster.overlayUrl, raster.bounds, { pane:'rasters', opacity:rasterOpacity, interactive:false })
+      };
+    }
+    const { layer } = rasterLayers[key];
+    if (on) layer.addTo(map); else layer.remove();
+  }catch(err){
+    rasterReadout && (rasterReadout.textContent = String(err.message || err));
+  }
+}
+
+function rasterValuesAt(latlng){
+  return Object.values(rasterLayers)
+    .filter(({ layer }) => map.hasLayer(layer))
+    .map(({ raster }) => `${raster.def.label}: ${rasterValueText(raster.def, Rasters.sample(raster, latlng.lat, latlng.lng))}`);
+}
+
+if (map && typeof Rasters !== 'undefined'){
+  const RasterControl = L.Control.extend({
+    options:{ position:'topright' },
+    onAdd(){
+      const div = L.DomUtil.create('div', 'rasterCtl');
+      div.innerHTML = `
+        <b>Rasters</b>
+        ${Object.entries(Rasters.RASTERS).map(([key, def]) => `
+          <label><input type="checkbox" data-raster="${esc(key)}"/> ${esc(def.label)}</label>
+          <div class="ramp" style="background:${Rasters.legendGradient(def)}"></div>
+          <div class="ticks">${def.legend.map(v => `<span>${v}</span>`).join('')}<span>${esc(def.unit)}</span></div>`).join('')}
+        <label style="margin-top:6px">Opacity <input type="range" min="0.1" max="1" step="0.05" value="${rasterOpacity}"/></label>
+        <div class="readout muted"></div>`;
+      rasterReadout = div.querySelector('.readout');
+      div.querySelectorAll('input[data-raster]').forEach(cb =>
+        cb.addEventListener('change', () => toggleRaster(cb.dataset.raster, cb.checked)));
+      div.querySelector('input[type=range]').addEventListener('input', e => {
+        rasterOpacity = Number(e.target.value);
+        Object.values(rasterLayers).forEach(({ layer }) => layer.setOpacity(rasterOpacity));
+      });
+      L.DomEvent.disableClickPropagation(div);
+      L.DomEvent.disableScrollPropagation(div);
+      return div;
+    }
+  });
+  new RasterControl().addTo(map);
+
+  let hoverFrame = 0;
+  map.on('mousemove', e => {
+    if (hoverFrame) return;
+    hoverFrame = requestAnimationFrame(() => {
+      hoverFrame = 0;
+      rasterReadout && (rasterReadout.textContent = rasterValuesAt(e.latlng).join(' · '));
+    });
+  });
+  // click on the bare map (not a field, not while drawing) pins the values in a popup
+  map.on('click', e => {
+    if (drawing || e.originalEvent?.target?.closest?.('.leaflet-interactive')) return;
+    const lines = rasterValuesAt(e.latlng);
+    if (!lines.length) return;
+    L.popup().setLatLng(e.latlng)
+      .setContent(`<b>${e.latlng.lat.toFixed(3)}, ${e.latlng.lng.toFixed(3)}</b><br/>${lines.map(esc).join('<br/>')}`)
+      .openOn(map);
+  });
 }
 
-/* ---------- controls in topbar ---------- */
-const startBtnEl = $('#startBtn');
-const undoBtnEl  = $('#undoBtn');
-const resetBtnEl = $('#resetBtn');
+// Zonal mean of every raster over a polygon; null (reason in the raster readout) when rasters can't load
+async function rasterZonal(gj){
+  if (typeof Rasters === 'undefined' || !gj) return null;
+  try{
+    const out = {};
+    for (const key of Object.keys(Rasters.RASTERS)){
+      const z = Rasters.zonalMean(await Rasters.load(key), gj);
+      if (z) out[key] = { ...z, mean: z.mean == null ? null : +z.mean.toFixed(2), min: z.min == null ? null : +z.min.toFixed(2), max: z.max == null ? null : +z.max.toFixed(2) };
+    }
+    return out;
+  }catch(err){
+    rasterReadout && (rasterReadout.textContent = `Raster means unavailable: ${err.message || err}`);
+    return null;
+  }
+}
 
-function setBtnsWrapper(){ setBtns(); }
-startBtnEl?.addEventListener('click', begin);
-undoBtnEl?.addEventListener('click', undo);
-resetBtnEl?.addEventListener('click', resetAll);
+function renderRasterZonal(z){
+  const show = (el, r, digits) => {
+    if (!el) return;
+    if (r?.mean == null){ el.textContent = '—'; el.title = r ? 'No raster data over this field' : ''; return; }
+    el.textContent = Number(r.mean).toFixed(digits);
+    el.title = r.fallback === 'centroid'
+      ? 'Field is smaller than a raster pixel; value under the centroid'
+      : `Mean of ${r.n} raster pixels (range ${Number(r.min).toFixed(digits)}–${Number(r.max).toFixed(digits)})`;
+  };
+  show(resRasterTemp, z?.temp, 1);
+  show(resRasterRain, z?.rain, 2);
+}
+
+/* ---------- agro indices (GDD, ET0, water balance, heat stress) ---------- */
+function renderIndices(ix){
+  if (!resIndices) return;
+  if (!ix){
+    resIndicesMeta.textContent = '—';
+    resIndices.innerHTML = '';
+    resIndexCrops.innerHTML = '';
+    return;
+  }
+  const ds = ix.dry_spell || {};
+  resIndicesMeta.textContent = `POWER daily ${ix.period.start} → ${ix.period.end} (${ix.period.days} days)`;
+  const kv = [
+    ['ET0 total (mm)', `${fmtNum(ix.et0?.total_mm, 0)} (${fmtNum(ix.et0?.mean_mm_day, 2)}/day)`],
+    ['Rain total (mm)', fmtNum(ix.rain_mm, 0)],
+    ['Rain − ET0 (mm)', `${fmtNum(ix.water_balance?.total_mm, 0)} · ${ix.water_balance?.deficit_days ?? '—'} deficit days`],
+    [`Longest dry spell (<${ds.threshold_mm ?? 1} mm)`, ds.longest_days ? `${ds.longest_days} d (${ds.longest_start} → ${ds.longest_end})` : '0 d'],
+    ['Current dry spell', `${ds.current_days ?? 0} d`],
+  ];
+  resIndices.innerHTML = kv.map(([k, v]) => `<div><dt>${esc(k)}</dt><dd>${esc(v)}</dd></div>`).join('');
+  resIndexCrops.innerHTML = `
+    <thead><tr><th>Crop</th><th title="Growing degree days">GDD</th><th>Base/cap °C</th><th title="Days with Tmax at or above the threshold">Heat days</th></tr></thead>
+    <tbody>${(ix.crops || []).map(c => `
+      <tr>
+        <td>${esc(c.crop)}</td>
+        <td>${fmtNum(c.gdd, 0)}</td>
+        <td class="muted">${c.t_base}/${c.t_cap}</td>
+        <td class="${c.heat_days ? 'warm' : ''}" title="Tmax ≥ ${c.heat_threshold_c} °C">${c.heat_days}</td>
+      </tr>`).join('')}</tbody>`;
+}
+
+/* ---------- crop ranking (rule scores, optional AI order) ---------- */
+function renderRanking(list, recommender){
+  if (!resRanking) return;
+  if (!list?.length){ resRanking.innerHTML = `<li class="muted">—</li>`; return; }
+  const note = recommender?.reranked_by ? ' title="Order refined by AI; scores are rule-based"' : '';
+  resRanking.innerHTML = list.map(r => `
+    <li${note}>
+      ${esc(r.crop)}${r.ai_rank ? ' <span class="qbadge ai-adjusted">AI</span>' : ''}
+      <span class="score">${Number(r.score).toFixed(2)}</span>
+      <span class="factors">${Object.entries(r.factors || {}).map(([f,v]) => `${esc(f)} ${Number(v).toFixed(2)}`).join(' · ')}</span>
+    </li>
+  `).join('');
+}
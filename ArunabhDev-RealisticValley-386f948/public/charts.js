@@ -0,0 +1,267 @@
+// Small dependency-free canvas time-series charts (served locally, works offline).
+// One or two y axes over a shared date axis; lines and bars; hover crosshair +
+// tooltip; wheel to zoom, drag to pan, double-click to reset. Linked charts
+// share their zoom window.
+(function(global){
+  'use strict';
+
+  const PAD = { l:46, r:46, t:22, b:20 };
+  const MIN_SPAN = 4; // days visible at most zoom
+
+  const cssVar = (name, fallback) =>
+    getComputedStyle(document.documentElement).getPropertyValue(name).trim() || fallback;
+  const finite = v => v != null && Number.isFinite(+v);
+
+  // Round-number ticks covering [lo, hi]
+  function ticks(lo, hi, count = 4){
+    const raw = (hi - lo) / count;
+    const mag = Math.pow(10, Math.floor(Math.log10(raw || 1)));
+    const step = [1, 2, 2.5, 5, 10].map(m => m * mag).find(s => s >= raw) || raw;
+    const out = [];
+    for (let v = Math.ceil(lo / step) * step; v <= hi + step * 1e-9; v += step) out.push(+v.toFixed(10));
+    return { values: out, digits: step < 1 ? Math.min(3, Math.ceil(-Math.log10(step))) : 0 };
+  }
+
+  /**
+   * createTimeChart(canvas, { title, dates:[…'YYYY-MM-DD'], series:[{
+   *   label, color, values:[…], axis:'left'|'right', type:'line'|'bar', unit, digits, flags:[…] }] })
+   * → { setData, setView, getView, onView, redraw, reset }
+   */
+  function createTimeChart(canvas, config){
+    const ctx = canvas.getContext('2d');
+    let data = { title:'', dates:[], series:[] };
+    let view = [0, 0];      // visible index window (floats)
+    let hover = null;       // hovered index
+    let drag = null;        // { x, view } while panning
+    const viewListeners = [];
+    let w = 0, h = 0;
+
+    const span = () => view[1] - view[0];
+    const plotW = () => Math.max(1, w - PAD.l - PAD.r);
+    const xOf = i => PAD.l + (span() ? (i - view[0]) / span() : 0.5) * plotW();
+    const iOf = x => view[0] + (x - PAD.l) / plotW() * span();
+
+    function clampView(a, b){
+      const last = Math.max(0, data.dates.length - 1);
+      let s = Math.min(Math.max(b - a, Math.min(MIN_SPAN, last)), last);
+      a = Math.min(Math.max(a, 0), last - s);
+      return [a, a + s];
+    }
+
+    function setData(cfg){
+      data = { title: cfg.title || '', dates: cfg.dates || [], series: cfg.series || [] };
+      view = clampView(0, data.dates.length - 1);
+      hover = null;
+      redraw();
+    }
+    function setView(v, silent = false){
+      view = clampView(v[0], v[1]);
+      redraw();
+      if (!silent) viewListeners.forEach(fn => fn(view.slice()));
+    }
+
+    // y scale for one axis over the visible window
+    function scale(axis){
+      const lo0 = Math.max(0, Math.floor(view[0])), hi0 = Math.min(data.dates.length - 1, Math.ceil(view[1]));
+      let lo = Infinity, hi = -Infinity, bars = false;
+      for (const s of data.series){
+        if ((s.axis || 'left') !== axis) continue;
+        bars = bars || s.type === 'bar';
+        for (let i = lo0; i <= hi0; i++){
+          const v = s.values[i];
+          if (finite(v)){ lo = Math.min(lo, +v); hi = Math.max(hi, +v); }
+        }
+      }
+      if (!Number.isFinite(lo)) return null;
+      if (bars) lo = Math.min(lo, 0);
+      if (lo === hi){ lo -= 1; hi += 1; }
+      const padY = (hi - lo) * 0.06;
+      lo = bars && lo === 0 ? 0 : lo - padY; hi += padY;
+      const t = ticks(lo, hi);
+      return { lo, hi, t, y: v => PAD.t + (hi - v) / (hi - lo) * (h - PAD.t - PAD.b) };
+    }
+
+    function redraw(){
+      const dpr = global.devicePixelRatio || 1;
+      w = canvas.clientWidth || 300; h = canvas.clientHeight || 160;
+      canvas.width = Math.round(w * dpr); canvas.height = Math.round(h * dpr);
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, w, h);
+
+      const fg = cssVar('--muted', '#6b7280'), text = cssVar('--text', '#0f172a');
+      const gridColor = cssVar('--border', '#e6e8ef'), surface = cssVar('--surface', '#ffffff');
+      ctx.font = '11px system-ui, sans-serif';
+      ctx.fillStyle = text;
+      ctx.fillText(data.title, 4, 12);
+
+      const n = data.dates.length;
+      if (!n || !data.series.some(s => s.values.some(finite))){
+        ctx.fillStyle = fg; ctx.fillText('No data', w / 2 - 20, h / 2);
+        return;
+      }
+
+      const axes = { left: scale('left'), right: scale('right') };
+
+      // grid + tick labels (left axis drives the grid)
+      ctx.lineWidth = 1;
+      for (const side of ['left', 'right']){
+        const a = axes[side];
+        if (!a) continue;
+        const unit = data.series.find(s => (s.axis || 'left') === side)?.unit || '';
+        ctx.fillStyle = fg;
+        ctx.textAlign = side === 'left' ? 'right' : 'left';
+        const tx = side === 'left' ? PAD.l - 4 : w - PAD.r + 4;
+        for (const v of a.t.values){
+          const y = a.y(v);
+          if (side === 'left' || !axes.left){
+            ctx.strokeStyle = gridColor;
+            ctx.beginPath(); ctx.moveTo(PAD.l, y); ctx.lineTo(w - PAD.r, y); ctx.stroke();
+          }
+          ctx.fillText(v.toFixed(a.t.digits), tx, y + 4);
+        }
+        ctx.fillText(unit, tx, PAD.t - 6);
+      }
+      ctx.textAlign = 'left';
+
+      // x labels: first/last visible date
+      const first = data.dates[Math.round(view[0])], last = data.dates[Math.round(view[1])];
+      ctx.fillStyle = fg;
+      ctx.fillText(first, PAD.l, h - 4);
+      ctx.fillText(last, w - PAD.r - ctx.measureText(last).width, h - 4);
+
+      // clip plotting to the plot area
+      ctx.save();
+      ctx.beginPath(); ctx.rect(PAD.l, PAD.t - 2, plotW(), h - PAD.t - PAD.b + 4); ctx.clip();
+      const i0 = Math.max(0, Math.floor(view[0]) - 1), i1 = Math.min(n - 1, Math.ceil(view[1]) + 1);
+      const dayW = plotW() / Math.max(1, span());
+
+      for (const s of data.series){
+        const a = axes[s.axis || 'left'];
+        if (!a) continue;
+        ctx.strokeStyle = ctx.fillStyle = s.color;
+        if (s.type === 'bar'){
+          const bw = Math.max(1, dayW * 0.7), y0 = a.y(Math.max(a.lo, 0));
+          ctx.globalAlpha = 0.7;
+          for (let i = i0; i <= i1; i++){
+            if (!finite(s.values[i])) continue;
+            const y = a.y(+s.values[i]);
+            ctx.fillRect(xOf(i) - bw / 2, Math.min(y, y0), bw, Math.abs(y0 - y));
+          }
+          ctx.globalAlpha = 1;
+          continue;
+        }
+        ctx.lineWidth = 1.6; ctx.setLineDash(s.dash || []);
+        ctx.beginPath();
+        let pen = false;
+        for (let i = i0; i <= i1; i++){
+          const v = s.values[i];
+          if (!finite(v)){ pen = false; continue; }
+          pen ? ctx.lineTo(xOf(i), a.y(+v)) : ctx.moveTo(xOf(i), a.y(+v));
+          pen = true;
+        }
+        ctx.stroke();
+        ctx.setLineDash([]);
+        // hollow markers on gap-filled days when zoomed in enough to see them
+        if (s.flags && dayW >= 4){
+          for (let i = i0; i <= i1; i++){
+            if (!s.flags[i] || !finite(s.values[i])) continue;
+            ctx.beginPath(); ctx.arc(xOf(i), a.y(+s.values[i]), 2.5, 0, 2 * Math.PI);
+            ctx.fillStyle = surface; ctx.fill(); ctx.stroke();
+          }
+        }
+      }
+      ctx.restore();
+
+      if (hover != null && hover >= 0 && hover < n) drawTooltip(axes, { fg, text, surface, gridColor });
+    }
+
+    function drawTooltip(axes, c){
+      const x = xOf(hover);
+      ctx.strokeStyle = c.fg; ctx.setLineDash([3, 3]);
+      ctx.beginPath(); ctx.moveTo(x, PAD.t); ctx.lineTo(x, h - PAD.b); ctx.stroke();
+      ctx.setLineDash([]);
+
+      const lines = [data.dates[hover]];
+      for (const s of data.series){
+        const v = s.values[hover];
+        const val = finite(v) ? (+v).toFixed(s.digits ?? 1) : '—';
+        lines.push({ color: s.color, text: `${s.label}: ${val}${s.unit ? ` ${s.unit}` : ''}${s.flags?.[hover] ? ` (${s.flags[hover]})` : ''}` });
+        const a = axes[s.axis || 'left'];
+        if (a && finite(v) && s.type !== 'bar'){
+          ctx.fillStyle = s.color;
+          ctx.beginPath(); ctx.arc(x, a.y(+v), 3, 0, 2 * Math.PI); ctx.fill();
+        }
+      }
+      const tw = Math.max(...lines.map(l => ctx.measureText(typeof l === 'string' ? l : l.text).width)) + 22;
+      const th = lines.length * 14 + 6;
+      const bx = x + 10 + tw > w ? x - 10 - tw : x + 10, by = PAD.t;
+      ctx.fillStyle = c.surface; ctx.strokeStyle = c.gridColor;
+      ctx.fillRect(bx, by, tw, th); ctx.strokeRect(bx, by, tw, th);
+      lines.forEach((l, k) => {
+        const y = by + 14 + k * 14;
+        if (typeof l === 'string'){ ctx.fillStyle = c.text; ctx.fillText(l, bx + 6, y); return; }
+        ctx.fillStyle = l.color; ctx.fillRect(bx + 6, y - 8, 8, 8);
+        ctx.fillStyle = c.text; ctx.fillText(l.text, bx + 18, y);
+      });
+    }
+
+    // ---- interaction ----
+    const localX = e => e.clientX - canvas.getBoundingClientRect().left;
+
+    canvas.addEventListener('wheel', (e)=>{
+      if (data.dates.length < 2) return;
+      e.preventDefault();
+      const at = iOf(localX(e));
+      const f = e.deltaY > 0 ? 1.2 : 1 / 1.2;
+      setView([at - (at - view[0]) * f, at + (view[1] - at) * f]);
+    }, { passive:false });
+
+    canvas.addEventListener('pointerdown', (e)=>{
+      drag = { x: localX(e), view: view.slice() };
+      canvas.setPointerCapture?.(e.pointerId);
+      canvas.style.cursor = 'grabbing';
+    });
+    canvas.addEventListener('pointermove', (e)=>{
+      const x = localX(e);
+      if (drag){
+        const di = (drag.x - x) / plotW() * (drag.view[1] - drag.view[0]);
+        setView([drag.view[0] + di, drag.view[1] + di]);
+      }
+      const i = Math.round(iOf(x));
+      const next = x < PAD.l || x > w - PAD.r ? null : Math.min(Math.max(i, 0), data.dates.length - 1);
+      if (next !== hover){ hover = next; redraw(); }
+    });
+    const endDrag = ()=>{ drag = null; canvas.style.cursor = ''; };
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+    canvas.addEventListener('pointerleave', ()=>{ if (!drag && hover != null){ hover = null; redraw(); } });
+    canvas.addEventListener('dblclick', ()=>reset());
+
+    function reset(){ setView([0, data.dates.length - 1]); }
+
+    setData(config || {});
+    return {
+      setData, setView, reset, redraw,
+      getView: () => view.slice(),
+      onView: fn => viewListeners.push(fn),
+    };
+  }
+
+  // Keep several charts on the same zoom window
+  function linkCharts(charts){
+    charts.forEach(c => c.onView(v => charts.forEach(o => { if (o !== c) o.setView(v, true); })));
+    return charts;
+  }
+
+  // Union of dates across rows lists + per-list value lookup, for overlaying series
+  function alignSeries(lists, key){
+    const dates = [...new Set(lists.flatMap(rows => rows.map(r => r.date)))].sort();
+    const values = lists.map(rows => {
+      const m = new Map(rows.map(r => [r.date, r[key]]));
+      return dates.map(d => (finite(m.get(d)) ? +m.get(d) : null));
+    });
+    return { dates, values };
+  }
+
+  global.Charts = { createTimeChart, linkCharts, alignSeries };
+})(window);
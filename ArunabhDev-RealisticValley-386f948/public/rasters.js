@@ -0,0 +1,192 @@
+// Bundled climate rasters (public/rasters/*.webp) as georeferenced overlays.
+// Each raster declares its projection and the color ramp it was drawn with, so
+// a pixel can be read back as a number (hover/click) and averaged over a
+// polygon (zonal mean). Values are as good as the ramp: roughly ±1 ramp step.
+(function(global){
+  'use strict';
+
+  const MERC_MAX = 85.0511287798;        // Web Mercator latitude limit
+  const BOUNDS = [[-MERC_MAX, -180], [MERC_MAX, 180]];
+  const MAX_ZONAL_PIXELS = 40000;        // bigger polygons are sampled on a coarser grid
+  const MAX_RAMP_DISTANCE = 60;          // RGB distance beyond which a pixel isn't on the ramp
+
+  /*
+   * temp: 2:1 equirectangular world (−180…180, −90…90), full-saturation HSV
+   *       rainbow from hue 300° (magenta, coldest) to 0° (red, hottest).
+   * rain: square Web Mercator world (±85.05°), ColorBrewer "Spectral" low half
+   *       from dark red (dry) to pale yellow (wet).
+   * Transparent pixels are no-data.
+   */
+  const RASTERS = {
+    temp: {
+      url:'./rasters/temp_data.webp', label:'Land surface temperature', unit:'°C', digits:1,
+      projection:'equirectangular',
+      ramp:{ type:'hue', hueCold:300, hueHot:0, cold:-60, hot:50 },
+      legend:[-60, -30, 0, 25, 50],
+    },
+    rain: {
+      url:'./rasters/rain_data.webp', label:'Rainfall', unit:'mm/day', digits:1,
+      projection:'mercator',
+      ramp:{ type:'stops', stops:[[0, [213,62,79]], [4, [244,109,67]], [8, [253,174,97]], [12, [254,224,139]]] },
+      legend:[0, 4, 8, 12],
+    },
+  };
+
+  const loaded = new Map(); // key → Promise<raster>
+
+  const mercY = lat => {
+    const phi = Math.max(-MERC_MAX, Math.min(MERC_MAX, lat)) * Math.PI / 180;
+    return (1 - Math.log(Math.tan(Math.PI / 4 + phi / 2)) / Math.PI) / 2;       // 0 (north) … 1
+  };
+  const mercLat = y => Math.atan(Math.sinh(Math.PI * (1 - 2 * y))) * 180 / Math.PI;
+
+  function loadImage(url){
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error(`Could not load ${url}`));
+      img.src = url;
+    });
+  }
+
+  // Equirectangular → Web Mercator, row by row, so the overlay lines up with the basemap
+  function toMercator(img){
+    const W = img.naturalWidth, H = img.naturalHeight;
+    const out = document.createElement('canvas');
+    out.width = W; out.height = W;
+    const ctx = out.getContext('2d');
+    for (let y = 0; y < W; y++){
+      const lat = mercLat((y + 0.5) / W);
+      const sy = Math.min(H - 1, Math.max(0, Math.floor((90 - lat) / 180 * H)));
+      ctx.drawImage(img, 0, sy, W, 1, 0, y, W, 1);
+    }
+    return out;
+  }
+
+  /**
+   * load(key) → Promise<{ key, def, width, height, pixels, overlayUrl, bounds }>
+   * `pixels` are the source RGBA; `overlayUrl` is Web Mercator for L.imageOverlay.
+   */
+  function load(key){
+    const def = RASTERS[key];
+    if (!def) return Promise.reject(new Error(`Unknown raster ${key}`));
+    if (!loaded.has(key)){
+      const p = loadImage(def.url).then(img => {
+        const c = document.createElement('canvas');
+        c.width = img.naturalWidth; c.height = img.naturalHeight;
+        const ctx = c.getContext('2d', { willReadFrequently:true });
+        ctx.drawImage(img, 0, 0);
+        const pixels = ctx.getImageData(0, 0, c.width, c.height).data;
+        const overlayUrl = def.projection === 'mercator' ? def.url : toMercator(img).toDataURL('image/png');
+        return { key, def, width:c.width, height:c.height, pixels, overlayUrl, bounds:BOUNDS };
+      });
+      p.catch(() => loaded.delete(key)); // let a later call retry
+      loaded.set(key, p);
+    }
+    return loaded.get(key);
+  }
+
+  // Source pixel (x, y) for a lat/lon, or null outside the raster
+  function pixelOf(r, lat, lon){
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90) return null;
+    const x = Math.floor(((((lon + 180) % 360) + 360) % 360) / 360 * r.width);
+    let y;
+    if (r.def.projection === 'mercator'){
+      if (Math.abs(lat) > MERC_MAX) return null;
+      y = Math.floor(mercY(lat) * r.height);
+    } else {
+      y = Math.floor((90 - lat) / 180 * r.height);
+    }
+    return { x:Math.min(r.width - 1, x), y:Math.min(r.height - 1, Math.max(0, y)) };
+  }
+
+  function hueOf(rgb){
+    const [r, g, b] = rgb.map(v => v / 255);
+    const mx = Math.max(r, g, b), mn = Math.min(r, g, b), d = mx - mn;
+    if (d < 0.15 || mx < 0.15) return null; // grey/black: not on a rainbow ramp
+    let h = mx === r ? ((g - b) / d) % 6 : mx === g ? (b - r) / d + 2 : (r - g) / d + 4;
+    return (h * 60 + 360) % 360;
+  }
+
+  // Invert the ramp: RGB → value, or null when the color isn't on it
+  function valueOf(def, rgb){
+    const ramp = def.ramp;
+    if (ramp.type === 'hue'){
+      let h = hueOf(rgb);
+      if (h == null) return null;
+      if (h > ramp.hueCold) h = h > (ramp.hueCold + 360) / 2 ? ramp.hueHot : ramp.hueCold; // pinks between the ends
+      const t = (ramp.hueCold - h) / (ramp.hueCold - ramp.hueHot);
+      return ramp.cold + (ramp.hot - ramp.cold) * t;
+    }
+    // stops: nearest point on the piecewise-linear RGB path
+    let best = null;
+    for (let i = 0; i < ramp.stops.length - 1; i++){
+      const [v0, c0] = ramp.stops[i], [v1, c1] = ramp.stops[i + 1];
+      const seg = c1.map((v, k) => v - c0[k]);
+      const len2 = seg.reduce((s, v) => s + v * v, 0) || 1;
+      const t = Math.max(0, Math.min(1, seg.reduce((s, v, k) => s + v * (rgb[k] - c0[k]), 0) / len2));
+      const dist = Math.hypot(...rgb.map((v, k) => v - (c0[k] + seg[k] * t)));
+      if (!best || dist < best.dist) best = { dist, value:v0 + (v1 - v0) * t };
+    }
+    return best && best.dist <= MAX_RAMP_DISTANCE ? best.value : null;
+  }
+
+  function valueAtPixel(r, x, y){
+    const i = (y * r.width + x) * 4;
+    if (r.pixels[i + 3] < 128) return null; // no-data
+    return valueOf(r.def, [r.pixels[i], r.pixels[i + 1], r.pixels[i + 2]]);
+  }
+
+  /** Calibrated value at a lat/lon, or null for no-data. */
+  function sample(r, lat, lon){
+    const p = pixelOf(r, lat, lon);
+    return p ? valueAtPixel(r, p.x, p.y) : null;
+  }
+
+  /**
+   * Mean of the pixels whose centers fall inside a GeoJSON Polygon Feature.
+   * Fields smaller than a pixel fall back to the pixel under the centroid.
+   * → { mean, min, max, n, unit, fallback }
+   */
+  function zonalMean(r, feature){
+    if (typeof turf === 'undefined' || !feature) return null;
+    const [w, s, e, n] = turf.bbox(feature);
+    const lim = r.def.projection === 'mercator' ? MERC_MAX : 90;
+    const a = pixelOf(r, Math.min(n, lim), w), b = pixelOf(r, Math.max(s, -lim), e);
+    if (!a || !b) return null;
+    const cols = b.x - a.x + 1, rows = b.y - a.y + 1;
+    const step = Math.max(1, Math.ceil(Math.sqrt((cols * rows) / MAX_ZONAL_PIXELS)));
+    const values = [];
+    for (let y = a.y; y <= b.y; y += step){
+      const lat = r.def.projection === 'mercator' ? mercLat((y + 0.5) / r.height) : 90 - (y + 0.5) / r.height * 180;
+      for (let x = a.x; x <= b.x; x += step){
+        const lon = (x + 0.5) / r.width * 360 - 180;
+        if (!turf.booleanPointInPolygon([lon, lat], feature)) continue;
+        const v = valueAtPixel(r, x, y);
+        if (v != null) values.push(v);
+      }
+    }
+    const base = { unit:r.def.unit, label:r.def.label };
+    if (!values.length){
+      const [lon, lat] = turf.centroid(feature).geometry.coordinates;
+      const v = sample(r, lat, lon);
+      return v == null ? { ...base, mean:null, min:null, max:null, n:0, fallback:'no-data' }
+                       : { ...base, mean:v, min:v, max:v, n:1, fallback:'centroid' };
+    }
+    const sum = values.reduce((t, v) => t + v, 0);
+    return { ...base, mean:sum / values.length, min:Math.min(...values), max:Math.max(...values), n:values.length, fallback:null };
+  }
+
+  // CSS gradient for a legend bar, low → high
+  function legendGradient(def){
+    const ramp = def.ramp;
+    if (ramp.type === 'hue'){
+      const hues = [0, 0.25, 0.5, 0.75, 1].map(t => ramp.hueCold + (ramp.hueHot - ramp.hueCold) * t);
+      return `linear-gradient(to right, ${hues.map(h => `hsl(${h},100%,50%)`).join(', ')})`;
+    }
+    const lo = ramp.stops[0][0], hi = ramp.stops[ramp.stops.length - 1][0];
+    return `linear-gradient(to right, ${ramp.stops.map(([v, c]) => `rgb(${c.join(',')}) ${((v - lo) / (hi - lo) * 100).toFixed(0)}%`).join(', ')})`;
+  }
+
+  global.Rasters = { RASTERS, load, sample, zonalMean, legendGradient };
+})(window);
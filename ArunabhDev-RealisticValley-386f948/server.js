@@ -3,30 +3,175 @@ import express from "express";
 import path from "path";
 import { fileURLToPath } from "url";
 import "dotenv/config";
-import OpenAI from "openai";
+import { createPowerCache } from "./lib/powerCache.js";
+import { createPowerSource } from "./lib/powerSource.js";
+import { powerCellsForPolygon, polygonCentroid, polygonAreaKm2, geometryProblems } from "./lib/geo.js";
+import { loadCropCatalog, recommendCrops, explainRanking, topCrop } from "./lib/crops.js";
+import { simulateSeason, FALLBACK_GROWTH } from "./lib/growthModel.js";
+import { createFieldStore, fieldInputError } from "./lib/fieldStore.js";
+import { monthlyNormals, monthlyMeans, compareToNormals } from "./lib/climate.js";
+import { INDEX_PARAMS, withDailyIndices, computeIndices } from "./lib/agroIndices.js";
+import { monthlyClimate, rainOnset, sowingWindows, irrigationNeed } from "./lib/advisor.js";
+import { createStructuredCaller } from "./lib/structuredOutput.js";
+import { createLLMProvider, probeLLM } from "./lib/llmProvider.js";
+import { createBatchJobs, batchInputError } from "./lib/batchJobs.js";
+import { reportHTML, reportPDF } from "./lib/report.js";
+import { createApiGuard, validateBody, secretMatches } from "./lib/apiGuard.js";
+import { log as rootLog, requestLogger, restoreRequestContext, routeOf } from "./lib/logger.js";
+import { createMetrics } from "./lib/metrics.js";
+import { respondWithProgress } from "./lib/eventStream.js";
+import { formatWeather, parseMonths, parseDay, GAME_PARAMETERS, SEASONS } from "./lib/weatherData.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // ----------------------------- Express -----------------------------
 const app = express();
-app.use(express.json());
+// Behind a reverse proxy set TRUST_PROXY (hop count, "loopback", …) so per-IP limits see the client
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isInteger(hops) ? hops : process.env.TRUST_PROXY === "true" || process.env.TRUST_PROXY);
+}
+
+// ----------------------------- Logs + metrics ----------------------
+// JSON lines with request ids (lib/logger.js); Prometheus counters and
+// histograms (lib/metrics.js), scraped from GET /metrics
+const log = rootLog.child({ component: "server" });
+const metrics = createMetrics({ prefix: "agroscope_" });
+const SLOW_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+const m = {
+  httpRequests: metrics.counter("http_requests_total", "API requests by route and status", ["method", "route", "status"]),
+  httpSeconds: metrics.histogram("http_request_duration_seconds", "API response time", { labelNames: ["method", "route"], buckets: SLOW_BUCKETS }),
+  powerRequests: metrics.counter("power_requests_total", "NASA POWER requests by fallback tier (direct = series/normals), community and outcome (ok, cached, failed, aborted)", ["tier", "community", "outcome"]),
+  powerSeconds: metrics.histogram("power_request_duration_seconds", "NASA POWER request latency (network and fixture reads, not cache hits)", { labelNames: ["tier"] }),
+  powerLookups: metrics.counter("power_lookups_total", "Point lookups by the source that answered (defaults = every tier came back empty)", ["source", "community"]),
+  powerDepth: metrics.histogram("power_fallback_depth", "Position of the winning tier in the fallback order (0 = 30-day daily AG)", { buckets: [0, 1, 2, 4, 6, 8, 10, 15, 20, 30] }),
+  powerLookupSeconds: metrics.histogram("power_lookup_duration_seconds", "Time to settle a point lookup across all tiers", { buckets: SLOW_BUCKETS }),
+  powerBudgetHits: metrics.counter("power_budget_exhausted_total", "Point lookups cut off by POWER_BUDGET_MS"),
+  aiCalls: metrics.counter("ai_calls_total", "Structured AI calls by name and outcome (failed = gave up after retries; callers fell back)", ["call", "outcome"]),
+  aiAttempts: metrics.counter("ai_attempts_total", "Model requests made for AI calls, retries included", ["call"]),
+  aiSeconds: metrics.histogram("ai_call_duration_seconds", "AI call time including retries", { labelNames: ["call"], buckets: SLOW_BUCKETS }),
+};
 
 // Static files (public/)
 const publicDir = path.join(__dirname, "public");
 app.use(express.static(publicDir));
 app.get("/", (_req, res) => res.sendFile(path.join(publicDir, "index.html")));
 
-// ----------------------------- OpenAI (optional) -------------------
-const openai = process.env.OPENAI_API_KEY ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY }) : null;
+// One access line + request metrics per API call (static files aren't counted)
+const OPS_PATHS = new Set(["/healthz", "/readyz", "/metrics"]);
+app.use(requestLogger({
+  quietPaths: OPS_PATHS,
+  onFinish(req, status, ms) {
+    const route = routeOf(req);
+    m.httpRequests.inc({ method: req.method, route, status });
+    m.httpSeconds.observe({ method: req.method, route }, ms / 1000);
+  },
+}));
+
+// API keys + rate limits (see lib/apiGuard.js) run before bodies are parsed
+const apiGuard = createApiGuard();
+const OPEN_PATHS = OPS_PATHS; // probes and scrapers need no API key (METRICS_TOKEN guards /metrics)
+const unlessOpen = (mw) => (req, res, next) => (OPEN_PATHS.has(req.path) ? next() : mw(req, res, next));
+app.use(unlessOpen(apiGuard.authenticate));
+app.use(unlessOpen(apiGuard.limit("api")));
+// Routes that fan out to POWER (and the LLM) share a tighter budget
+app.post(["/analyze-polygon", "/batch", "/simulate", "/climate/anomalies", "/advise", "/export/game-weather"], apiGuard.limit("heavy"));
+app.get(["/power/series", "/fields/:id/report"], apiGuard.limit("heavy")); // POWER fetches, PDF rendering
+
+const JSON_LIMIT = process.env.JSON_BODY_LIMIT || "2mb";
+app.use("/batch", express.json({ limit: process.env.BATCH_BODY_LIMIT || "25mb" })); // cadastres run to thousands of vertices
+app.use(express.json({ limit: JSON_LIMIT })); // saved fields carry their daily series
+app.use(restoreRequestContext); // parsers drop the request's log context
+
+// ----------------------------- Request limits ----------------------
+// Shapes beyond these are refused with 400 before any POWER/LLM call
+const GEOMETRY_LIMITS = {
+  maxVertices: Math.max(4, Number(process.env.MAX_POLYGON_VERTICES) || 5000),
+  maxParts: Math.max(1, Number(process.env.MAX_POLYGON_PARTS) || 100),
+  maxAreaKm2: Math.max(0.001, Number(process.env.MAX_POLYGON_AREA_KM2) || 50000),
+};
+const LAT = { type: "number", minimum: -90, maximum: 90 };
+const LON = { type: "number", minimum: -180, maximum: 180 };
+const FEATURE_SCHEMA = {
+  type: "object", required: ["type", "geometry"],
+  properties: { type: { enum: ["Feature"] }, geometry: { type: "object" } },
+};
+const POINT_SCHEMA = { type: "object", required: ["lat", "lon"], properties: { lat: LAT, lon: LON } };
+const ANALYZE_SCHEMA = {
+  type: "object", required: ["polygon"],
+  properties: {
+    polygon: FEATURE_SCHEMA,
+    area_sq_km: { type: ["number", "null"], minimum: 0 },
+    centroid: { ...POINT_SCHEMA, type: ["object", "null"] },
+  },
+};
+// Routes taking `point` or `polygon` (the rest of their body is checked in the route)
+const WHERE_SCHEMA = { type: "object", properties: { point: { ...POINT_SCHEMA, type: ["object", "null"] }, polygon: { ...FEATURE_SCHEMA, type: ["object", "null"] } } };
+
+const polygonProblems = (body) =>
+  body.polygon ? geometryProblems(body.polygon.geometry, { ...GEOMETRY_LIMITS, path: "body.polygon.geometry" }) : [];
+
+// ----------------------------- LLM (optional) ----------------------
+// LLM_PROVIDER picks OpenAI, an OpenAI-compatible endpoint, a local HTTP model
+// or the fixture fake (lib/llmProvider.js); off when nothing is configured
+const llm = createLLMProvider();
+
+// Every model reply is schema-checked, repaired by re-prompting and time-boxed
+// (lib/structuredOutput.js); callers fall back to rules/POWER when it gives up
+const ai = llm ? createStructuredCaller({
+  complete: llm.complete,
+  retries: Math.max(0, Number(process.env.AI_RETRIES ?? 2)),
+  timeoutMs: Math.max(1000, Number(process.env.AI_TIMEOUT_MS) || 20000),
+  onCall({ name, ok, attempts, ms }) {
+    m.aiCalls.inc({ call: name, outcome: ok ? "ok" : "failed" });
+    m.aiAttempts.inc({ call: name }, attempts);
+    m.aiSeconds.observe({ call: name }, ms / 1000);
+  },
+}) : null;
+
+// ----------------------------- Crop catalog ------------------------
+// Built-in table, or a JSON file via CROP_CATALOG (see lib/crops.js)
+const cropCatalog = loadCropCatalog();
+const LLM_CANDIDATES = 5; // top rule-based crops the LLM may re-rank
+
+// ----------------------------- Saved fields ------------------------
+// JSON file store; FIELDS_FILE overrides the location
+const fieldStore = createFieldStore({
+  file: process.env.FIELDS_FILE || path.join(__dirname, "data", "fields.json"),
+});
+
+// ----------------------------- POWER cache -------------------------
+const powerCache = createPowerCache({
+  dir: process.env.POWER_CACHE_DIR || path.join(__dirname, ".cache", "power"),
+});
+
+// ----------------------------- POWER source ------------------------
+// live | record | replay, optionally against a stand-in (see lib/powerSource.js)
+const powerSource = createPowerSource({
+  cache: powerCache,
+  fixturesDir: process.env.POWER_FIXTURES_DIR || path.join(__dirname, "fixtures", "power"),
+  onRequest({ tier = "direct", community, outcome, ms }) {
+    m.powerRequests.inc({ tier, community: community || "none", outcome });
+    if (outcome === "ok" || outcome === "failed") m.powerSeconds.observe({ tier }, ms / 1000);
+  },
+});
 
 // ===================================================================
 //                        NASA POWER (robust)
 // Clean series, trim outliers, clamp to physical ranges,
 // try daily → monthly → climatology → neighbor average,
 // and finally impute so we never return nulls.
+// Tiers start in priority order inside a total time budget: the next one
+// when every earlier tier came back empty, or once POWER_TIER_STAGGER_MS
+// passes without an answer (bounded by POWER_CONCURRENCY). The
+// highest-priority tier that yields data wins.
 // ===================================================================
 const COMMUNITIES = ["AG", "RE", "SB"];
+const POWER_CONCURRENCY = Math.max(1, Number(process.env.POWER_CONCURRENCY) || 4);
+const POWER_BUDGET_MS   = Math.max(1000, Number(process.env.POWER_BUDGET_MS) || 25000);
+const POWER_TIER_STAGGER_MS = Math.max(0, Number(process.env.POWER_TIER_STAGGER_MS ?? 1500) || 0);
+const POWER_MAX_CELLS   = Math.max(1, Number(process.env.POWER_MAX_CELLS) || 16);
 const DAILY_WINDOWS = [30, 60, 90, 180, 365];
 const MONTH_WINDOWS = [24, 60, 120];
 const NEIGHBOR_OFFSETS = [
@@ -61,19 +206,82 @@ function trimMeanArr(a, loQ = 0.1, hiQ = 0.9) {
   return t.reduce((s, v) => s + v, 0) / t.length;
 }
 
-async function getJSON(url) {
-  try {
-    const r = await fetch(url, { headers: { "User-Agent": "AgroScope/strict-power" } });
-    const txt = await r.text();
-    if (!r.ok) {
-      console.warn("[POWER]", r.status, url, txt.slice(0, 160));
-      return null;
-    }
-    try { return JSON.parse(txt); } catch { console.warn("[POWER] bad JSON"); return null; }
-  } catch (e) {
-    console.warn("[POWER] network error:", e?.message || e);
-    return null;
+// Physical ranges used when cleaning raw daily series
+const PARAM_RANGES = {
+  T2M: [-60, 60], T2M_MAX: [-60, 60], T2M_MIN: [-60, 60], T2MDEW: [-60, 60],
+  RH2M: [0, 100],
+  PRECTOTCORR: [0, Infinity], ALLSKY_SFC_SW_DWN: [0, Infinity], WS2M: [0, Infinity],
+};
+const isoDate = (k) => `${k.slice(0, 4)}-${k.slice(4, 6)}-${k.slice(6, 8)}`;
+
+/**
+ * Clean a POWER daily `parameter` object into date-aligned rows.
+ * Masked values (MASKS / non-numeric) are linearly interpolated from the
+ * nearest valid days (or carried from the nearest one at the edges) and
+ * flagged "imputed"; a gap with no valid data at all stays null and is
+ * flagged "masked". Out-of-range values are clamped and flagged "clamped".
+ * → { rows: [{ date, T2M, …, flags: { T2M: "imputed" } }], quality: { T2M: { valid, imputed, masked, clamped } } }
+ */
+function cleanDailySeries(paramObj, params) {
+  const p = paramObj || {};
+  const keys = [...new Set(params.flatMap(k => Object.keys(p[k] || {})))].sort();
+  const rows = keys.map(k => ({ date: isoDate(k), flags: {} }));
+  const quality = {};
+
+  for (const name of params) {
+    const src = keys.map(k => p[name]?.[k]);
+    const raw = src.map(Number);
+    const ok = src.map((v, i) => !MASKS.has(v) && isNum(v) && !MASKS.has(raw[i]));
+    const q = quality[name] = { valid: 0, imputed: 0, masked: 0, clamped: 0 };
+    const [lo, hi] = PARAM_RANGES[name] || [-Infinity, Infinity];
+
+    raw.forEach((v, i) => {
+      const row = rows[i];
+      if (ok[i]) {
+        const c = clamp(v, lo, hi);
+        if (c !== v) { row.flags[name] = "clamped"; q.clamped++; }
+        row[name] = c; q.valid++;
+        return;
+      }
+      let a = i - 1; while (a >= 0 && !ok[a]) a--;
+      let b = i + 1; while (b < raw.length && !ok[b]) b++;
+      let est = null;
+      if (a >= 0 && b < raw.length) est = raw[a] + (raw[b] - raw[a]) * (i - a) / (b - a);
+      else if (a >= 0) est = raw[a];
+      else if (b < raw.length) est = raw[b];
+      if (est == null) { row[name] = null; row.flags[name] = "masked"; q.masked++; }
+      else { row[name] = clamp(est, lo, hi); row.flags[name] = "imputed"; q.imputed++; }
+    });
   }
+  return { rows, quality };
+}
+
+const getJSON = (url, opts) => powerSource.getJSON(url, opts);
+
+// Concurrency limiter with priorities (lower number runs first).
+// Jobs whose signal is aborted while queued resolve to null without running.
+function createLimiter(max) {
+  let active = 0;
+  const queue = [];
+  const pump = () => {
+    while (active < max && queue.length) {
+      const job = queue.shift();
+      if (job.signal?.aborted) { job.resolve(null); continue; }
+      active++;
+      Promise.resolve().then(job.fn).then(job.resolve, job.reject).finally(() => { active--; pump(); });
+    }
+  };
+  return (fn, { priority = 0, signal } = {}) => new Promise((resolve, reject) => {
+    const job = { fn, priority, signal, resolve, reject };
+    const at = queue.findIndex(j => j.priority > priority);
+    queue.splice(at < 0 ? queue.length : at, 0, job);
+    pump();
+  });
+}
+
+// Sample count + trimmed (10–90 %) range of the values behind one metric
+function trimStats(a, loQ = 0.1, hiQ = 0.9) {
+  return a.length ? { n: a.length, range: [quantile(a, loQ), quantile(a, hiQ)] } : null;
 }
 
 function summarizeDailyMonthly(props) {
@@ -83,12 +291,15 @@ function summarizeDailyMonthly(props) {
   const P = seriesFromParam(p.PRECTOTCORR);
   const S = seriesFromParam(p.ALLSKY_SFC_SW_DWN);
 
-  const t2m   = T.length ? clamp(trimMeanArr(T, 0.1, 0.9), -60, 60) : null;   // °C
-  const rh2m  = R.length ? clamp(trimMeanArr(R, 0.1, 0.9),   0, 100) : null;  // %
-  const precip= P.length ? nonneg(trimMeanArr(P, 0.1, 0.9)) : null;           // mm/day
-  const solar = S.length ? nonneg(trimMeanArr(S, 0.1, 0.9)) : null;           // MJ/m²/day
+  const t2m   = T.length ? clampMetric("t2m_avg", trimMeanArr(T, 0.1, 0.9)) : null;          // °C
+  const rh2m  = R.length ? clampMetric("rh2m_avg", trimMeanArr(R, 0.1, 0.9)) : null;         // %
+  const precip= P.length ? clampMetric("precip_mm_day", trimMeanArr(P, 0.1, 0.9)) : null;    // mm/day
+  const solar = S.length ? clampMetric("solar_mj_m2_day", trimMeanArr(S, 0.1, 0.9)) : null;  // MJ/m²/day
 
-  return { t2m_avg: t2m, rh2m_avg: rh2m, precip_mm_day: precip, solar_mj_m2_day: solar };
+  return {
+    t2m_avg: t2m, rh2m_avg: rh2m, precip_mm_day: precip, solar_mj_m2_day: solar,
+    stats: { t2m_avg: trimStats(T), rh2m_avg: trimStats(R), precip_mm_day: trimStats(P), solar_mj_m2_day: trimStats(S) },
+  };
 }
 
 function summarizeClimatology(props) {
@@ -98,39 +309,41 @@ function summarizeClimatology(props) {
     if (!s.length) return null;
     return trimMeanArr(s, 0.1, 0.9);
   };
+  const st = (obj) => trimStats(seriesFromParam(obj));
   return {
     t2m_avg:         avg(p.T2M),
     rh2m_avg:        avg(p.RH2M),
     precip_mm_day:   avg(p.PRECTOTCORR),
     solar_mj_m2_day: avg(p.ALLSKY_SFC_SW_DWN),
+    stats: { t2m_avg: st(p.T2M), rh2m_avg: st(p.RH2M), precip_mm_day: st(p.PRECTOTCORR), solar_mj_m2_day: st(p.ALLSKY_SFC_SW_DWN) },
   };
 }
 
-async function tryDaily(lat, lon, community, days) {
+async function tryDaily(lat, lon, community, days, get = getJSON) {
   const end = new Date();
   const start = new Date(); start.setDate(end.getDate() - days);
   const url = `https://power.larc.nasa.gov/api/temporal/daily/point?parameters=T2M,RH2M,PRECTOTCORR,ALLSKY_SFC_SW_DWN&community=${community}&latitude=${lat}&longitude=${lon}&start=${yyyymmdd(start)}&end=${yyyymmdd(end)}&format=JSON`;
-  const j = await getJSON(url);
+  const j = await get(url);
   if (!j) return null;
   const s = summarizeDailyMonthly(j.properties);
   return { ...s, meta: { source: "daily", community, window_days: days } };
 }
 
-async function tryMonthly(lat, lon, community, months) {
+async function tryMonthly(lat, lon, community, months, get = getJSON) {
   const end = new Date();
   const start = new Date(); start.setMonth(end.getMonth() - (months - 1));
   const s = start.toISOString().slice(0, 7).replace("-", "") + "01";
   const e = end.toISOString().slice(0, 7).replace("-", "") + "28";
   const url = `https://power.larc.nasa.gov/api/temporal/monthly/point?parameters=T2M,RH2M,PRECTOTCORR,ALLSKY_SFC_SW_DWN&community=${community}&latitude=${lat}&longitude=${lon}&start=${s}&end=${e}&format=JSON`;
-  const j = await getJSON(url);
+  const j = await get(url);
   if (!j) return null;
   const ssum = summarizeDailyMonthly(j.properties);
   return { ...ssum, meta: { source: "monthly", community, window_months: months } };
 }
 
-async function tryClimatology(lat, lon, community) {
+async function tryClimatology(lat, lon, community, get = getJSON) {
   const url = `https://power.larc.nasa.gov/api/temporal/climatology/point?parameters=T2M,RH2M,PRECTOTCORR,ALLSKY_SFC_SW_DWN&community=${community}&latitude=${lat}&longitude=${lon}&format=JSON`;
-  const j = await getJSON(url);
+  const j = await get(url);
   if (!j) return null;
   const s = summarizeClimatology(j.properties);
   s.t2m_avg         = s.t2m_avg  == null ? null : clamp(s.t2m_avg, -60, 60);
@@ -140,35 +353,72 @@ async function tryClimatology(lat, lon, community) {
   return { ...s, meta: { source: "climatology", community, window_months: 12 } };
 }
 
-// Always return numbers (no nulls)
+const METRIC_KEYS = ["t2m_avg", "rh2m_avg", "precip_mm_day", "solar_mj_m2_day"];
+
+// Clamp one metric to its physical range (null stays null)
+function clampMetric(key, v) {
+  if (v == null || !isNum(v)) return null;
+  if (key === "t2m_avg")  return clamp(Number(v), -60, 60);
+  if (key === "rh2m_avg") return clamp(Number(v), 0, 100);
+  return nonneg(Number(v));
+}
+
+// Where a tier's numbers come from
+const ORIGIN_BY_SOURCE = { daily: "observed", monthly: "observed", climatology: "climatology", "neighbor-avg": "neighbor" };
+
+// Always return numbers (no nulls). Per-cell values of an area-weighted
+// result are clamped but never imputed, so gaps stay visible.
+// Every metric gets a `provenance` entry: { origin, n, range, … } where origin is
+// observed | neighbor | climatology | derived | default (| ai-adjusted later).
 function finalizeStrict(powerLike) {
-  const out = { ...powerLike };
+  const { stats, ...out } = powerLike || {};
+  if (Array.isArray(out.cells)) {
+    out.cells = out.cells.map(c => {
+      const cell = { ...c };
+      for (const k of METRIC_KEYS) cell[k] = clampMetric(k, cell[k]);
+      return cell;
+    });
+  }
+
+  // Provenance of the values we already have (callers may pass their own)
+  const prov = { ...(out.provenance || {}) };
+  const origin = ORIGIN_BY_SOURCE[out.meta?.source] ?? "observed";
+  for (const k of METRIC_KEYS) {
+    if (out[k] == null || prov[k]) continue;
+    prov[k] = { origin, source: out.meta?.source ?? null, n: stats?.[k]?.n ?? null, range: stats?.[k]?.range ?? null };
+  }
 
   // First pass: clamp existing values
-  if (out.t2m_avg         != null) out.t2m_avg         = clamp(Number(out.t2m_avg), -60, 60);
-  if (out.rh2m_avg        != null) out.rh2m_avg        = clamp(Number(out.rh2m_avg), 0, 100);
-  if (out.precip_mm_day   != null) out.precip_mm_day   = nonneg(Number(out.precip_mm_day));
-  if (out.solar_mj_m2_day != null) out.solar_mj_m2_day = nonneg(Number(out.solar_mj_m2_day));
+  for (const k of METRIC_KEYS) {
+    if (out[k] == null) continue;
+    const v = clampMetric(k, out[k]);
+    if (v !== Number(out[k])) prov[k] = { ...prov[k], clamped: true };
+    out[k] = v;
+  }
 
   // Impute sensible defaults if missing
   const DEFAULTS = { t: 20, rh: 60, p: 2, s: 18 }; // °C, %, mm/day, MJ/m²/day
+  const derived = (from) => ({ origin: "derived", from, n: 0, range: null });
+  const fallback = { origin: "default", n: 0, range: null };
 
   if (out.t2m_avg == null) {
-    out.t2m_avg = out.solar_mj_m2_day != null
-      ? clamp(8 + out.solar_mj_m2_day * 0.8, -60, 60)
-      : DEFAULTS.t;
+    const fromSolar = out.solar_mj_m2_day != null;
+    out.t2m_avg = fromSolar ? clamp(8 + out.solar_mj_m2_day * 0.8, -60, 60) : DEFAULTS.t;
+    prov.t2m_avg = fromSolar ? derived("solar_mj_m2_day") : fallback;
   }
   if (out.rh2m_avg == null) {
-    out.rh2m_avg = out.precip_mm_day != null
-      ? clamp(40 + Math.min(out.precip_mm_day, 10) * 6, 0, 100)
-      : DEFAULTS.rh;
+    const fromPrecip = out.precip_mm_day != null;
+    out.rh2m_avg = fromPrecip ? clamp(40 + Math.min(out.precip_mm_day, 10) * 6, 0, 100) : DEFAULTS.rh;
+    prov.rh2m_avg = fromPrecip ? derived("precip_mm_day") : fallback;
   }
   if (out.solar_mj_m2_day == null) {
     const est = (out.t2m_avg - 8) / 0.8;
     out.solar_mj_m2_day = nonneg(isNum(est) ? est : DEFAULTS.s);
+    prov.solar_mj_m2_day = isNum(est) ? derived("t2m_avg") : fallback;
   }
   if (out.precip_mm_day == null) {
     out.precip_mm_day = DEFAULTS.p;
+    prov.precip_mm_day = fallback;
   }
 
   // Final clamps
@@ -177,84 +427,392 @@ function finalizeStrict(powerLike) {
   out.solar_mj_m2_day = nonneg(out.solar_mj_m2_day);
   out.precip_mm_day   = nonneg(out.precip_mm_day);
 
+  out.provenance = prov;
   return out;
 }
 
-async function fetchPowerStrict(lat, lon) {
-  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return finalizeStrict({});
+const hasAny = (r) => !!r && (r.t2m_avg!=null || r.rh2m_avg!=null || r.precip_mm_day!=null || r.solar_mj_m2_day!=null);
 
+// neighbor sampling ±0.2° → average what we get (offsets run concurrently)
+async function tryNeighbors(lat, lon, community, get) {
+  const one = async ([dlat, dlon]) => {
+    const la = lat + dlat, lo = lon + dlon;
+    for (const d of DAILY_WINDOWS) { const r = await tryDaily(la, lo, community, d, get); if (r) return r; }
+    for (const m of MONTH_WINDOWS) { const r = await tryMonthly(la, lo, community, m, get); if (r) return r; }
+    return tryClimatology(la, lo, community, get);
+  };
+  const found = (await Promise.all(NEIGHBOR_OFFSETS.map(one))).filter(Boolean);
+
+  const mean = arr => arr.length ? arr.reduce((a,b)=>a+b,0)/arr.length : null;
+  const pick = (k) => found.map(r => r[k]).filter(v => v != null);
+  const st = (k) => { const a = pick(k); return a.length ? { n: a.length, range: [Math.min(...a), Math.max(...a)] } : null; };
+  return {
+    t2m_avg: mean(pick("t2m_avg")),
+    rh2m_avg: mean(pick("rh2m_avg")),
+    precip_mm_day: mean(pick("precip_mm_day")),
+    solar_mj_m2_day: mean(pick("solar_mj_m2_day")),
+    stats: Object.fromEntries(METRIC_KEYS.map(k => [k, st(k)])),
+    meta: { source: "neighbor-avg", community, notes: "±0.2° averaged", neighbors_used: found.length }
+  };
+}
+
+// Fallback tiers in priority order: per community, exact point daily → monthly →
+// climatology, then neighbor average. Earlier entries always win over later ones.
+function powerTiers(lat, lon) {
+  const tiers = [];
   for (const community of COMMUNITIES) {
-    // exact point: daily → monthly → climatology
     for (const d of DAILY_WINDOWS) {
-      const r = await tryDaily(lat, lon, community, d);
-      if (r && (r.t2m_avg!=null || r.rh2m_avg!=null || r.precip_mm_day!=null || r.solar_mj_m2_day!=null)) {
-        return finalizeStrict({ ...r, community });
-      }
+      tiers.push({ tier: "daily", community, window_days: d, run: (get) => tryDaily(lat, lon, community, d, get) });
     }
     for (const m of MONTH_WINDOWS) {
-      const r = await tryMonthly(lat, lon, community, m);
-      if (r && (r.t2m_avg!=null || r.rh2m_avg!=null || r.precip_mm_day!=null || r.solar_mj_m2_day!=null)) {
-        return finalizeStrict({ ...r, community });
-      }
+      tiers.push({ tier: "monthly", community, window_months: m, run: (get) => tryMonthly(lat, lon, community, m, get) });
     }
-    {
-      const r = await tryClimatology(lat, lon, community);
-      if (r && (r.t2m_avg!=null || r.rh2m_avg!=null || r.precip_mm_day!=null || r.solar_mj_m2_day!=null)) {
-        return finalizeStrict({ ...r, community });
+    tiers.push({ tier: "climatology", community, run: (get) => tryClimatology(lat, lon, community, get) });
+    tiers.push({ tier: "neighbor-avg", community, run: (get) => tryNeighbors(lat, lon, community, get) });
+  }
+  return tiers;
+}
+
+// `limit` lets several lookups (e.g. the cells of one polygon) share one
+// concurrency pool; `finalize: false` returns the raw winner (nulls kept);
+// `source` swaps where the JSON comes from (lib/powerSource.js).
+// `onTier(trace)` sees each tier start ("running") and settle ("ok"/"empty");
+// tiers never started are "skipped". Aborting `signal` stops every tier and
+// rejects with an AbortError.
+async function fetchPowerStrict(lat, lon, {
+  source = powerSource,
+  concurrency = POWER_CONCURRENCY,
+  budgetMs = POWER_BUDGET_MS,
+  staggerMs = POWER_TIER_STAGGER_MS,
+  limit = createLimiter(concurrency),
+  finalize = true,
+  onTier = null,
+  signal = null,
+} = {}) {
+  const done = finalize ? finalizeStrict : (x) => x;
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return done({});
+
+  const tiers = powerTiers(lat, lon);
+  const ctrl = new AbortController();
+  const t0 = Date.now();
+
+  // results[i]: undefined = pending, null = no data, object = usable
+  const results = new Array(tiers.length);
+  const trace = tiers.map(({ run, ...t }) => ({ ...t, status: "queued", calls: 0, ms: null }));
+  const startedAt = [];
+
+  let timedOut = false;
+  const winner = await new Promise((resolve) => {
+    let settled = false, launched = 0, staggerTimer = null;
+    const cancel = () => finish(-1);
+    const finish = (i) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      clearTimeout(staggerTimer);
+      signal?.removeEventListener("abort", cancel);
+      ctrl.abort();
+      resolve(i);
+    };
+    // Accept tier i only once every higher-priority tier has come back empty;
+    // when all started tiers are empty, start the next one now.
+    const check = () => {
+      for (let i = 0; i < results.length; i++) {
+        if (results[i] === null) continue;
+        if (results[i] === undefined) return i >= launched ? launch() : undefined;
+        return finish(i);
       }
-    }
+      finish(-1);
+    };
+    // Out of time → best result seen so far (if any)
+    const timer = setTimeout(() => { timedOut = true; finish(results.findIndex(Boolean)); }, budgetMs);
+    if (signal?.aborted) return cancel();
+    signal?.addEventListener("abort", cancel, { once: true });
 
-    // neighbor sampling ±0.2° → average what we get
-    let acc = { t:[], rh:[], p:[], s:[] };
-    for (const [dlat, dlon] of NEIGHBOR_OFFSETS) {
-      const la = lat + dlat, lo = lon + dlon;
-      let rr = null;
-      for (const d of DAILY_WINDOWS) { rr = await tryDaily(la, lo, community, d); if (rr) break; }
-      if (!rr) for (const m of MONTH_WINDOWS) { rr = await tryMonthly(la, lo, community, m); if (rr) break; }
-      if (!rr) rr = await tryClimatology(la, lo, community);
-      if (!rr) continue;
-      if (rr.t2m_avg!=null) acc.t.push(rr.t2m_avg);
-      if (rr.rh2m_avg!=null) acc.rh.push(rr.rh2m_avg);
-      if (rr.precip_mm_day!=null) acc.p.push(rr.precip_mm_day);
-      if (rr.solar_mj_m2_day!=null) acc.s.push(rr.solar_mj_m2_day);
-    }
-    const mean = arr => arr.length ? arr.reduce((a,b)=>a+b,0)/arr.length : null;
-    const merged = {
-      t2m_avg: mean(acc.t),
-      rh2m_avg: mean(acc.rh),
-      precip_mm_day: mean(acc.p),
-      solar_mj_m2_day: mean(acc.s),
-      meta: { source: "neighbor-avg", community, notes: "±0.2° averaged" }
+    const start = (t, i) => {
+      const get = (url) => limit(() => {
+        const first = trace[i].status === "queued";
+        if (first) { trace[i].status = "running"; startedAt[i] = Date.now(); }
+        trace[i].calls++;
+        if (first) onTier?.(trace[i]);
+        return source.getJSON(url, { signal: ctrl.signal, tier: t.tier });
+      }, { priority: i, signal: ctrl.signal });
+
+      t.run(get)
+        .catch((e) => { log.warn("POWER tier error", { tier: t.tier, community: t.community, err: e }); return null; })
+        .then((r) => {
+          if (settled) return;
+          trace[i].ms = Date.now() - (startedAt[i] ?? t0);
+          results[i] = hasAny(r) ? r : null;
+          trace[i].status = results[i] ? "ok" : "empty";
+          onTier?.(trace[i]);
+          check();
+        });
+    };
+    // Next tier in order; a slow one only holds the rest back for staggerMs
+    const launch = () => {
+      if (settled || launched >= tiers.length) return;
+      clearTimeout(staggerTimer);
+      const i = launched++;
+      if (launched < tiers.length) staggerTimer = setTimeout(launch, staggerMs);
+      start(tiers[i], i);
     };
-    if (merged.t2m_avg!=null || merged.rh2m_avg!=null || merged.precip_mm_day!=null || merged.solar_mj_m2_day!=null) {
-      return finalizeStrict(merged);
+    launch();
+  });
+
+  trace.forEach((tr, i) => {
+    if (tr.status === "running") { tr.status = "cancelled"; tr.ms = Date.now() - startedAt[i]; }
+    else if (tr.status === "queued") tr.status = "skipped";
+  });
+  const timing = { tiers: trace.filter(tr => tr.status !== "skipped"), elapsed_ms: Date.now() - t0, budget_ms: budgetMs, concurrency };
+  if (signal?.aborted) {
+    m.powerLookups.inc({ source: "cancelled", community: "none" });
+    signal.throwIfAborted();
+  }
+  m.powerLookups.inc({ source: winner < 0 ? "defaults" : results[winner].meta.source, community: winner < 0 ? "none" : results[winner].meta.community });
+  m.powerDepth.observe({}, winner < 0 ? tiers.length : winner);
+  m.powerLookupSeconds.observe({}, timing.elapsed_ms / 1000);
+  if (timedOut) m.powerBudgetHits.inc();
+
+  if (winner < 0) {
+    // nothing usable → safe non-null defaults
+    return done({ meta: { source: "defaults", ...timing } });
+  }
+  const r = results[winner];
+  return done({ ...r, community: r.meta.community, meta: { ...r.meta, ...timing } });
+}
+
+// Area-weighted mean per metric over the cells that have it, plus provenance:
+// the origin holding most of the weight wins, sample counts add up and the
+// range spans every contributing cell.
+function combineCells(cells, results) {
+  const out = { provenance: {} };
+  for (const k of METRIC_KEYS) {
+    let sw = 0, sv = 0, n = 0, lo = Infinity, hi = -Infinity;
+    const share = {};
+    results.forEach((r, i) => {
+      if (r?.[k] == null) return;
+      const w = cells[i].weight;
+      sw += w; sv += w * r[k];
+      const origin = ORIGIN_BY_SOURCE[r.meta?.source] ?? "observed";
+      share[origin] = (share[origin] || 0) + w;
+      const st = r.stats?.[k];
+      n += st?.n ?? 0;
+      lo = Math.min(lo, st?.range?.[0] ?? r[k]);
+      hi = Math.max(hi, st?.range?.[1] ?? r[k]);
+    });
+    out[k] = sw > 0 ? sv / sw : null;
+    if (sw > 0) {
+      const origin = Object.entries(share).sort((a, b) => b[1] - a[1])[0][0];
+      out.provenance[k] = { origin, n, range: [lo, hi], coverage: +sw.toFixed(4) };
+      if (Object.keys(share).length > 1) out.provenance[k].mixed = share;
     }
   }
+  return out;
+}
+
+/**
+ * POWER summary for a whole polygon: fetch every 0.5°×0.625° cell it overlaps
+ * (sharing one concurrency pool), then area-weight the per-cell summaries.
+ * The dominant cell's meta (source, tiers, timing) describes the result.
+ */
+// A shared `limit` bounds POWER requests across several polygons (batch jobs).
+// `onTier(trace, { cell, cells, lat, lon })` reports tier progress per cell.
+async function fetchPowerForPolygon(geometry, {
+  budgetMs = POWER_BUDGET_MS,
+  fallback = null,
+  source = powerSource,
+  limit = createLimiter(POWER_CONCURRENCY),
+  onTier = null,
+  signal = null,
+} = {}) {
+  const { cells, truncated, total_cells } = powerCellsForPolygon(geometry, { maxCells: POWER_MAX_CELLS });
+  const tierHook = (cell, n, c) => onTier && ((tr) => onTier(tr, { cell, cells: n, lat: c.lat, lon: c.lon }));
+  if (!cells.length) {
+    // unusable rings → representative point if we have one
+    return fallback
+      ? fetchPowerStrict(fallback.lat, fallback.lon, { budgetMs, source, limit, signal, onTier: tierHook(1, 1, fallback) })
+      : finalizeStrict({});
+  }
+
+  const results = await Promise.all(cells.map((c, i) =>
+    fetchPowerStrict(c.lat, c.lon, { limit, budgetMs, source, signal, onTier: tierHook(i + 1, cells.length, c), finalize: false })));
+
+  const main = results[0] || {};
+  const perCell = cells.map((c, i) => {
+    const r = results[i] || {};
+    const { tiers, elapsed_ms, budget_ms, concurrency, ...meta } = r.meta || {};
+    const vals = Object.fromEntries(METRIC_KEYS.map(k => [k, r[k] ?? null]));
+    const n = Object.fromEntries(METRIC_KEYS.map(k => [k, r.stats?.[k]?.n ?? 0]));
+    return { lat: c.lat, lon: c.lon, weight: c.weight, area_km2: c.area_km2, ...vals, n, meta };
+  });
+
+  return finalizeStrict({
+    ...combineCells(cells, results),
+    community: main.community,
+    cells: perCell,
+    meta: {
+      ...(main.meta || {}),
+      sampling: { method: cells.length > 1 ? "area-weighted" : "single-cell", cells: cells.length, total_cells, truncated },
+    },
+  });
+}
 
-  // nothing usable → safe non-null defaults
-  return finalizeStrict({});
+// ===================================================================
+//                      Daily series (POWER Data tab)
+// Cleaned, gap-filled daily rows for a point and a date range.
+// ===================================================================
+const SERIES_DEFAULT_PARAMS = ["T2M", "RH2M", "ALLSKY_SFC_SW_DWN", "PRECTOTCORR"];
+const SERIES_MAX_DAYS = 366 * 5;
+
+async function fetchDailySeries({ lat, lon, start, end, parameters = SERIES_DEFAULT_PARAMS, community = "AG", signal }) {
+  const url = `https://power.larc.nasa.gov/api/temporal/daily/point?parameters=${parameters.join(",")}&community=${community}&latitude=${lat}&longitude=${lon}&start=${yyyymmdd(start)}&end=${yyyymmdd(end)}&format=JSON`;
+  const j = await getJSON(url, { signal });
+  if (!j) return null;
+  const { rows, quality } = cleanDailySeries(j.properties?.parameter, parameters);
+  const units = Object.fromEntries(parameters.map(k => [k, j.parameters?.[k]?.units ?? null]));
+  const elevation = Number(j.geometry?.coordinates?.[2]);
+  return { rows, quality, units, elevation: Number.isFinite(elevation) ? elevation : null };
+}
+
+// ===================================================================
+//                   Season simulation (RUE/LAI model)
+// Drives lib/growthModel.js day by day with cleaned POWER daily data.
+// ===================================================================
+const POWER_LAG_DAYS = 5;           // daily POWER trails real time by a few days
+const SIM_DEFAULT_DAYS = 150;
+const SIM_MAX_DAYS = 365;
+
+// Where to simulate: explicit point, else the polygon's centroid
+function pointFromBody({ point, polygon }) {
+  if (Number.isFinite(point?.lat) && Number.isFinite(point?.lon)) return { lat: point.lat, lon: point.lon };
+  if (["Polygon", "MultiPolygon"].includes(polygon?.geometry?.type)) return polygonCentroid(polygon.geometry);
+  return null;
+}
+
+// Season window in UTC; if it isn't fully in POWER's past yet, reuse the same
+// calendar dates from the most recent year that is (so future sowings still run)
+function seasonWindow(sowing, days) {
+  const latest = new Date(Date.now() - POWER_LAG_DAYS * 864e5);
+  const start = new Date(sowing), end = new Date(sowing.getTime() + (days - 1) * 864e5);
+  let shifted_years = 0;
+  while (end > latest) {
+    start.setUTCFullYear(start.getUTCFullYear() - 1);
+    end.setUTCFullYear(end.getUTCFullYear() - 1);
+    shifted_years++;
+  }
+  return { start, end, shifted_years };
+}
+
+// ===================================================================
+//                  Climatology normals + recent anomalies
+// 12 monthly normals per parameter, and the last few months against them.
+// ===================================================================
+const CLIMATE_PARAMS = ["T2M", "RH2M", "PRECTOTCORR", "ALLSKY_SFC_SW_DWN"];
+const ANOMALY_DEFAULT_MONTHS = 6;
+const ANOMALY_MAX_MONTHS = 24;
+
+async function fetchNormals(lat, lon, community = "AG", params = CLIMATE_PARAMS) {
+  const url = `https://power.larc.nasa.gov/api/temporal/climatology/point?parameters=${params.join(",")}&community=${community}&latitude=${lat}&longitude=${lon}&format=JSON`;
+  const j = await getJSON(url);
+  if (!j) return null;
+  const units = Object.fromEntries(params.map(k => [k, j.parameters?.[k]?.units ?? null]));
+  const elevation = Number(j.geometry?.coordinates?.[2]);
+  return { normals: monthlyNormals(j.properties?.parameter, params), units, elevation: Number.isFinite(elevation) ? elevation : null };
+}
+
+// First day of the month `months - 1` before the latest POWER day, through that day
+function recentMonthsWindow(months) {
+  const end = new Date(Date.now() - POWER_LAG_DAYS * 864e5);
+  const start = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - (months - 1), 1));
+  return { start, end };
+}
+
+// ===================================================================
+//                      Agro-climatic indices
+// GDD, FAO-56 ET0, water balance, dry spells and heat stress from the
+// recent daily series (lib/agroIndices.js).
+// ===================================================================
+const INDEX_WINDOW_DAYS = 90;
+
+// Recent INDEX_PARAMS rows with daily ET0/WB, plus the cell elevation ET0 used
+async function fetchIndexSeries(lat, lon, days = INDEX_WINDOW_DAYS, { signal } = {}) {
+  const end = new Date(Date.now() - POWER_LAG_DAYS * 864e5);
+  const start = new Date(end.getTime() - (days - 1) * 864e5);
+  const series = await fetchDailySeries({ lat, lon, start, end, parameters: INDEX_PARAMS, community: "AG", signal });
+  if (!series?.rows?.length) return null;
+  return { ...series, rows: withDailyIndices(series.rows, { lat, elevation: series.elevation ?? 0, solarUnits: series.units.ALLSKY_SFC_SW_DWN }) };
+}
+
+// ===================================================================
+//                 Sowing windows + irrigation advisor
+// Climatology normals score each month as a sowing month per crop; the
+// recent daily series gives the weekly irrigation need (lib/advisor.js).
+// ===================================================================
+const ADVISE_DEFAULT_WEEKS = 4;
+const ADVISE_MAX_WEEKS = 12;
+
+// ===================================================================
+//                  Game weather export (Unity weather.csv)
+// Same columns lib/weatherData.js writes, for the most recent complete seasons.
+// ===================================================================
+const GAME_MAX_YEARS = 5;
+
+// Months for a named season or an explicit spec; "growing" follows the hemisphere
+function gameMonths({ season, months }, lat) {
+  if (months != null && months !== "") return parseMonths(months);
+  const name = !season || season === "growing" ? (lat < 0 ? "growing-south" : "growing-north") : String(season);
+  if (!SEASONS[name]) throw new Error(`season must be one of growing, ${Object.keys(SEASONS).join(", ")}`);
+  return SEASONS[name];
+}
+
+// Last `years` occurrences of the month set that POWER has fully observed.
+// A season starts at the first month whose predecessor isn't in the set, so
+// wrapping seasons (Oct–Mar) stay contiguous.
+function gameSeasonWindow(months, years) {
+  const set = new Set(months);
+  const first = months.find(m => !set.has(((m + 10) % 12) + 1)) ?? 1;
+  const latest = new Date(Date.now() - POWER_LAG_DAYS * 864e5);
+  const seasonEnd = (y) => {
+    // last day of the last month in the 12 months starting at `first` of year y
+    let last = first;
+    for (let i = 0; i < 12; i++) { const m = ((first - 1 + i) % 12) + 1; if (set.has(m)) last = first - 1 + i; }
+    return new Date(Date.UTC(y, last + 1, 0));
+  };
+  let y = latest.getUTCFullYear();
+  while (seasonEnd(y) > latest) y--;
+  return { start: new Date(Date.UTC(y - years + 1, first - 1, 1)), end: seasonEnd(y) };
 }
 
 // ===================================================================
 //                    AI sanity check (optional)
 // Adjusts values gently if still implausible; adds ai_notes.
 // ===================================================================
-async function aiSanityCheckPower({ openai, lat, lon, power, whenRange }) {
+// Largest move the sanity check may make to each metric; bigger moves are capped
+const AI_MAX_DELTA = { t2m_avg: 3, rh2m_avg: 15, precip_mm_day: 2, solar_mj_m2_day: 4 };
+
+const SANITY_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["t2m_avg", "rh2m_avg", "precip_mm_day", "solar_mj_m2_day", "notes"],
+  properties: {
+    t2m_avg: { type: "number", minimum: -60, maximum: 60 },
+    rh2m_avg: { type: "number", minimum: 0, maximum: 100 },
+    precip_mm_day: { type: "number", minimum: 0, maximum: 100 },
+    solar_mj_m2_day: { type: "number", minimum: 0, maximum: 45 },
+    notes: { type: "string", maxLength: 180 },
+  },
+};
+
+async function aiSanityCheckPower({ ai, lat, lon, power, whenRange, signal }) {
   try {
-    if (!openai) return { ...power, ai_notes: "AI off" };
+    if (!ai) return { ...power, ai_notes: "AI off" };
 
     const system = `
 You are a climate sanity-checker. Input is lat/lon and recent POWER summary.
-Return ONLY JSON:
-{
-  "t2m_avg": number,
-  "rh2m_avg": number,
-  "precip_mm_day": number,
-  "solar_mj_m2_day": number,
-  "notes": string
-}
-Rules: keep values realistic for place/season. Temp -60..60 °C; RH 0..100 %; Precip/Solar >=0.
-Be conservative. "notes" ≤ 180 chars.`.trim();
+Return the same four metrics, corrected only if clearly unrealistic for the
+place/season, plus "notes" (≤ 180 chars). Be conservative: moves larger than
+${JSON.stringify(AI_MAX_DELTA)} are capped by the server.`.trim();
 
     const user = JSON.stringify({
       lat, lon, whenRange,
@@ -266,158 +824,723 @@ Be conservative. "notes" ≤ 180 chars.`.trim();
       }
     });
 
-    const resp = await openai.responses.create({
-      model: "gpt-5-mini",
-      input: [
-        { role: "system", content: [{ type: "input_text", text: system }] },
-        { role: "user",   content: [{ type: "input_text", text: user   }] }
-      ]
-    });
-
-    const text =
-      resp.output_text ||
-      (resp.output?.[0]?.content?.find?.(c => c.type === "output_text")?.text) ||
-      "";
-
-    let data;
-    try { data = JSON.parse(text); }
-    catch {
-      const m = text.match(/\{[\s\S]*\}/);
-      if (!m) return { ...power, ai_notes: "AI non-JSON; using POWER" };
-      try { data = JSON.parse(m[0]); } catch { return { ...power, ai_notes: "AI malformed; using POWER" }; }
-    }
+    const r = await ai.call({ name: "sanity-check", system, user, schema: SANITY_SCHEMA, signal });
+    if (!r.ok) return { ...power, ai_notes: `AI check rejected (${r.errors[0] || "invalid"}); using POWER` };
+    const data = r.data;
 
     const out = {
-      t2m_avg: clamp(Number(data.t2m_avg ?? power.t2m_avg), -60, 60),
-      rh2m_avg: clamp(Number(data.rh2m_avg ?? power.rh2m_avg), 0, 100),
-      precip_mm_day: nonneg(Number(data.precip_mm_day ?? power.precip_mm_day)),
-      solar_mj_m2_day: nonneg(Number(data.solar_mj_m2_day ?? power.solar_mj_m2_day)),
+      ...power,
       meta: { ...(power.meta || {}), ai: true },
       ai_notes: String(data.notes || "Checked; no change"),
     };
+    // Apply each move within its bound and mark what the model actually moved
+    out.provenance = { ...(power.provenance || {}) };
+    for (const k of METRIC_KEYS) {
+      if (!isNum(power[k])) continue;
+      const delta = data[k] - power[k];
+      if (Math.abs(delta) < 1e-6) continue;
+      const max = AI_MAX_DELTA[k];
+      const capped = Math.abs(delta) > max;
+      if (capped) log.warn("AI sanity-check move capped", { metric: k, delta: +delta.toFixed(2), max });
+      out[k] = clampMetric(k, power[k] + clamp(delta, -max, max));
+      const prev = out.provenance[k] || {};
+      out.provenance[k] = {
+        ...prev, origin: "ai-adjusted", based_on: prev.origin ?? null, original: power[k],
+        ...(capped ? { capped: true, proposed: data[k] } : {}),
+      };
+    }
     return out;
   } catch (e) {
-    console.warn("[AI sanity-check] error:", e?.message || e);
+    log.warn("AI sanity-check failed", { err: e });
     return { ...power, ai_notes: "AI check failed; using POWER" };
   }
 }
 
+// Labels + re-ranking of the rule-based candidates
+function labelSchema(names) {
+  return {
+    type: "object",
+    additionalProperties: false,
+    required: ["country", "crop", "ranking", "regional_popular_crop", "temperature_c",
+      "humidity_relative_percent", "soil_water_retention", "rationale"],
+    properties: {
+      country: { type: "string", minLength: 1, maxLength: 80 },
+      crop: { type: "string", enum: names },
+      ranking: { type: "array", items: { type: "string", enum: names }, maxItems: names.length },
+      regional_popular_crop: { type: "string", minLength: 1, maxLength: 80 },
+      temperature_c: { type: "number" },
+      humidity_relative_percent: { type: "number" },
+      soil_water_retention: { type: "string", enum: ["low", "medium", "high"] },
+      rationale: { type: "string", maxLength: 1500 },
+    },
+  };
+}
+
 // ===================================================================
 //                        Analyze Polygon API
 // ===================================================================
-app.post("/analyze-polygon", async (req, res) => {
-  try {
-    const { polygon, area_sq_km, centroid } = req.body || {};
-    if (!polygon?.geometry?.type || polygon.geometry.type !== "Polygon") {
-      return res.status(400).json({ error: "Expected GeoJSON Polygon Feature" });
+/**
+ * The /analyze-polygon answer for a validated body. `progress(event, data)`
+ * sees each step (see the route); aborting `signal` stops the POWER and AI
+ * work and rejects with an AbortError.
+ */
+async function analyzePolygon({ polygon, area_sq_km, centroid }, { progress = () => {}, signal = null } = {}) {
+  // Representative point (prefer provided centroid)
+  let lat = null, lon = null;
+  if (Number.isFinite(centroid?.lat) && Number.isFinite(centroid?.lon)) {
+    ({ lat, lon } = centroid);
+  } else if (polygon.geometry.type === "MultiPolygon") {
+    ({ lat = null, lon = null } = polygonCentroid(polygon.geometry) || {});
+  } else {
+    const ring = polygon.geometry.coordinates?.[0] ?? [];
+    const xs = ring.map(c => Number(c[0])).filter(Number.isFinite);
+    const ys = ring.map(c => Number(c[1])).filter(Number.isFinite);
+    if (xs.length && ys.length) {
+      lon = (Math.min(...xs) + Math.max(...xs)) / 2;
+      lat = (Math.min(...ys) + Math.max(...ys)) / 2;
     }
+  }
 
-    // Representative point (prefer provided centroid)
-    let lat = null, lon = null;
-    if (Number.isFinite(centroid?.lat) && Number.isFinite(centroid?.lon)) {
-      ({ lat, lon } = centroid);
-    } else {
-      const ring = polygon.geometry.coordinates?.[0] ?? [];
-      const xs = ring.map(c => Number(c[0])).filter(Number.isFinite);
-      const ys = ring.map(c => Number(c[1])).filter(Number.isFinite);
-      if (xs.length && ys.length) {
-        lon = (Math.min(...xs) + Math.max(...xs)) / 2;
-        lat = (Math.min(...ys) + Math.max(...ys)) / 2;
-      }
-    }
+  // POWER over every grid cell the polygon covers (robust, non-null), then AI sanity check
+  // Daily indices series runs alongside the POWER summary; it is optional
+  const indexSeries = (lat != null && lon != null)
+    ? fetchIndexSeries(lat, lon, INDEX_WINDOW_DAYS, { signal }).catch(e => { if (!signal?.aborted) log.warn("index series failed", { err: e }); return null; })
+    : Promise.resolve(null);
 
-    // POWER (robust, non-null), then AI sanity check
-    const rawPower = (lat != null && lon != null)
-      ? await fetchPowerStrict(lat, lon)
-      : finalizeStrict({});
-    const whenRange =
-      rawPower?.meta?.source === "daily"    ? `daily ~${rawPower?.meta?.window_days}d` :
-      rawPower?.meta?.source === "monthly"  ? `monthly ~${rawPower?.meta?.window_months}m` :
-      rawPower?.meta?.source || "climatology/other";
-
-    const power = await aiSanityCheckPower({ openai, lat, lon, power: rawPower, whenRange });
-
-    // If no OpenAI for labels, return a mock label set + strict POWER numbers
-    if (!openai) {
-      return res.json({
-        country: "Unknown",
-        crop: "rice",
-        regional_popular_crop: "wheat",
-        temperature_c: power.t2m_avg,                 // guaranteed number
-        humidity_relative_percent: power.rh2m_avg,    // guaranteed number
-        soil_water_retention: "medium",
-        rationale: `Mock (no OPENAI_API_KEY). Area ~ ${area_sq_km?.toFixed?.(2) ?? "?"} km²`,
-        power
-      });
-    }
+  progress("start", { lat, lon, area_sq_km: area_sq_km ?? null });
+  const rawPower = await fetchPowerForPolygon(polygon.geometry, {
+    fallback: (lat != null && lon != null) ? { lat, lon } : null,
+    signal,
+    onTier: (tr, cell) => progress("tier", { ...cell, ...tr }),
+  });
+  const whenRange =
+    rawPower?.meta?.source === "daily"    ? `daily ~${rawPower?.meta?.window_days}d` :
+    rawPower?.meta?.source === "monthly"  ? `monthly ~${rawPower?.meta?.window_months}m` :
+    rawPower?.meta?.source || "climatology/other";
+  progress("power", { when_range: whenRange, power: rawPower });
+
+  if (ai) progress("stage", { stage: "ai-check", status: "running" });
+  const power = await aiSanityCheckPower({ ai, lat, lon, power: rawPower, whenRange, signal });
+  signal?.throwIfAborted();
+
+  // Deterministic ranking from the POWER summary; the LLM (if any) only re-ranks it
+  const recommendations = recommendCrops(power, { catalog: cropCatalog });
+
+  // GDD / heat stress per ranked crop, plus ET0, water balance and dry spells
+  progress("stage", { stage: "indices", status: "running" });
+  const series = await indexSeries;
+  signal?.throwIfAborted();
+  const indices = series && computeIndices(series.rows, {
+    lat, elevation: series.elevation ?? 0,
+    crops: recommendations.map(r => cropCatalog.find(c => c.name === r.crop)).filter(Boolean),
+  });
+
+  // Answer from the rules + strict POWER numbers (no AI, or the AI gave up).
+  // When every crop scores 0 there is no crop to recommend, only the ranking.
+  const best = topCrop(recommendations);
+  const rulesAnswer = (why, extra = {}) => ({
+    country: "Unknown",
+    crop: best,
+    ...(best ? {} : { no_suitable_crop: true }),
+    regional_popular_crop: null,
+    temperature_c: power.t2m_avg,                 // guaranteed number
+    humidity_relative_percent: power.rh2m_avg,    // guaranteed number
+    soil_water_retention: "medium",
+    rationale: `${explainRanking(recommendations)} Area ~ ${area_sq_km?.toFixed?.(2) ?? "?"} km² (${why}).`,
+    recommendations,
+    recommender: { engine: "rules", reranked_by: null },
+    power,
+    indices,
+    ...extra,
+  });
+  if (!ai) return rulesAnswer("AI off: no LLM_PROVIDER/OPENAI_API_KEY");
+  if (!best) return rulesAnswer("no crop to re-rank; AI labels skipped");
+
+  // Only crops the rules consider possible here are offered to the LLM
+  const candidates = recommendations.filter(r => r.score > 0).slice(0, LLM_CANDIDATES);
+  const names = candidates.map(c => c.crop);
 
-    // Strict JSON schema for labels
-    const systemPrompt = `
-You are a strict JSON generator. Return ONLY:
-{
-  "country": string,
-  "crop": "rice" | "corn" | "potato",
-  "regional_popular_crop": string,
-  "temperature_c": number,
-  "humidity_relative_percent": number,
-  "soil_water_retention": "low" | "medium" | "high",
-  "rationale": string
-}
-No prose outside JSON. "regional_popular_crop" must differ from "crop".`.trim();
-
-    const userPrompt =
-      `Analyze this polygon & return that JSON.\n` +
-      `GeoJSON:\n${JSON.stringify(polygon)}\n` +
-      `Approx area_km2: ${area_sq_km ?? "unknown"}\n` +
-      `Representative lat,lon: ${lat}, ${lon}\n` +
-      `NOTE: Server will overwrite temperature/humidity with NASA POWER values.`;
-
-    const resp = await openai.responses.create({
-      model: "gpt-5-mini",
-      input: [
-        { role: "system", content: [{ type: "input_text", text: systemPrompt }] },
-        { role: "user",   content: [{ type: "input_text", text: userPrompt   }] }
-      ]
+  const systemPrompt = `
+You label farm polygons. "ranking" re-orders the candidate crops (best first)
+using local knowledge the climate scores miss (soils, markets, season); "crop"
+is its first entry. "regional_popular_crop" must differ from "crop".`.trim();
+
+  const userPrompt =
+    `Analyze this polygon & return that JSON.\n` +
+    `GeoJSON:\n${JSON.stringify(polygon)}\n` +
+    `Approx area_km2: ${area_sq_km ?? "unknown"}\n` +
+    `Representative lat,lon: ${lat}, ${lon}\n` +
+    `Rule-based candidates (score 0..1 with per-factor suitability):\n${JSON.stringify(candidates)}\n` +
+    `NOTE: Server will overwrite temperature/humidity with NASA POWER values.`;
+
+  progress("stage", { stage: "ai-labels", status: "running" });
+  const labels = await ai.call({
+    name: "labels",
+    signal,
+    system: systemPrompt,
+    user: userPrompt,
+    schema: labelSchema(names),
+    check: (d) => (d.regional_popular_crop.trim().toLowerCase() === d.crop ? ["$.regional_popular_crop: must differ from crop"] : []),
+  });
+  signal?.throwIfAborted();
+  if (!labels.ok) {
+    return rulesAnswer("AI labels unavailable; rule-based ranking", { ai_error: labels.errors.slice(0, 3) });
+  }
+  const data = labels.data;
+
+  // LLM order first (unknown names ignored), then the rest in rule order
+  const llmOrder = [data.crop, ...(Array.isArray(data.ranking) ? data.ranking : [])]
+    .filter((n, i, a) => names.includes(n) && a.indexOf(n) === i);
+  const reranked = [
+    ...llmOrder.map((n, i) => ({ ...candidates.find(c => c.crop === n), ai_rank: i + 1 })),
+    ...recommendations.filter(r => !llmOrder.includes(r.crop)),
+  ];
+  delete data.ranking;
+  data.recommendations = reranked;
+  data.recommender = { engine: "rules", reranked_by: "llm", provider: llm.name, model: llm.model };
+
+  // Overwrite with POWER (guaranteed sane numbers) + include ai_notes
+  data.temperature_c = power.t2m_avg;
+  data.humidity_relative_percent = power.rh2m_avg;
+  data.power = power;
+  data.indices = indices;
+
+  return data;
+}
+
+// JSON by default. With "Accept: text/event-stream" the answer streams as SSE:
+//   start   { lat, lon, area_sq_km }
+//   tier    one POWER fallback tier per cell starting ("running") or settling
+//           ("ok" | "empty"): { cell, cells, lat, lon, tier, community, window_days|window_months, status, calls, ms }
+//   power   { when_range, power } — the POWER summary before the AI check
+//   stage   { stage: "ai-check" | "indices" | "ai-labels", status: "running" }
+//   result  the same body the JSON variant returns
+//   error   { error, details }
+// Closing the connection cancels the analysis (both variants; lib/eventStream.js).
+app.post("/analyze-polygon", validateBody(ANALYZE_SCHEMA, polygonProblems), async (req, res) => {
+  if (!["Polygon", "MultiPolygon"].includes(req.body?.polygon?.geometry?.type)) {
+    return res.status(400).json({ error: "Expected GeoJSON Polygon or MultiPolygon Feature (use POST /batch for FeatureCollections)" });
+  }
+  await respondWithProgress(req, res, ({ signal, progress }) => analyzePolygon(req.body, { signal, progress }), { log, failure: "AI/POWER analysis failed" });
+});
+
+// Season-long growth simulation for a field or point
+app.post("/simulate", validateBody(WHERE_SCHEMA, polygonProblems), async (req, res) => {
+  const body = req.body || {};
+  const where = pointFromBody(body);
+  if (!where || Math.abs(where.lat) > 90 || Math.abs(where.lon) > 180) {
+    return res.status(400).json({ error: "Provide point {lat, lon} or a GeoJSON Polygon Feature as polygon" });
+  }
+
+  const cropName = String(body.crop || "").trim().toLowerCase();
+  const crop = cropCatalog.find(c => c.name === cropName);
+  if (!crop) {
+    return res.status(400).json({ error: `Unknown crop; expected one of ${cropCatalog.map(c => c.name).join(", ")}` });
+  }
+
+  const sowing = parseDay(body.sowing_date);
+  if (!sowing) return res.status(400).json({ error: "sowing_date must be a calendar date, YYYY-MM-DD" });
+
+  const days = body.season_days == null ? SIM_DEFAULT_DAYS : Number(body.season_days);
+  if (!Number.isInteger(days) || days < 7 || days > SIM_MAX_DAYS) {
+    return res.status(400).json({ error: `season_days must be an integer between 7 and ${SIM_MAX_DAYS}` });
+  }
+  const irrigation = body.irrigation_mm_day == null ? 4 : Number(body.irrigation_mm_day);
+  if (!Number.isFinite(irrigation) || irrigation < 0 || irrigation > 50) {
+    return res.status(400).json({ error: "irrigation_mm_day must be between 0 and 50" });
+  }
+  const npk = body.npk == null ? [200, 40, 30] : body.npk;
+  if (!Array.isArray(npk) || npk.length !== 3 || !npk.every(v => Number.isFinite(v) && v >= 0)) {
+    return res.status(400).json({ error: "npk must be [N, P, K] with non-negative numbers" });
+  }
+
+  try {
+    const window = seasonWindow(sowing, days);
+    const series = await fetchDailySeries({ lat: where.lat, lon: where.lon, start: window.start, end: window.end, community: "AG" });
+    if (!series?.rows?.length) return res.status(502).json({ error: "POWER daily data unavailable for this window" });
+
+    const growth = crop.growth || FALLBACK_GROWTH;
+    const { daily, summary } = simulateSeason({
+      growth,
+      weather: series.rows,
+      irrigation,
+      npk,
+      monocrop: !!body.monocrop,
+      stopAtHarvest: body.stop_at_harvest !== false,
     });
 
-    const rawText =
-      resp.output_text ||
-      (resp.output?.[0]?.content?.find?.(c => c.type === "output_text")?.text) ||
-      "";
-
-    let data;
-    try {
-      data = JSON.parse(rawText);
-    } catch {
-      const match = rawText.match(/\{[\s\S]*\}/);
-      if (!match) return res.status(502).json({ error: "Model did not return JSON", raw: rawText });
-      try { data = JSON.parse(match[0]); }
-      catch { return res.status(502).json({ error: "Model returned malformed JSON", raw: rawText }); }
-    }
+    res.json({
+      crop: crop.name,
+      location: where,
+      sowing_date: isoDate(yyyymmdd(sowing)),
+      inputs: { season_days: days, irrigation_mm_day: irrigation, npk, monocrop: !!body.monocrop },
+      weather: {
+        source: "POWER daily (AG)",
+        start: isoDate(yyyymmdd(window.start)),
+        end: isoDate(yyyymmdd(window.end)),
+        shifted_years: window.shifted_years,
+        note: window.shifted_years ? `Season not yet observed; used weather from ${window.shifted_years} year(s) earlier` : null,
+        quality: series.quality,
+      },
+      growth_params: growth,
+      summary,
+      daily,
+    });
+  } catch (e) {
+    log.error("handler failed", { err: e });
+    res.status(500).json({ error: "Simulation failed", details: String(e?.message || e) });
+  }
+});
+
+// Monthly normals for a field or point, and how recent months compare
+app.post("/climate/anomalies", validateBody(WHERE_SCHEMA, polygonProblems), async (req, res) => {
+  const body = req.body || {};
+  const where = pointFromBody(body);
+  if (!where || Math.abs(where.lat) > 90 || Math.abs(where.lon) > 180) {
+    return res.status(400).json({ error: "Provide point {lat, lon} or a GeoJSON Polygon Feature as polygon" });
+  }
+  const months = body.months == null ? ANOMALY_DEFAULT_MONTHS : Number(body.months);
+  if (!Number.isInteger(months) || months < 1 || months > ANOMALY_MAX_MONTHS) {
+    return res.status(400).json({ error: `months must be an integer between 1 and ${ANOMALY_MAX_MONTHS}` });
+  }
+
+  try {
+    const window = recentMonthsWindow(months);
+    const [clim, series] = await Promise.all([
+      fetchNormals(where.lat, where.lon),
+      fetchDailySeries({ lat: where.lat, lon: where.lon, start: window.start, end: window.end, parameters: CLIMATE_PARAMS, community: "AG" }),
+    ]);
+    if (!clim) return res.status(502).json({ error: "POWER climatology unavailable for this location" });
+
+    const monthly = monthlyMeans(series?.rows, CLIMATE_PARAMS);
+    const { months: recent, latest_month, notes } = compareToNormals(monthly, clim.normals, CLIMATE_PARAMS);
+    res.json({
+      location: where,
+      community: "AG",
+      parameters: CLIMATE_PARAMS,
+      units: clim.units,
+      normals: clim.normals,
+      window: { start: isoDate(yyyymmdd(window.start)), end: isoDate(yyyymmdd(window.end)) },
+      recent,
+      latest_month,
+      notes,
+      ...(series ? {} : { warning: "Recent daily data unavailable; normals only" }),
+    });
+  } catch (e) {
+    log.error("handler failed", { err: e });
+    res.status(500).json({ error: "Climate anomaly analysis failed", details: String(e?.message || e) });
+  }
+});
+
+// Sowing windows per crop and weekly irrigation need for a field or point
+app.post("/advise", validateBody(WHERE_SCHEMA, polygonProblems), async (req, res) => {
+  const body = req.body || {};
+  const where = pointFromBody(body);
+  if (!where || Math.abs(where.lat) > 90 || Math.abs(where.lon) > 180) {
+    return res.status(400).json({ error: "Provide point {lat, lon} or a GeoJSON Polygon Feature as polygon" });
+  }
+  const names = body.crops == null ? cropCatalog.map(c => c.name) : body.crops;
+  if (!Array.isArray(names) || !names.length) return res.status(400).json({ error: "crops must be a non-empty array of crop names" });
+  const crops = names.map(n => cropCatalog.find(c => c.name === String(n).trim().toLowerCase()));
+  if (crops.some(c => !c)) {
+    return res.status(400).json({ error: `Unknown crop; expected one of ${cropCatalog.map(c => c.name).join(", ")}` });
+  }
+  const irrigationCrop = body.irrigation_crop == null
+    ? crops[0]
+    : cropCatalog.find(c => c.name === String(body.irrigation_crop).trim().toLowerCase());
+  if (!irrigationCrop) return res.status(400).json({ error: "Unknown irrigation_crop" });
+  const weeks = body.weeks == null ? ADVISE_DEFAULT_WEEKS : Number(body.weeks);
+  if (!Number.isInteger(weeks) || weeks < 1 || weeks > ADVISE_MAX_WEEKS) {
+    return res.status(400).json({ error: `weeks must be an integer between 1 and ${ADVISE_MAX_WEEKS}` });
+  }
+
+  try {
+    const [clim, series] = await Promise.all([
+      fetchNormals(where.lat, where.lon, "AG", INDEX_PARAMS),
+      fetchIndexSeries(where.lat, where.lon, weeks * 7).catch(e => { log.warn("index series failed", { err: e }); return null; }),
+    ]);
+    if (!clim) return res.status(502).json({ error: "POWER climatology unavailable for this location" });
+
+    const climate = monthlyClimate(clim.normals, { lat: where.lat, elevation: clim.elevation ?? series?.elevation ?? 0 });
+    const onset = rainOnset(climate);
+    const sowing = crops.map(c => sowingWindows(c, climate, { onset })).sort((a, b) => b.best_score - a.best_score);
+    res.json({
+      location: where,
+      climate: {
+        months: climate,
+        rain_onset_month: onset == null ? null : onset + 1,
+        wet_months: climate.filter(c => c.wet).map(c => c.month + 1),
+        frost_months: climate.filter(c => c.frost).map(c => c.month + 1),
+      },
+      sowing,
+      irrigation: irrigationNeed(series?.rows, climate, { crop: irrigationCrop, weeks }),
+      ...(series ? {} : { warning: "Recent daily data unavailable; irrigation from normals only" }),
+    });
+  } catch (e) {
+    log.error("handler failed", { err: e });
+    res.status(500).json({ error: "Advice failed", details: String(e?.message || e) });
+  }
+});
+
+// weather.csv for the Unity game (PlantScript.getdata) at a field or point
+app.post("/export/game-weather", validateBody(WHERE_SCHEMA, polygonProblems), async (req, res) => {
+  const body = req.body || {};
+  const where = pointFromBody(body);
+  if (!where || Math.abs(where.lat) > 90 || Math.abs(where.lon) > 180) {
+    return res.status(400).json({ error: "Provide point {lat, lon} or a GeoJSON Polygon Feature as polygon" });
+  }
+
+  let months;
+  try { months = gameMonths(body, where.lat); } catch (e) { return res.status(400).json({ error: e.message }); }
+  const years = body.years == null ? 1 : Number(body.years);
+  if (!Number.isInteger(years) || years < 1 || years > GAME_MAX_YEARS) {
+    return res.status(400).json({ error: `years must be an integer between 1 and ${GAME_MAX_YEARS}` });
+  }
+
+  try {
+    const window = gameSeasonWindow(months, years);
+    const series = await fetchDailySeries({ lat: where.lat, lon: where.lon, start: window.start, end: window.end, parameters: GAME_PARAMETERS, community: "AG" });
+    if (!series?.rows?.length) return res.status(502).json({ error: "POWER daily data unavailable for this location" });
+
+    const rows = series.rows.filter(r => months.includes(Number(r.date.slice(5, 7))));
+    const imputed = rows.filter(r => Object.keys(r.flags || {}).length).length;
+    res.set({
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": 'attachment; filename="weather.csv"',
+      "X-Weather-Location": `${where.lat.toFixed(4)},${where.lon.toFixed(4)}`,
+      "X-Weather-Window": `${isoDate(yyyymmdd(window.start))}/${isoDate(yyyymmdd(window.end))}`,
+      "X-Weather-Imputed-Days": String(imputed),
+    });
+    res.send(formatWeather(rows, { format: "csv", layout: "game", units: series.units }));
+  } catch (e) {
+    log.error("handler failed", { err: e });
+    res.status(500).json({ error: "Game weather export failed", details: String(e?.message || e) });
+  }
+});
+
+// Saved fields: list (summaries), read, create, update, delete
+app.get("/fields", async (_req, res) => {
+  try {
+    res.json({ fields: await fieldStore.list() });
+  } catch (e) {
+    log.error("handler failed", { err: e });
+    res.status(500).json({ error: "Could not read fields", details: String(e?.message || e) });
+  }
+});
+
+app.get("/fields/:id", async (req, res) => {
+  const field = await fieldStore.get(req.params.id);
+  if (!field) return res.status(404).json({ error: "Field not found" });
+  res.json(field);
+});
+
+app.post("/fields", async (req, res) => {
+  const problem = fieldInputError(req.body);
+  if (problem) return res.status(400).json({ error: problem });
+  try {
+    res.status(201).json(await fieldStore.create(req.body));
+  } catch (e) {
+    log.error("handler failed", { err: e });
+    res.status(500).json({ error: "Could not save field", details: String(e?.message || e) });
+  }
+});
+
+// Partial update: name, notes, geometry, area_km2, centroid, analysis, series
+app.patch("/fields/:id", async (req, res) => {
+  const problem = fieldInputError(req.body, { partial: true });
+  if (problem) return res.status(400).json({ error: problem });
+  try {
+    const field = await fieldStore.update(req.params.id, req.body);
+    if (!field) return res.status(404).json({ error: "Field not found" });
+    res.json(fieldStore.summarize(field));
+  } catch (e) {
+    log.error("handler failed", { err: e });
+    res.status(500).json({ error: "Could not update field", details: String(e?.message || e) });
+  }
+});
+
+app.delete("/fields/:id", async (req, res) => {
+  try {
+    if (!(await fieldStore.remove(req.params.id))) return res.status(404).json({ error: "Field not found" });
+    res.status(204).end();
+  } catch (e) {
+    log.error("handler failed", { err: e });
+    res.status(500).json({ error: "Could not delete field", details: String(e?.message || e) });
+  }
+});
+
+// Printable report from the stored analysis + series: ?format=html (default) | pdf
+app.get("/fields/:id/report", async (req, res) => {
+  const format = String(req.query.format || "html").toLowerCase();
+  if (!["html", "pdf"].includes(format)) return res.status(400).json({ error: "format must be html or pdf" });
+  try {
+    const field = await fieldStore.get(req.params.id);
+    if (!field) return res.status(404).json({ error: "Field not found" });
+    if (!field.analysis) return res.status(409).json({ error: "Field has no stored analysis; analyze it first" });
+    const slug = (field.name || "field").replace(/[^\w-]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 60) || "field";
+    const disposition = ["1", "true"].includes(String(req.query.download)) ? "attachment" : "inline";
+    res.setHeader("Content-Disposition", `${disposition}; filename="report-${slug}.${format}"`);
+    if (format === "pdf") return res.type("application/pdf").send(await reportPDF(field));
+    res.type("html").send(reportHTML(field));
+  } catch (e) {
+    log.error("handler failed", { err: e });
+    res.status(500).json({ error: "Report failed", details: String(e?.message || e) });
+  }
+});
+
+// Crop catalog used by the recommender
+app.get("/crops", (_req, res) => res.json({ crops: cropCatalog }));
 
-    const okCrop = ["rice", "corn", "potato"].includes(data.crop);
-    const okSoil = ["low", "medium", "high"].includes(data.soil_water_retention);
-    if (!data.country || !okCrop || !okSoil || !data.regional_popular_crop) {
-      return res.status(502).json({ error: "Invalid schema from model", raw: data });
+// Daily POWER series for the POWER Data tab (cleaned + flagged)
+app.get("/power/series", async (req, res) => {
+  const lat = Number(req.query.lat), lon = Number(req.query.lon);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return res.status(400).json({ error: "lat/lon must be valid coordinates" });
+  }
+
+  const end = req.query.end ? parseDay(req.query.end) : new Date();
+  const start = req.query.start ? parseDay(req.query.start) : new Date(end?.getTime() - 30 * 864e5);
+  if (!start || !end) return res.status(400).json({ error: "start/end must be calendar dates, YYYY-MM-DD or YYYYMMDD" });
+  if (start > end) return res.status(400).json({ error: "start must not be after end" });
+  if ((end - start) / 864e5 > SERIES_MAX_DAYS) {
+    return res.status(400).json({ error: `Range too long (max ${SERIES_MAX_DAYS} days)` });
+  }
+
+  const parameters = req.query.parameters
+    ? String(req.query.parameters).split(",").map(s => s.trim().toUpperCase()).filter(Boolean)
+    : [...SERIES_DEFAULT_PARAMS];
+  if (!parameters.length || parameters.length > 20 || !parameters.every(k => /^[A-Z0-9_]+$/.test(k))) {
+    return res.status(400).json({ error: "parameters must be a comma-separated list of POWER parameter names" });
+  }
+  const community = String(req.query.community || "AG").toUpperCase();
+  if (!COMMUNITIES.includes(community)) {
+    return res.status(400).json({ error: `community must be one of ${COMMUNITIES.join(", ")}` });
+  }
+  // ?indices=1 also fetches what ET0 needs and adds ET0/WB per row + a summary
+  const withIndices = ["1", "true", "yes"].includes(String(req.query.indices || "").toLowerCase());
+  if (withIndices) parameters.push(...INDEX_PARAMS.filter(k => !parameters.includes(k)));
+
+  try {
+    const series = await fetchDailySeries({ lat, lon, start, end, parameters, community });
+    if (!series) return res.status(502).json({ error: "POWER request failed" });
+    if (withIndices) {
+      // RE/SB report solar in kWh/m²/day; ET0 is computed in MJ/m²/day
+      const site = { lat, elevation: series.elevation ?? 0, solarUnits: series.units.ALLSKY_SFC_SW_DWN };
+      series.rows = withDailyIndices(series.rows, site);
+      series.indices = computeIndices(series.rows, { ...site, crops: cropCatalog });
     }
+    res.json({
+      lat, lon, community, parameters,
+      start: isoDate(yyyymmdd(start)), end: isoDate(yyyymmdd(end)),
+      ...series,
+    });
+  } catch (e) {
+    log.error("handler failed", { err: e });
+    res.status(500).json({ error: "POWER series failed", details: String(e?.message || e) });
+  }
+});
+
+// ===================================================================
+//                 Operations: liveness, readiness, metrics
+// /healthz only says the process answers (restart it if not); /readyz
+// checks POWER and the LLM (each within READY_TIMEOUT_MS), cached for
+// READY_CACHE_MS so probes don't hammer them. POWER is required (503 without it); the LLM only makes the
+// status "degraded" unless READY_REQUIRE_LLM=1, since analyses fall back to rules.
+// ===================================================================
+const startedAt = new Date().toISOString();
+const READY_CACHE_MS = Math.max(0, Number(process.env.READY_CACHE_MS ?? 15000));
+const READY_TIMEOUT_MS = Math.max(500, Number(process.env.READY_TIMEOUT_MS) || 5000);
+const READY_REQUIRE_LLM = ["1", "true"].includes(String(process.env.READY_REQUIRE_LLM));
+let readyCheck = null; // { at, promise }
 
-    // Overwrite with POWER (guaranteed sane numbers) + include ai_notes
-    data.temperature_c = power.t2m_avg;
-    data.humidity_relative_percent = power.rh2m_avg;
-    data.power = power;
+async function checkReadiness() {
+  const [power, model] = await Promise.all([
+    powerSource.probe({ timeoutMs: READY_TIMEOUT_MS }),
+    llm ? probeLLM(llm, { timeoutMs: READY_TIMEOUT_MS }) : null,
+  ]);
+  const checks = {
+    power: { required: true, mode: powerSource.mode, target: powerSource.mode === "replay" ? powerSource.fixturesDir : powerSource.baseURL, ...power },
+    llm: llm
+      ? { required: READY_REQUIRE_LLM, provider: llm.name, model: llm.model, ...model }
+      : { required: false, ok: true, provider: "off" },
+  };
+  const failed = Object.values(checks).filter(c => !c.ok);
+  const status = failed.some(c => c.required) ? "unavailable" : failed.length ? "degraded" : "ready";
+  if (failed.length) log.warn("readiness check failed", { status, failed: Object.keys(checks).filter(k => !checks[k].ok) });
+  return { status, checked_at: new Date().toISOString(), checks };
+}
 
-    res.json(data);
+app.get("/healthz", (_req, res) => res.json({ ok: true, started_at: startedAt, uptime_s: Math.round(process.uptime()) }));
+
+app.get("/readyz", async (_req, res) => {
+  if (!readyCheck || Date.now() - readyCheck.at > READY_CACHE_MS) readyCheck = { at: Date.now(), promise: checkReadiness() };
+  const ready = await readyCheck.promise;
+  res.status(ready.status === "unavailable" ? 503 : 200).json(ready);
+});
+
+// Values other modules keep, read at scrape time
+const counterSamples = (obj, labelName) => Object.entries(obj || {}).map(([k, v]) => ({ labels: { [labelName]: k }, value: v }));
+metrics.collect(async () => {
+  const cache = await powerCache.stats();
+  const guard = apiGuard.stats();
+  const jobs = batchJobs.list();
+  const mem = process.memoryUsage();
+  return [
+    { name: "power_cache_lookups_total", type: "counter", help: "POWER cache lookups by resolution and result",
+      samples: Object.entries(cache.by_resolution).flatMap(([resolution, c]) => [
+        { labels: { resolution, result: "hit" }, value: c.hits },
+        { labels: { resolution, result: "miss" }, value: c.misses },
+      ]) },
+    { name: "power_cache_events_total", type: "counter", help: "POWER cache expirations, writes and errors",
+      samples: counterSamples({ expired: cache.expired, write: cache.writes, error: cache.errors }, "event") },
+    { name: "power_cache_entries", type: "gauge", help: "Files in the POWER cache", samples: [{ value: cache.entries }] },
+    { name: "power_cache_bytes", type: "gauge", help: "Size of the POWER cache", samples: [{ value: cache.bytes }] },
+    { name: "api_rejections_total", type: "counter", help: "Requests refused by the API guard",
+      samples: counterSamples({ unauthorized: guard.unauthorized, rate_limited: guard.rejected }, "reason") },
+    { name: "batch_jobs", type: "gauge", help: "Batch jobs held in memory by status",
+      samples: ["queued", "running", "done", "cancelled", "failed"].map(status => ({ labels: { status }, value: jobs.filter(j => j.status === status).length })) },
+    { name: "process_resident_memory_bytes", type: "gauge", help: "Resident set size", samples: [{ value: mem.rss }] },
+    { name: "process_heap_used_bytes", type: "gauge", help: "V8 heap in use", samples: [{ value: mem.heapUsed }] },
+    { name: "process_uptime_seconds", type: "gauge", help: "Seconds since the server started", samples: [{ value: Math.round(process.uptime()) }] },
+    { name: "build_info", type: "gauge", help: "Runtime configuration (value is always 1)",
+      samples: [{ labels: { node: process.version, power_source: powerSource.mode, llm: llm ? `${llm.name}/${llm.model}` : "off" }, value: 1 }] },
+  ];
+});
+
+// Prometheus scrape; METRICS_TOKEN, when set, is required as a Bearer token
+app.get("/metrics", async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get("authorization") !== `Bearer ${token}`) {
+    res.setHeader("WWW-Authenticate", 'Bearer realm="metrics"');
+    return res.status(401).json({ error: "Metrics token required" });
+  }
+  try {
+    res.type("text/plain; version=0.0.4").send(await metrics.render());
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: "AI/POWER analysis failed", details: String(e?.message || e) });
+    log.error("metrics render failed", { err: e });
+    res.status(500).json({ error: "Metrics failed", details: String(e?.message || e) });
+  }
+});
+
+// POWER cache: stats + purge (?expired=1 keeps fresh entries). Purging is an
+// admin action: off unless ADMIN_TOKEN is set, then it must come as X-Admin-Token
+// (API keys only get callers this far, they don't grant it)
+app.get("/cache/stats", async (_req, res) => res.json({ ...(await powerCache.stats()), source: powerSource.stats() }));
+app.post("/cache/purge", async (req, res) => {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) return res.status(403).json({ error: "Cache purge is disabled (set ADMIN_TOKEN to enable it)" });
+  if (!secretMatches(token, req.get("x-admin-token"))) return res.status(403).json({ error: "Admin token required (X-Admin-Token header)" });
+  const expiredOnly = ["1", "true"].includes(String(req.query.expired));
+  res.json(await powerCache.purge({ expiredOnly }));
+});
+
+// ===================================================================
+//                    Batch analysis (FeatureCollections)
+// Each Polygon/MultiPolygon feature gets the area-weighted POWER summary
+// and the rule-based ranking (no per-parcel LLM call). One POWER limiter is
+// shared by the whole job, so a big cadastre can't flood the API.
+// ===================================================================
+const BATCH_MAX_FEATURES = Math.max(1, Number(process.env.BATCH_MAX_FEATURES) || 1000);
+const BATCH_TOP_CROPS = 3;
+
+const batchPowerLimit = createLimiter(POWER_CONCURRENCY);
+
+async function analyzeFeature(feature, _index, { signal } = {}) {
+  const geometry = feature?.geometry;
+  if (feature?.type !== "Feature" || !["Polygon", "MultiPolygon"].includes(geometry?.type)) {
+    throw new Error(`Expected a Polygon or MultiPolygon Feature, got ${geometry?.type ?? feature?.type ?? "nothing"}`);
+  }
+  const problems = geometryProblems(geometry, GEOMETRY_LIMITS);
+  if (problems.length) throw new Error(problems.slice(0, 3).join("; "));
+  const centroid = polygonCentroid(geometry);
+  if (!centroid) throw new Error("Geometry has no usable ring");
+
+  const power = await fetchPowerForPolygon(geometry, { fallback: centroid, limit: batchPowerLimit, signal });
+  const recommendations = recommendCrops(power, { catalog: cropCatalog, limit: BATCH_TOP_CROPS });
+  return {
+    centroid: { lat: +centroid.lat.toFixed(5), lon: +centroid.lon.toFixed(5) },
+    area_km2: +polygonAreaKm2(geometry).toFixed(4),
+    crop: topCrop(recommendations),
+    recommendations,
+    power: {
+      ...Object.fromEntries(METRIC_KEYS.map(k => [k, power[k]])),
+      source: power.meta?.source ?? null,
+      cells: power.cells?.length ?? 1,
+      origins: Object.fromEntries(METRIC_KEYS.map(k => [k, power.provenance?.[k]?.origin ?? null])),
+    },
+  };
+}
+
+const batchJobs = createBatchJobs({
+  analyze: analyzeFeature,
+  concurrency: Math.max(1, Number(process.env.BATCH_CONCURRENCY) || 2),
+  maxQueued: Math.max(1, Number(process.env.BATCH_MAX_QUEUED) || 5),
+});
+
+// Submit a FeatureCollection → 202 { id, status, … } (poll GET /batch/:id)
+app.post("/batch", (req, res) => {
+  const problem = batchInputError(req.body, { maxFeatures: BATCH_MAX_FEATURES });
+  if (problem) return res.status(400).json({ error: problem });
+  const job = batchJobs.submit(req.body);
+  if (!job) return res.status(503).json({ error: "Too many batch jobs queued; try again later" });
+  res.status(202).location(`/batch/${job.id}`).json({
+    ...job,
+    links: { status: `/batch/${job.id}`, geojson: `/batch/${job.id}/results?format=geojson`, csv: `/batch/${job.id}/results?format=csv` },
+  });
+});
+
+app.get("/batch", (_req, res) => res.json({ jobs: batchJobs.list() }));
+
+app.get("/batch/:id", (req, res) => {
+  const job = batchJobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: "Batch job not found" });
+  res.json(batchJobs.summary(job));
+});
+
+// Results so far (complete once status is "done"): ?format=geojson (default) | csv
+app.get("/batch/:id/results", (req, res) => {
+  const job = batchJobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: "Batch job not found" });
+  const format = String(req.query.format || "geojson").toLowerCase();
+  if (format === "csv") {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="batch-${job.id.slice(0, 8)}.csv"`);
+    return res.send(batchJobs.toCSV(job));
   }
+  if (format !== "geojson") return res.status(400).json({ error: "format must be geojson or csv" });
+  res.setHeader("Content-Disposition", `attachment; filename="batch-${job.id.slice(0, 8)}.geojson"`);
+  res.type("application/geo+json").send(JSON.stringify(batchJobs.toGeoJSON(job)));
+});
+
+// Cancel (features in flight finish) and forget the job
+app.delete("/batch/:id", (req, res) => {
+  if (!batchJobs.remove(req.params.id)) return res.status(404).json({ error: "Batch job not found" });
+  res.status(204).end();
+});
+
+// Body parser failures as JSON, like every other error
+app.use((err, _req, res, next) => {
+  if (err?.type === "entity.too.large") return res.status(413).json({ error: `Request body too large (limit ${err.limit} bytes)` });
+  if (err?.type === "entity.parse.failed") return res.status(400).json({ error: "Request body is not valid JSON", details: err.message });
+  next(err);
 });
 
-// Simple health check
-app.get("/healthz", (_req, res) => res.json({ ok: true }));
+// Anything else that escaped a route: log it with the request id, answer JSON
+app.use((err, _req, res, next) => {
+  log.error("unhandled error", { err });
+  if (res.headersSent) return next(err);
+  res.status(500).json({ error: "Internal error", details: String(err?.message || err) });
+});
 
 // ----------------------------- Start ------------------------------
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
-  console.log(`Server running → http://localhost:${PORT}`);
+  const guard = apiGuard.stats();
+  log.info(`Server running → http://localhost:${PORT}`, {
+    port: Number(PORT),
+    power: { mode: powerSource.mode, target: powerSource.mode === "live" ? powerSource.baseURL : powerSource.fixturesDir },
+    api: { auth: guard.auth, keys: guard.keys, limits: guard.limits },
+    llm: llm ? { provider: llm.name, model: llm.model } : "off (rule-based answers)",
+    log_level: rootLog.level,
+  });
 });
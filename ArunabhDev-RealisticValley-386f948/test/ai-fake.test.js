@@ -0,0 +1,83 @@
+// AI paths with LLM_PROVIDER=fake: the built-in responders, and scripted
+// replies (test/fixtures/llm) that the structured caller has to reject or cap.
+// POWER comes from the 15°N daily fixtures (see power-replay.test.js).
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { APP_DIR, startServer, square } from "./helpers.js";
+
+const polygon = square(15.1, 20.1);
+
+describe("LLM_PROVIDER=fake", () => {
+  let server;
+  before(async () => { server = await startServer({ LLM_PROVIDER: "fake" }); });
+  after(() => server?.stop());
+
+  test("/analyze-polygon: sanity check and LLM re-ranking", async () => {
+    const { status, body } = await server.post("/analyze-polygon", { polygon });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.ai_error, undefined);
+    assert.deepEqual(body.recommender, { engine: "rules", reranked_by: "llm", provider: "fake", model: "fixture" });
+    assert.equal(body.recommendations[0].ai_rank, 1);
+    assert.equal(body.crop, body.recommendations[0].crop);
+    assert.notEqual(body.regional_popular_crop, body.crop);
+
+    assert.equal(body.power.meta.source, "daily");
+    assert.equal(body.power.meta.ai, true);
+    assert.match(body.power.ai_notes, /^Values plausible/);
+    // The fake only rounds, so no move comes near its cap
+    for (const p of Object.values(body.power.provenance)) assert.notEqual(p.capped, true);
+    assert.equal(body.temperature_c, body.power.t2m_avg);
+    assert.ok(body.indices, "indices from the daily series");
+  });
+
+  test("/advise: sowing windows and irrigation need", async () => {
+    const { status, body } = await server.post("/advise", { polygon, crops: ["corn", "wheat"], weeks: 4 });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.climate.months.length, 12);
+    assert.deepEqual(body.sowing.map(s => s.crop).sort(), ["corn", "wheat"]);
+    assert.ok(body.sowing[0].best_score >= body.sowing[1].best_score);
+    assert.equal(body.irrigation.crop, "corn");
+    assert.equal(body.irrigation.recent.length, 4);
+    assert.equal(body.irrigation.outlook.length, 4);
+    assert.equal(body.warning, undefined);
+  });
+
+  test("/advise: unknown crop is a 400", async () => {
+    const { status, body } = await server.post("/advise", { polygon, crops: ["kudzu"] });
+    assert.equal(status, 400);
+    assert.match(body.error, /Unknown crop/);
+  });
+});
+
+describe("LLM_PROVIDER=fake with broken replies", () => {
+  let server;
+  before(async () => {
+    server = await startServer({
+      LLM_PROVIDER: "fake",
+      LLM_FIXTURES: path.join(APP_DIR, "test", "fixtures", "llm", "broken.json"),
+      AI_RETRIES: "1",
+    });
+  });
+  after(() => server?.stop());
+
+  test("/analyze-polygon: invalid labels fall back to the rule-based answer", async () => {
+    const { status, body } = await server.post("/analyze-polygon", { polygon });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.deepEqual(body.recommender, { engine: "rules", reranked_by: null });
+    assert.ok(Array.isArray(body.ai_error) && body.ai_error.length > 0);
+    assert.equal(body.crop, body.recommendations[0].crop);
+    assert.match(body.rationale, /AI labels unavailable/);
+  });
+
+  test("/analyze-polygon: sanity-check moves are capped", async () => {
+    const { body } = await server.post("/analyze-polygon", { polygon });
+    const t = body.power.provenance.t2m_avg;
+    assert.equal(t.origin, "ai-adjusted");
+    assert.equal(t.based_on, "observed");
+    assert.equal(t.capped, true);
+    assert.equal(t.proposed, 59);
+    assert.ok(Math.abs(body.power.t2m_avg - (t.original + 3)) < 1e-9);
+    assert.equal(body.power.ai_notes, "Much too cold for this latitude.");
+  });
+});
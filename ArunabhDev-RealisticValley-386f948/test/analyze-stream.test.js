@@ -0,0 +1,89 @@
+// POST /analyze-polygon as Server-Sent Events: event order end to end, and
+// lib/eventStream.js's `error` event and client-disconnect abort in-process.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { respondWithProgress } from "../lib/eventStream.js";
+import { startServer, square, readEvents } from "./helpers.js";
+
+const collect = async (response) => {
+  const events = [];
+  for await (const ev of readEvents(response)) events.push(ev);
+  return events;
+};
+
+let server;
+before(async () => { server = await startServer({ LLM_PROVIDER: "fake" }); });
+after(() => server?.stop());
+
+test("events arrive as start, tier…, power, stage…, result", async () => {
+  const response = await server.stream("/analyze-polygon", { polygon: square(15.1, 20.1) });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type"), /^text\/event-stream/);
+  const events = await collect(response);
+
+  const order = events.map(e => e.event).filter((e, i, a) => e !== a[i - 1]);
+  assert.deepEqual(order, ["start", "tier", "power", "stage", "result"]);
+  assert.deepEqual(events.map(e => Number(e.id)), events.map((_, i) => i + 1));
+
+  const [start] = events;
+  assert.ok(Math.abs(start.data.lat - 15.125) < 1e-9 && Math.abs(start.data.lon - 20.125) < 1e-9);
+  const settled = events.filter(e => e.event === "tier" && e.data.status === "ok").map(e => e.data);
+  assert.deepEqual(settled.map(t => [t.tier, t.cell, t.cells]), [["daily", 1, 1]]);
+  assert.deepEqual(events.filter(e => e.event === "stage").map(e => e.data.stage), ["ai-check", "indices", "ai-labels"]);
+
+  const power = events.find(e => e.event === "power").data;
+  assert.equal(power.power.meta.source, "daily");
+  const result = events.at(-1).data;
+  assert.equal(result.power.meta.source, "daily");
+  assert.equal(result.recommender.reranked_by, "llm");
+});
+
+test("without Accept: text/event-stream the same route answers JSON", async () => {
+  const { status, body } = await server.post("/analyze-polygon", { polygon: square(15.1, 20.1) });
+  assert.equal(status, 200);
+  assert.equal(body.power.meta.source, "daily");
+});
+
+// In-process: a route whose work fails, and one that only ends when aborted
+const quiet = { info() {}, error() {} };
+let app, url, abortSeen;
+const aborted = new Promise(r => { abortSeen = r; });
+before(async () => {
+  const scripts = {
+    fail: async ({ progress = () => {} }) => { progress("start", { step: 1 }); throw new Error("POWER exploded"); },
+    hang: ({ progress = () => {}, signal }) => new Promise((_, reject) => {
+      progress("start", { step: 1 });
+      signal.addEventListener("abort", () => { abortSeen(signal.reason); reject(signal.reason); }, { once: true });
+    }),
+  };
+  const srv = express().post("/:script", (req, res) => respondWithProgress(req, res, scripts[req.params.script], { log: quiet, failure: "Analysis failed" })).listen(0);
+  await new Promise(r => srv.once("listening", r));
+  app = srv;
+  url = `http://127.0.0.1:${srv.address().port}`;
+});
+after(() => app?.close());
+
+const post = (path, accept, signal) => fetch(url + path, { method: "POST", headers: { Accept: accept }, signal });
+
+test("a failure after the stream opened ends it with an error event", async () => {
+  const events = await collect(await post("/fail", "text/event-stream"));
+  assert.deepEqual(events.map(e => e.event), ["start", "error"]);
+  assert.deepEqual(events[1].data, { error: "Analysis failed", details: "POWER exploded" });
+
+  const json = await post("/fail", "application/json");
+  assert.equal(json.status, 500);
+  assert.deepEqual(await json.json(), { error: "Analysis failed", details: "POWER exploded" });
+});
+
+test("a client that disconnects aborts the work", async () => {
+  const ctrl = new AbortController();
+  const response = await post("/hang", "text/event-stream", ctrl.signal);
+  for await (const ev of readEvents(response)) {
+    assert.equal(ev.event, "start");
+    break;
+  }
+  ctrl.abort();
+  const reason = await Promise.race([aborted, new Promise((_, reject) => setTimeout(() => reject(new Error("work was not aborted")), 2000))]);
+  assert.equal(reason.name, "AbortError");
+});
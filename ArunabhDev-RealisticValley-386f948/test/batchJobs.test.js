@@ -0,0 +1,122 @@
+// Batch job lifecycle, concurrency and cancellation with a scripted analyze(),
+// then the same lifecycle through POST/GET/DELETE /batch on replayed POWER data.
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { createBatchJobs } from "../lib/batchJobs.js";
+import { startServer, square } from "./helpers.js";
+
+const quiet = { info() {}, error() {} };
+const features = (n) => Array.from({ length: n }, (_, i) => ({ ...square(15, 20 + i), id: `f${i}`, properties: { name: `Plot ${i}` } }));
+const tick = () => new Promise(r => setImmediate(r));
+
+// analyze() that waits until the test releases feature i (or the job is aborted)
+function gated() {
+  const gates = new Map(), seen = [];
+  let inFlight = 0, maxInFlight = 0;
+  const analyze = (feature, i, { signal }) => {
+    seen.push({ i, signal });
+    maxInFlight = Math.max(maxInFlight, ++inFlight);
+    return new Promise((resolve, reject) => {
+      const settle = (v) => { if (!gates.has(i)) return; gates.delete(i); inFlight--; v instanceof Error ? reject(v) : resolve(v); };
+      gates.set(i, settle);
+      signal.addEventListener("abort", () => settle(new Error("aborted")), { once: true });
+    });
+  };
+  const release = async (i, v = { crop: "wheat" }) => { gates.get(i)(v); await tick(); };
+  return { analyze, release, seen, get maxInFlight() { return maxInFlight; } };
+}
+
+test("lifecycle: queued → running → done, failures recorded per feature", async () => {
+  const g = gated();
+  const jobs = createBatchJobs({ analyze: g.analyze, concurrency: 2, log: quiet });
+  const job = jobs.submit({ type: "FeatureCollection", features: features(3) });
+  assert.equal(job.status, "running");
+  assert.equal(job.total, 3);
+
+  await g.release(0);
+  await g.release(1, new Error("no POWER data"));
+  let s = jobs.summary(jobs.get(job.id));
+  assert.deepEqual([s.status, s.done, s.ok, s.failed, s.progress], ["running", 2, 1, 1, 0.667]);
+
+  await g.release(2);
+  s = jobs.summary(jobs.get(job.id));
+  assert.deepEqual([s.status, s.done, s.ok, s.failed], ["done", 3, 2, 1]);
+  assert.ok(s.finished_at);
+
+  const csv = jobs.toCSV(jobs.get(job.id)).trim().split("\n");
+  assert.equal(csv.length, 4);
+  assert.match(csv[2], /^1,f1,Plot 1,false,no POWER data,/);
+  const gj = jobs.toGeoJSON(jobs.get(job.id));
+  assert.equal(gj.features[0].properties.agroscope.crop, "wheat");
+  assert.equal(gj.features[0].properties.name, "Plot 0");
+});
+
+test("concurrency: at most `concurrency` features at once, jobs one after another", async () => {
+  const g = gated();
+  const jobs = createBatchJobs({ analyze: g.analyze, concurrency: 2, maxQueued: 2, log: quiet });
+  const a = jobs.submit(features(4));
+  const b = jobs.submit(features(1));
+  assert.equal(jobs.submit(features(1)), null, "maxQueued reached");
+  assert.equal(jobs.summary(jobs.get(b.id)).status, "queued");
+  assert.deepEqual(g.seen.map(x => x.i), [0, 1]);
+
+  for (const i of [0, 1, 2, 3]) await g.release(i);
+  assert.equal(g.maxInFlight, 2);
+  assert.equal(jobs.summary(jobs.get(a.id)).status, "done");
+  assert.equal(jobs.summary(jobs.get(b.id)).status, "running");
+  await g.release(0);
+  assert.equal(jobs.summary(jobs.get(b.id)).status, "done");
+});
+
+test("cancel: the running job's signal aborts, queued jobs never start", async () => {
+  const g = gated();
+  const jobs = createBatchJobs({ analyze: g.analyze, concurrency: 2, log: quiet });
+  const a = jobs.submit(features(5));
+  const b = jobs.submit(features(2));
+  await g.release(0);
+
+  assert.equal(jobs.remove(b.id), true);
+  assert.equal(jobs.remove(a.id), true);
+  assert.equal(jobs.remove(a.id), false);
+  await tick();
+  assert.ok(g.seen.every(x => x.signal.aborted), "in-flight analyses see the abort");
+  assert.deepEqual(g.seen.map(x => x.i), [0, 1, 2], "no features started after the cancel, none from the queued job");
+  assert.equal(jobs.get(a.id), null);
+  assert.deepEqual(jobs.list(), []);
+});
+
+const servers = [];
+after(() => Promise.all(servers.map(s => s.stop())));
+
+test("POST /batch → poll GET /batch/:id → results → DELETE", async () => {
+  const server = await startServer();
+  servers.push(server);
+  const fc = {
+    type: "FeatureCollection",
+    features: [
+      { ...square(15.1, 20.1), id: "daily" },
+      { ...square(35.1, 20.1), id: "climatology" },
+      { type: "Feature", id: "point", properties: {}, geometry: { type: "Point", coordinates: [20, 15] } },
+    ],
+  };
+  const created = await server.post("/batch", fc);
+  assert.equal(created.status, 202, JSON.stringify(created.body));
+  const id = created.body.id;
+
+  let job;
+  for (let i = 0; i < 100; i++) {
+    job = (await server.get(`/batch/${id}`)).body;
+    if (job.status === "done") break;
+    await new Promise(r => setTimeout(r, 100));
+  }
+  assert.deepEqual([job.status, job.total, job.ok, job.failed], ["done", 3, 2, 1]);
+
+  const results = (await server.get(`/batch/${id}/results`)).body;
+  const byId = Object.fromEntries(results.features.map(f => [f.id, f.properties.agroscope]));
+  assert.equal(byId.daily.power.source, "daily");
+  assert.equal(byId.climatology.power.source, "climatology");
+  assert.match(byId.point.error, /Expected a Polygon or MultiPolygon Feature, got Point/);
+
+  assert.equal((await fetch(`${server.url}/batch/${id}`, { method: "DELETE" })).status, 204);
+  assert.equal((await server.get(`/batch/${id}`)).status, 404);
+});
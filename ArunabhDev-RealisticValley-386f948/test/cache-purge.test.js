@@ -0,0 +1,26 @@
+// POST /cache/purge is an admin action: off without ADMIN_TOKEN, and an API
+// key alone doesn't grant it.
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+const servers = [];
+after(() => Promise.all(servers.map(s => s.stop())));
+const start = async (env) => { const s = await startServer(env); servers.push(s); return s; };
+
+test("without ADMIN_TOKEN the purge is disabled", async () => {
+  const server = await start();
+  const { status, body } = await server.post("/cache/purge", {});
+  assert.equal(status, 403);
+  assert.match(body.error, /disabled/);
+});
+
+test("with ADMIN_TOKEN only the admin token purges, an API key is not enough", async () => {
+  const server = await start({ ADMIN_TOKEN: "admin-secret", API_KEYS: "alice=k1" });
+  const alice = { "X-API-Key": "k1" };
+  assert.equal((await server.post("/cache/purge", {})).status, 401);
+  assert.equal((await server.post("/cache/purge", {}, alice)).status, 403);
+  assert.equal((await server.post("/cache/purge", {}, { ...alice, "X-Admin-Token": "nope" })).status, 403);
+  const ok = await server.post("/cache/purge", {}, { ...alice, "X-Admin-Token": "admin-secret" });
+  assert.equal(ok.status, 200, JSON.stringify(ok.body));
+});
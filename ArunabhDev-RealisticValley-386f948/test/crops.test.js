@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { recommendCrops, topCrop, explainRanking } from "../lib/crops.js";
+
+const frozen = { t2m_avg: -40, rh2m_avg: 60, precip_mm_day: 2, solar_mj_m2_day: 5 };
+const temperate = { t2m_avg: 18, rh2m_avg: 65, precip_mm_day: 2.5, solar_mj_m2_day: 17 };
+
+test("no crop is recommended when every crop scores 0", () => {
+  const ranked = recommendCrops(frozen);
+  assert.ok(ranked.length > 0);
+  assert.ok(ranked.every(r => r.score === 0));
+  assert.equal(topCrop(ranked), null);
+  assert.match(explainRanking(ranked), /^Rule-based: no suitable crop; .*temperature/);
+});
+
+test("the best crop is recommended when it scores above 0", () => {
+  const ranked = recommendCrops(temperate);
+  assert.ok(ranked[0].score > 0);
+  assert.equal(topCrop(ranked), ranked[0].crop);
+  assert.match(explainRanking(ranked), new RegExp(`^Rule-based: ${ranked[0].crop} scores`));
+});
+
+test("an empty ranking has no crop", () => {
+  assert.equal(topCrop([]), null);
+});
@@ -0,0 +1,29 @@
+// Dates that Date.UTC would silently roll over are rejected, not shifted.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server?.stop());
+
+const series = (start, end) => server.get(`/power/series?lat=15&lon=20&start=${start}&end=${end}`);
+
+test("GET /power/series: impossible days are a 400", async () => {
+  for (const [start, end] of [["2025-02-31", "2025-03-10"], ["2025-01-01", "20250132"], ["2025-13-01", "2025-12-31"], ["0099-01-01", "2025-01-01"]]) {
+    const { status, body } = await series(start, end);
+    assert.equal(status, 400, `${start}..${end}`);
+    assert.match(body.error, /calendar dates/);
+  }
+});
+
+test("GET /power/series: leap days are fine", async () => {
+  const { status } = await series("2024-02-01", "2024-02-29");
+  assert.notEqual(status, 400);
+});
+
+test("POST /simulate: impossible sowing date is a 400", async () => {
+  const { status, body } = await server.post("/simulate", { point: { lat: 15, lon: 20 }, crop: "wheat", sowing_date: "2025-04-31" });
+  assert.equal(status, 400);
+  assert.match(body.error, /sowing_date/);
+});
@@ -0,0 +1,91 @@
+// Field input validation, listing, and undoing in memory when a write fails.
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createFieldStore, fieldInputError } from "../lib/fieldStore.js";
+
+const ring = [[20, 15], [20.1, 15], [20.1, 15.1], [20, 15.1], [20, 15]];
+const body = (name) => ({ name, geometry: { type: "Feature", properties: {}, geometry: { type: "Polygon", coordinates: [ring] } } });
+
+let dir, file, store;
+// The store writes `${file}.${pid}.tmp` and renames it; a directory there makes every write fail
+const breakWrites = () => fs.mkdirSync(`${file}.${process.pid}.tmp`);
+const fixWrites = () => fs.rmdirSync(`${file}.${process.pid}.tmp`);
+const onDisk = () => JSON.parse(fs.readFileSync(file, "utf8"));
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "fields-test-"));
+  file = path.join(dir, "fields.json");
+  store = createFieldStore({ file });
+});
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("create: a failed write leaves nothing listed", async () => {
+  breakWrites();
+  await assert.rejects(store.create(body("North plot")));
+  assert.deepEqual(await store.list(), []);
+  fixWrites();
+  const f = await store.create(body("North plot"));
+  assert.deepEqual((await store.list()).map(x => x.id), [f.id]);
+});
+
+test("update: a failed write keeps the stored field", async () => {
+  const f = await store.create(body("North plot"));
+  breakWrites();
+  await assert.rejects(store.update(f.id, { name: "Renamed", notes: "wet corner" }));
+  const kept = await store.get(f.id);
+  assert.equal(kept.name, "North plot");
+  assert.equal(kept.notes, "");
+  fixWrites();
+  assert.equal((await store.update(f.id, { name: "Renamed" })).name, "Renamed");
+  assert.equal(onDisk()[0].name, "Renamed");
+});
+
+test("remove: a failed write keeps the field", async () => {
+  const f = await store.create(body("North plot"));
+  breakWrites();
+  await assert.rejects(store.remove(f.id));
+  assert.ok(await store.get(f.id));
+  fixWrites();
+  assert.equal(await store.remove(f.id), true);
+  assert.deepEqual(onDisk(), []);
+});
+
+test("fieldInputError: a field split at ±180° (MultiPolygon) is accepted", async () => {
+  const split = {
+    name: "Taveuni",
+    geometry: {
+      type: "Feature", properties: {},
+      geometry: {
+        type: "MultiPolygon",
+        coordinates: [
+          [[[179.8, -17], [180, -17], [180, -16.8], [179.8, -16.8], [179.8, -17]]],
+          [[[-180, -17], [-179.8, -17], [-179.8, -16.8], [-180, -16.8], [-180, -17]]],
+        ],
+      },
+    },
+  };
+  assert.equal(fieldInputError(split), null);
+  const f = await store.create(split);
+  assert.equal((await store.get(f.id)).geometry.geometry.type, "MultiPolygon");
+});
+
+test("fieldInputError: bad geometry is reported by geometryProblems", () => {
+  const open = body("Open ring");
+  open.geometry.geometry.coordinates[0] = ring.slice(0, 4);
+  assert.match(fieldInputError(open), /^geometry\.geometry\.coordinates\[0\]/);
+  assert.match(fieldInputError({ name: "Point", geometry: { type: "Feature", geometry: { type: "Point", coordinates: [20, 15] } } }), /geometry\.geometry/);
+  assert.match(fieldInputError({ name: "Bare", geometry: { type: "Polygon", coordinates: [ring] } }), /Feature/);
+});
+
+test("list: entries without updated_at still list", async () => {
+  const f = await store.create(body("North plot"));
+  const stored = onDisk();
+  stored.push({ ...stored[0], id: "legacy", name: "Legacy plot", updated_at: undefined });
+  stored.push({ ...stored[0], id: "bare", name: "Bare plot", updated_at: undefined, created_at: undefined });
+  fs.writeFileSync(file, JSON.stringify(stored));
+  const fresh = createFieldStore({ file });
+  assert.deepEqual((await fresh.list()).map(x => x.id), [f.id, "legacy", "bare"]);
+});
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { geometryProblems, powerCellsForPolygon } from "../lib/geo.js";
+
+const polygon = (ring) => ({ type: "Polygon", coordinates: [ring] });
+
+test("geometryProblems: a ring crossing the antimeridian is rejected", () => {
+  const fiji = polygon([[179.8, -17], [-179.8, -17], [-179.8, -16.8], [179.8, -16.8], [179.8, -17]]);
+  const [problem, ...rest] = geometryProblems(fiji);
+  assert.equal(rest.length, 0);
+  assert.match(problem, /^geometry\.coordinates\[0\]\[1\]: edge crosses the antimeridian \(lon 179\.8 → -179\.8\); split/);
+});
+
+test("geometryProblems: the same area split at ±180° is fine and stays small", () => {
+  const split = {
+    type: "MultiPolygon",
+    coordinates: [
+      [[[179.8, -17], [180, -17], [180, -16.8], [179.8, -16.8], [179.8, -17]]],
+      [[[-180, -17], [-179.8, -17], [-179.8, -16.8], [-180, -16.8], [-180, -17]]],
+    ],
+  };
+  assert.deepEqual(geometryProblems(split), []);
+  const { cells, total_cells } = powerCellsForPolygon(split);
+  assert.ok(total_cells <= 4, `${total_cells} cells`);
+  assert.ok(cells.every(c => Math.abs(c.lon) > 179));
+});
+
+test("geometryProblems: ordinary polygons still pass", () => {
+  assert.deepEqual(geometryProblems(polygon([[20, 15], [20.1, 15], [20.1, 15.1], [20, 15.1], [20, 15]])), []);
+});
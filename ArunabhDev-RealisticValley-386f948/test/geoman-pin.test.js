@@ -0,0 +1,22 @@
+// public/app.js calls Geoman's private draw-handler methods for Undo/Finish
+// (the same ones Geoman's toolbar uses), which is only safe against a known
+// build. Bumping Geoman means re-checking PM_ACTIONS and updating GEOMAN here.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { APP_DIR } from "./helpers.js";
+
+const GEOMAN = "2.17.0";
+const read = (f) => fs.readFileSync(path.join(APP_DIR, "public", f), "utf8");
+
+test("index.html loads the Geoman build PM_ACTIONS was checked against", () => {
+  const html = read("index.html");
+  const versions = [...html.matchAll(/leaflet-geoman-free@([^/"]+)\//g)].map(m => m[1]);
+  assert.deepEqual(versions, [GEOMAN, GEOMAN], "Geoman CSS and JS, both pinned");
+});
+
+test("app.js reaches only the draw-handler methods of that build", () => {
+  const actions = read("app.js").match(/const PM_ACTIONS = (\{[^}]*\})/)?.[1];
+  assert.equal(actions, "{ undo:'_removeLastVertex', finish:'_finishShape' }");
+});
@@ -0,0 +1,63 @@
+// A deterministic season: constant weather (25 °C, 60 % RH, 1 mm rain,
+// 20 MJ/m²/day) on the fallback crop, so every difference comes from the inputs.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { simulateSeason, STAGE_NAMES } from "../lib/growthModel.js";
+
+const weather = (days) => Array.from({ length: days }, (_, i) => ({
+  date: new Date(Date.UTC(2025, 3, 1) + i * 864e5).toISOString().slice(0, 10),
+  T2M: 25, RH2M: 60, PRECTOTCORR: 1, ALLSKY_SFC_SW_DWN: 20,
+}));
+const BALANCED = [200, 100, 100]; // matches the fallback ideal N:P:K of 2:1:1
+const season = (o = {}) => simulateSeason({ weather: weather(200), npk: BALANCED, ...o });
+
+test("stages advance in order with biomass and the run stops at harvest", () => {
+  const { daily, summary } = season();
+  assert.deepEqual(season(), { daily, summary }, "same inputs, same season");
+
+  const firstDay = {};
+  daily.forEach((d, i) => {
+    if (i) assert.ok(d.stage >= daily[i - 1].stage && d.biomass_g_m2 >= daily[i - 1].biomass_g_m2, d.date);
+    assert.equal(d.stage_name, STAGE_NAMES[d.stage]);
+    firstDay[d.stage] ??= i + 1;
+  });
+  assert.deepEqual(Object.keys(firstDay).map(Number), [0, 1, 2, 3, 4, 5, 6]);
+  assert.deepEqual(Object.values(firstDay), [1, 6, 12, 24, 40, 55, 85]);
+  assert.ok(daily[firstDay[3] - 1].biomass_g_m2 >= 400 && daily[firstDay[3] - 2].biomass_g_m2 < 400, "flowering at 400 g/m²");
+
+  assert.equal(summary.harvest_day, 85);
+  assert.equal(summary.days_simulated, 85);
+  assert.equal(summary.final_stage_name, "harvest");
+  assert.equal(summary.crop_quality, 1);
+  assert.equal(summary.yield_t_ha, +(summary.final_biomass_g_m2 * 0.45 / 100).toFixed(2));
+});
+
+test("without stopAtHarvest the whole weather series is simulated", () => {
+  const { summary } = season({ stopAtHarvest: false });
+  assert.equal(summary.days_simulated, 200);
+  assert.equal(summary.harvest_day, 85);
+});
+
+test("yield responds to irrigation: too little water means no growth and lost quality", () => {
+  const dry = season({ irrigation: 0 });   // 1 mm/day: drought
+  const short = season({ irrigation: 1 }); // 2 mm/day: under half the 5 mm requirement
+  const watered = season({ irrigation: 4 });
+  assert.equal(dry.summary.yield_t_ha, 0);
+  assert.ok(dry.daily.every(d => d.events.drought));
+  assert.equal(short.summary.yield_t_ha, 0);
+  assert.ok(short.daily.every(d => !d.events.has_water && !d.events.drought));
+  assert.equal(dry.summary.crop_quality, 0);
+  assert.ok(watered.summary.yield_t_ha > 9);
+  assert.ok(watered.summary.marketable_yield_t_ha > dry.summary.marketable_yield_t_ha);
+});
+
+test("yield responds to NPK: an unbalanced or starved soil grows less in the same 60 days", () => {
+  const at60 = (npk) => simulateSeason({ weather: weather(60), npk, stopAtHarvest: false }).summary;
+  const balanced = at60(BALANCED), nHeavy = at60([400, 10, 10]), starved = at60([10, 5, 5]);
+  assert.ok(balanced.yield_t_ha > nHeavy.yield_t_ha, `${balanced.yield_t_ha} > ${nHeavy.yield_t_ha}`);
+  assert.ok(nHeavy.yield_t_ha > starved.yield_t_ha, `${nHeavy.yield_t_ha} > ${starved.yield_t_ha}`);
+  assert.ok(balanced.final_stage > starved.final_stage);
+  assert.equal(balanced.crop_quality, 1);
+  assert.ok(starved.crop_quality < 1, "below min_npk costs quality");
+  assert.deepEqual(starved.nutrients_left, [0, 0, 0]);
+});
@@ -0,0 +1,119 @@
+// test/helpers.js — boot server.js in a child process for HTTP tests
+//
+// POWER answers come from the checked-in fixtures (test/fixtures/power) in
+// replay mode, the cache is off and saved fields go to a temp file, so a run
+// needs no network and leaves nothing behind.
+import { spawn } from "child_process";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+export const APP_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+export const POWER_FIXTURES = path.join(APP_DIR, "test", "fixtures", "power");
+
+const freePort = () => new Promise((resolve, reject) => {
+  const srv = net.createServer().once("error", reject);
+  srv.listen(0, "127.0.0.1", () => { const { port } = srv.address(); srv.close(() => resolve(port)); });
+});
+
+// Small square polygon (Feature) with its south-west corner at lat, lon
+export function square(lat, lon, d = 0.05) {
+  const ring = [[lon, lat], [lon + d, lat], [lon + d, lat + d], [lon, lat + d], [lon, lat]];
+  return { type: "Feature", properties: {}, geometry: { type: "Polygon", coordinates: [ring] } };
+}
+
+/**
+ * startServer(env) → { url, post(path, body, headers), get(path), stream(path, body), stop() }
+ * `env` is added to (and overrides) the test defaults; the server is up and
+ * answering /healthz when the promise resolves.
+ */
+export async function startServer(env = {}) {
+  const port = await freePort();
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "agroscope-test-"));
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: APP_DIR,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      POWER_SOURCE: "replay",
+      POWER_FIXTURES_DIR: POWER_FIXTURES,
+      POWER_CACHE: "off",
+      POWER_BUDGET_MS: "10000",
+      FIELDS_FILE: path.join(tmp, "fields.json"),
+      LLM_PROVIDER: "off",
+      OPENAI_API_KEY: "",
+      API_KEYS: "",
+      LOG_LEVEL: "error",
+      ...env,
+    },
+    stdio: ["ignore", "ignore", "pipe"],
+  });
+  let stderr = "";
+  child.stderr.on("data", (b) => { stderr += b; });
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+
+  const url = `http://127.0.0.1:${port}`;
+  const stop = async () => {
+    if (child.exitCode == null) child.kill();
+    await exited;
+    fs.rmSync(tmp, { recursive: true, force: true });
+  };
+
+  for (let i = 0; ; i++) {
+    if (child.exitCode != null) throw new Error(`server exited (${child.exitCode}): ${stderr}`);
+    try {
+      if ((await fetch(url + "/healthz")).ok) break;
+    } catch { /* not listening yet */ }
+    if (i >= 100) { await stop(); throw new Error(`server did not start: ${stderr}`); }
+    await new Promise(r => setTimeout(r, 100));
+  }
+
+  const json = async (r) => ({ status: r.status, body: await r.json() });
+  return {
+    url,
+    get: (p) => fetch(url + p).then(json),
+    post: (p, body, headers = {}) => fetch(url + p, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Accept: "application/json", ...headers },
+      body: JSON.stringify(body),
+    }).then(json),
+    // POST asking for text/event-stream; the raw Response, for readEvents()
+    stream: (p, body, { signal } = {}) => fetch(url + p, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Accept: "text/event-stream" },
+      body: JSON.stringify(body),
+      signal,
+    }),
+    stop,
+  };
+}
+
+/**
+ * Events of a text/event-stream response as they arrive: { id, event, data }
+ * with `data` JSON-decoded. Comments (pings) are skipped; stops at the end of
+ * the stream, or earlier when the caller breaks out of the loop.
+ */
+export async function* readEvents(response) {
+  const decoder = new TextDecoder();
+  let buf = "";
+  for await (const chunk of response.body) {
+    buf += decoder.decode(chunk, { stream: true });
+    let end;
+    while ((end = buf.indexOf("\n\n")) >= 0) {
+      const block = buf.slice(0, end);
+      buf = buf.slice(end + 2);
+      const ev = { id: null, event: "message", data: [] };
+      for (const line of block.split("\n")) {
+        if (!line || line.startsWith(":")) continue;
+        const colon = line.indexOf(":");
+        const field = colon < 0 ? line : line.slice(0, colon);
+        const value = colon < 0 ? "" : line.slice(colon + 1).replace(/^ /, "");
+        if (field === "data") ev.data.push(value);
+        else if (field === "event" || field === "id") ev[field] = value;
+      }
+      if (ev.data.length) yield { ...ev, data: JSON.parse(ev.data.join("\n")) };
+    }
+  }
+}
@@ -0,0 +1,67 @@
+// GET /metrics after one analysis: counters and histograms carry the labels
+// dashboards query on. METRICS_TOKEN guards the scrape.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, square } from "./helpers.js";
+
+let server, text;
+before(async () => {
+  server = await startServer({ LLM_PROVIDER: "fake", METRICS_TOKEN: "scrape-me" });
+  assert.equal((await server.post("/analyze-polygon", { polygon: square(15.1, 20.1) })).status, 200);
+  assert.equal((await server.get("/fields/nope")).status, 404);
+  const r = await fetch(`${server.url}/metrics`, { headers: { Authorization: "Bearer scrape-me" } });
+  assert.equal(r.status, 200);
+  assert.match(r.headers.get("content-type"), /^text\/plain; .*version=0\.0\.4/);
+  text = await r.text();
+});
+after(() => server?.stop());
+
+// Value of one sample line, or undefined when it isn't there
+const sample = (name, labels = "") => {
+  const line = text.split("\n").find(l => l.startsWith(`agroscope_${name}${labels ? `{${labels}}` : ""} `));
+  return line && Number(line.slice(line.lastIndexOf(" ") + 1));
+};
+
+test("/metrics needs the token when METRICS_TOKEN is set", async () => {
+  assert.equal((await fetch(`${server.url}/metrics`)).status, 401);
+  assert.equal((await fetch(`${server.url}/metrics`, { headers: { Authorization: "Bearer wrong" } })).status, 401);
+});
+
+test("counters: HTTP requests by method, route template and status", () => {
+  assert.match(text, /^# TYPE agroscope_http_requests_total counter$/m);
+  assert.equal(sample("http_requests_total", 'method="POST",route="/analyze-polygon",status="200"'), 1);
+  assert.equal(sample("http_requests_total", 'method="GET",route="/fields/:id",status="404"'), 1);
+  assert.equal(text.includes('route="/metrics"'), false, "the scrape itself is not counted");
+});
+
+test("counters: POWER lookups and AI calls", () => {
+  assert.equal(sample("power_lookups_total", 'source="daily",community="AG"'), 1);
+  assert.ok(sample("power_requests_total", 'tier="daily",community="AG",outcome="ok"') >= 1);
+  assert.equal(sample("power_requests_total", 'tier="direct",community="AG",outcome="ok"'), 1, "indices series");
+  assert.equal(sample("ai_calls_total", 'call="sanity-check",outcome="ok"'), 1);
+  assert.equal(sample("ai_calls_total", 'call="labels",outcome="ok"'), 1);
+  assert.equal(sample("ai_attempts_total", 'call="labels"'), 1);
+});
+
+test("histograms: cumulative buckets, +Inf, _sum and _count per label set", () => {
+  assert.match(text, /^# TYPE agroscope_http_request_duration_seconds histogram$/m);
+  const labels = 'method="POST",route="/analyze-polygon"';
+  const buckets = text.split("\n")
+    .filter(l => l.startsWith(`agroscope_http_request_duration_seconds_bucket{${labels},le="`))
+    .map(l => Number(l.slice(l.lastIndexOf(" ") + 1)));
+  assert.equal(buckets.length, 11, "10 bounds + Inf");
+  assert.ok(buckets.every((v, i) => i === 0 || v >= buckets[i - 1]), "cumulative");
+  assert.equal(sample("http_request_duration_seconds_bucket", `${labels},le="+Inf"`), 1);
+  assert.equal(sample("http_request_duration_seconds_count", labels), 1);
+  assert.ok(sample("http_request_duration_seconds_sum", labels) > 0);
+
+  assert.equal(sample("power_fallback_depth_count"), 1);
+  assert.equal(sample("power_fallback_depth_bucket", 'le="0"'), 1, "daily AG is tier 0");
+  assert.equal(sample("ai_call_duration_seconds_count", 'call="labels"'), 1);
+});
+
+test("gauges collected at scrape time", () => {
+  assert.equal(sample("batch_jobs", 'status="running"'), 0);
+  assert.equal(sample("build_info", `node="${process.version}",power_source="replay",llm="fake/fixture"`), 1);
+  assert.ok(sample("process_resident_memory_bytes") > 0);
+});
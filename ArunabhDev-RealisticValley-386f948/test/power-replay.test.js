@@ -0,0 +1,99 @@
+// POWER fallback tiers and finalizeStrict, replayed from test/fixtures/power.
+// Each location has fixtures for exactly one tier (AG community):
+//   15°N  daily (last 30 days), plus the indices series and normals
+//         that ai-fake.test.js uses for /advise
+//   25°N  monthly (last 24 months)
+//   35°N  climatology
+//   45°N  nothing at the cell centre, climatology at three ±0.2° neighbours
+//   55°N  nothing → finalizeStrict defaults
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { fixtureKey } from "../lib/powerSource.js";
+import { startServer, square } from "./helpers.js";
+
+const daily = (start, end) =>
+  `https://power.larc.nasa.gov/api/temporal/daily/point?parameters=T2M,RH2M&community=AG&latitude=15&longitude=20&start=${start}&end=${end}&format=JSON`;
+const monthly = (start, end) =>
+  `https://power.larc.nasa.gov/api/temporal/monthly/point?parameters=T2M&community=AG&latitude=25&longitude=20&start=${start}&end=${end}&format=JSON`;
+
+test("fixtureKey: windows relative to today replay on later days", () => {
+  const a = fixtureKey(daily("20260919", "20261019"), Date.UTC(2026, 9, 19, 23));
+  const b = fixtureKey(daily("20261101", "20261201"), Date.UTC(2026, 11, 1, 8));
+  assert.deepEqual(a.window, { unit: "day", start: -30, end: 0 });
+  assert.deepEqual(b, a);
+});
+
+test("fixtureKey: monthly windows count months, whatever their length", () => {
+  const oct = fixtureKey(monthly("20241101", "20261028"), Date.UTC(2026, 9, 19));
+  const mar = fixtureKey(monthly("20250401", "20270328"), Date.UTC(2027, 2, 5));
+  assert.deepEqual(oct.window, { unit: "month", start: -23, end: 0 });
+  assert.deepEqual(mar, oct);
+});
+
+test("fixtureKey: no dates, no window; not a URL, no key", () => {
+  const clim = "https://power.larc.nasa.gov/api/temporal/climatology/point?parameters=T2M&community=AG&latitude=35&longitude=20&format=JSON";
+  assert.equal(fixtureKey(clim).window, null);
+  assert.equal(fixtureKey("not a url"), null);
+});
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server?.stop());
+
+const analyze = async (lat, lon) => {
+  const { status, body } = await server.post("/analyze-polygon", { polygon: square(lat, lon) });
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.power;
+};
+
+const assertNumbers = (power) => {
+  for (const k of ["t2m_avg", "rh2m_avg", "precip_mm_day", "solar_mj_m2_day"]) {
+    assert.ok(Number.isFinite(power[k]), `${k} is a number`);
+  }
+};
+
+test("daily tier wins when the point has recent daily data", async () => {
+  const power = await analyze(15.1, 20.1);
+  assert.equal(power.meta.source, "daily");
+  assert.equal(power.meta.window_days, 30);
+  assert.equal(power.community, "AG");
+  assert.equal(power.provenance.t2m_avg.origin, "observed");
+  assertNumbers(power);
+});
+
+test("monthly tier when there is no daily data", async () => {
+  const power = await analyze(25.1, 20.1);
+  assert.equal(power.meta.source, "monthly");
+  assert.equal(power.meta.window_months, 24);
+  assert.equal(power.provenance.rh2m_avg.origin, "observed");
+  assertNumbers(power);
+});
+
+test("climatology tier when there is no daily or monthly data", async () => {
+  const power = await analyze(35.1, 20.1);
+  assert.equal(power.meta.source, "climatology");
+  assert.equal(power.provenance.t2m_avg.origin, "climatology");
+  assertNumbers(power);
+});
+
+test("neighbour average when only nearby points answer", async () => {
+  const power = await analyze(45.1, 20.1);
+  assert.equal(power.meta.source, "neighbor-avg");
+  assert.equal(power.meta.neighbors_used, 3);
+  assert.equal(power.provenance.t2m_avg.origin, "neighbor");
+  assert.equal(power.provenance.t2m_avg.n, 3);
+  assertNumbers(power);
+});
+
+test("finalizeStrict fills defaults when no tier answers", async () => {
+  const power = await analyze(55.1, 20.1);
+  assert.equal(power.meta.source, "defaults");
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(power.provenance).map(([k, p]) => [k, p.origin])),
+    { t2m_avg: "default", rh2m_avg: "default", precip_mm_day: "default", solar_mj_m2_day: "derived" },
+  );
+  assert.equal(power.t2m_avg, 20);
+  assert.equal(power.rh2m_avg, 60);
+  assert.equal(power.precip_mm_day, 2);
+  assert.equal(power.solar_mj_m2_day, 15); // from the default temperature
+});
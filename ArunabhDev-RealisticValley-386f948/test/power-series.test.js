@@ -0,0 +1,31 @@
+// GET /power/series?indices=1 for each community. The 65°N fixtures hold the
+// same weather twice: AG with solar in MJ/m²/day, RE in kWh/m²/day.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+const day = (n) => new Date(Date.now() - n * 864e5).toISOString().slice(0, 10);
+const series = (community) =>
+  server.get(`/power/series?lat=65&lon=20&start=${day(10)}&end=${day(1)}&community=${community}&indices=1`);
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server?.stop());
+
+test("indices=1: RE solar is converted before ET0, rows keep POWER's units", async () => {
+  const [ag, re] = await Promise.all([series("AG"), series("RE")]);
+  assert.equal(ag.status, 200, JSON.stringify(ag.body));
+  assert.equal(re.status, 200, JSON.stringify(re.body));
+  assert.equal(re.body.community, "RE");
+  assert.equal(re.body.rows.length, 10);
+
+  assert.match(re.body.units.ALLSKY_SFC_SW_DWN, /kW/);
+  assert.ok(Math.abs(re.body.rows[0].ALLSKY_SFC_SW_DWN * 3.6 - ag.body.rows[0].ALLSKY_SFC_SW_DWN) < 1e-3);
+
+  re.body.rows.forEach((r, i) => {
+    assert.ok(r.ET0 > 0, `ET0 on ${r.date}`);
+    assert.ok(Math.abs(r.ET0 - ag.body.rows[i].ET0) <= 0.01, `${r.ET0} vs ${ag.body.rows[i].ET0}`);
+  });
+  assert.ok(Math.abs(re.body.indices.et0.total_mm - ag.body.indices.et0.total_mm) <= 0.2);
+  assert.equal(re.body.indices.water_balance.deficit_days, ag.body.indices.water_balance.deficit_days);
+});
@@ -0,0 +1,54 @@
+// fetchPowerStrict starts tiers in priority order: the next one only when the
+// earlier ones came back empty, or when POWER_TIER_STAGGER_MS passes first.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, square, POWER_FIXTURES } from "./helpers.js";
+
+process.env.LOG_LEVEL = "error"; // the in-process stand-in logs every miss
+const { createPowerStandin } = await import("../lib/powerStandin.js");
+
+const tiersOf = async (server, lat, lon) => {
+  const { status, body } = await server.post("/analyze-polygon", { polygon: square(lat, lon) });
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.power.meta.tiers;
+};
+const label = (t) => `${t.tier}${t.window_days ?? t.window_months ?? ""}/${t.community}:${t.status}`;
+
+let replay, standin, slow;
+before(async () => {
+  replay = await startServer();
+  // Every POWER answer takes 300 ms; the next tier may start after 100 ms
+  standin = createPowerStandin({ fixturesDir: POWER_FIXTURES, delayMs: 300 }).listen(0);
+  await new Promise(r => standin.once("listening", r));
+  slow = await startServer({
+    POWER_SOURCE: "live",
+    POWER_BASE_URL: `http://127.0.0.1:${standin.address().port}`,
+    POWER_TIER_STAGGER_MS: "100",
+  });
+});
+after(async () => {
+  await Promise.all([replay?.stop(), slow?.stop()]);
+  standin?.close();
+});
+
+test("a tier with data stops the lookup before later tiers start", async () => {
+  assert.deepEqual((await tiersOf(replay, 15.1, 20.1)).map(label), ["daily30/AG:ok"]);
+});
+
+test("empty tiers hand over at once, in order, up to the first with data", async () => {
+  const tiers = (await tiersOf(replay, 35.1, 20.1)).map(label);
+  assert.deepEqual(tiers, [
+    "daily30/AG:empty", "daily60/AG:empty", "daily90/AG:empty", "daily180/AG:empty", "daily365/AG:empty",
+    "monthly24/AG:empty", "monthly60/AG:empty", "monthly120/AG:empty",
+    "climatology/AG:ok",
+  ]);
+});
+
+test("a slow tier lets the next ones start after the stagger, and still wins", async () => {
+  const tiers = await tiersOf(slow, 15.1, 20.1);
+  assert.equal(label(tiers[0]), "daily30/AG:ok");
+  assert.ok(tiers[0].ms >= 300);
+  const later = tiers.slice(1);
+  assert.ok(later.length >= 1, "the next tiers started while the first was still out");
+  assert.ok(later.every(t => t.status === "cancelled"), later.map(label).join(", "));
+});
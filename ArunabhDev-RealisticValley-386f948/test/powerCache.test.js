@@ -0,0 +1,89 @@
+// Per-resolution TTLs, expiry and purge on a fake clock.
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createPowerCache, powerCacheKey } from "../lib/powerCache.js";
+
+const HOUR = 60 * 60 * 1000;
+const url = (resolution, extra = "") =>
+  `https://power.larc.nasa.gov/api/temporal/${resolution}/point?parameters=T2M&community=AG&latitude=15&longitude=20${extra}&format=JSON`;
+const DAILY = url("daily", "&start=20260901&end=20260930");
+const MONTHLY = url("monthly", "&start=20240101&end=20251231");
+const CLIMATOLOGY = url("climatology");
+
+let dir, clock;
+const open = () => createPowerCache({ dir, enabled: true, now: () => clock });
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "power-cache-test-"));
+  clock = Date.UTC(2026, 9, 1);
+});
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("powerCacheKey: rounds the point, sorts parameters, tags the resolution", () => {
+  const a = powerCacheKey(url("daily", "&start=1&end=2").replace("T2M", "T2M,RH2M").replace("latitude=15", "latitude=15.004"));
+  const b = powerCacheKey(url("daily", "&start=1&end=2").replace("T2M", "RH2M,T2M"));
+  assert.deepEqual(a, b);
+  assert.equal(a.resolution, "daily");
+  assert.equal(a.parameters, "RH2M,T2M");
+});
+
+test("each resolution expires after its own TTL", async () => {
+  const cache = open();
+  for (const u of [DAILY, MONTHLY, CLIMATOLOGY]) await cache.set(u, { url: u });
+
+  clock += 6 * HOUR;
+  assert.deepEqual(await cache.get(DAILY), { url: DAILY }, "daily: still fresh at exactly 6 h");
+  clock += 1;
+  assert.equal(await cache.get(DAILY), undefined, "daily: gone after 6 h");
+  assert.deepEqual(await cache.get(MONTHLY), { url: MONTHLY });
+
+  clock += 7 * 24 * HOUR;
+  assert.equal(await cache.get(MONTHLY), undefined, "monthly: gone after 7 days");
+  assert.deepEqual(await cache.get(CLIMATOLOGY), { url: CLIMATOLOGY });
+
+  clock += 23 * 24 * HOUR;
+  assert.equal(await cache.get(CLIMATOLOGY), undefined, "climatology: gone after 30 days");
+
+  const s = await cache.stats();
+  assert.deepEqual([s.hits, s.misses, s.expired, s.writes], [3, 3, 3, 3]);
+  assert.deepEqual(s.ttl_hours, { daily: 6, monthly: 168, climatology: 720, other: 1 });
+});
+
+test("POWER_CACHE_TTL_*_H override the defaults", async (t) => {
+  process.env.POWER_CACHE_TTL_DAILY_H = "1";
+  process.env.POWER_CACHE_TTL_CLIMATOLOGY_H = "0";
+  t.after(() => { delete process.env.POWER_CACHE_TTL_DAILY_H; delete process.env.POWER_CACHE_TTL_CLIMATOLOGY_H; });
+  const cache = open();
+  await cache.set(DAILY, 1);
+  await cache.set(CLIMATOLOGY, 2);
+  clock += 1;
+  assert.equal(await cache.get(CLIMATOLOGY), undefined, "0 h = never served");
+  clock += HOUR;
+  assert.equal(await cache.get(DAILY), undefined);
+  assert.equal((await cache.stats()).ttl_hours.daily, 1);
+});
+
+test("purge: expired only, then everything", async () => {
+  const cache = open();
+  for (const u of [DAILY, MONTHLY, CLIMATOLOGY]) await cache.set(u, 1);
+  assert.deepEqual(await cache.purge({ expiredOnly: true }), { removed: 0 });
+
+  clock += 2 * 24 * HOUR;
+  assert.deepEqual(await cache.purge({ expiredOnly: true }), { removed: 1 });
+  assert.equal((await cache.stats()).entries, 2);
+  assert.equal(await cache.get(MONTHLY), 1);
+
+  assert.deepEqual(await cache.purge(), { removed: 2 });
+  assert.equal((await cache.stats()).entries, 0);
+  assert.equal(await cache.get(CLIMATOLOGY), undefined);
+});
+
+test("disabled: nothing is stored or served", async () => {
+  const cache = createPowerCache({ dir, enabled: false, now: () => clock });
+  await cache.set(DAILY, 1);
+  assert.equal(await cache.get(DAILY), undefined);
+  assert.equal((await cache.stats()).entries, 0);
+});
@@ -0,0 +1,22 @@
+// The "heavy" bucket covers every route that fans out to POWER or renders a
+// report, GETs included; ordinary API routes only count against "api".
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+let server;
+before(async () => { server = await startServer({ RATE_LIMIT_HEAVY_PER_MIN: "1" }); });
+after(() => server?.stop());
+
+test("GET /power/series and /fields/:id/report share the heavy budget", async () => {
+  const series = "/power/series?lat=15&lon=20&start=2025-01-01&end=2025-01-31";
+  assert.notEqual((await server.get(series)).status, 429);
+  const again = await server.get(series);
+  assert.equal(again.status, 429);
+  assert.match(again.body.error, /Rate limit exceeded \(1 /);
+  assert.equal((await server.get("/fields/nope/report")).status, 429);
+});
+
+test("GET /fields only counts against the api budget", async () => {
+  for (let i = 0; i < 3; i++) assert.equal((await server.get("/fields")).status, 200);
+});
@@ -0,0 +1,67 @@
+// Field reports: user text is escaped in HTML, and format=pdf answers a PDF.
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { reportHTML, reportPDF } from "../lib/report.js";
+import { startServer, square } from "./helpers.js";
+
+const EVIL_NAME = `<script>alert("x")</script> & "Bob's" plot`;
+const EVIL_NOTES = `<img src=x onerror=alert(1)> wet corner`;
+const body = {
+  name: EVIL_NAME,
+  notes: EVIL_NOTES,
+  geometry: square(15.1, 20.1),
+  area_km2: 30.5,
+  centroid: { lat: 15.125, lon: 20.125 },
+  analysis: {
+    crop: "sorghum",
+    power: { t2m_avg: 29.4, rh2m_avg: 41, precip_mm_day: 1.2, solar_mj_m2_day: 21.3, meta: { source: "daily", community: "AG", window_days: 30 } },
+    recommendations: [{ crop: "sorghum", score: 0.82, factors: { temperature: 0.9 } }],
+    rationale: "Hot </p><b>and</b> dry",
+  },
+  series: { start: "2025-06-01", end: "2025-06-02", rows: [
+    { date: "2025-06-01", T2M: 29, RH2M: 40, ALLSKY_SFC_SW_DWN: 21, PRECTOTCORR: 0, ET0: 6.1, WB: -6.1 },
+    { date: "2025-06-02", T2M: 30, RH2M: 42, ALLSKY_SFC_SW_DWN: 22, PRECTOTCORR: 3, ET0: 6.3, WB: -3.3 },
+  ] },
+};
+const field = { ...body, analysis: { at: "2025-06-03T00:00:00.000Z", result: body.analysis } };
+
+test("reportHTML escapes the field name, notes and rationale", () => {
+  const html = reportHTML(field, { now: new Date("2025-06-03T12:00:00Z") });
+  assert.ok(!html.includes("<script>"), "no script tag");
+  assert.ok(!html.includes("<img"), "no img tag");
+  assert.ok(!html.includes("<b>and</b>"));
+  assert.ok(html.includes("&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &quot;Bob&#39;s&quot; plot"));
+  assert.ok(html.includes("&lt;img src=x onerror=alert(1)&gt; wet corner"));
+  assert.match(html, /<title>Field report — &lt;script&gt;/);
+});
+
+test("reportPDF renders a PDF document", async () => {
+  const pdf = await reportPDF(field);
+  assert.ok(Buffer.isBuffer(pdf));
+  assert.equal(pdf.subarray(0, 5).toString("latin1"), "%PDF-");
+  assert.match(pdf.subarray(-8).toString("latin1"), /%%EOF\s*$/);
+});
+
+const servers = [];
+after(() => Promise.all(servers.map(s => s.stop())));
+
+test("GET /fields/:id/report: html and pdf over HTTP", async () => {
+  const server = await startServer();
+  servers.push(server);
+  const created = await server.post("/fields", body);
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  const report = (q) => fetch(`${server.url}/fields/${created.body.id}/report${q}`);
+
+  const html = await report("");
+  assert.equal(html.status, 200);
+  assert.match(html.headers.get("content-type"), /^text\/html/);
+  assert.ok(!(await html.text()).includes("<script>"));
+
+  const pdf = await report("?format=pdf&download=1");
+  assert.equal(pdf.status, 200);
+  assert.equal(pdf.headers.get("content-type"), "application/pdf");
+  assert.match(pdf.headers.get("content-disposition"), /^attachment; filename="report-script-alert-x-script-Bob-s-plot\.pdf"$/);
+  assert.equal(Buffer.from(await pdf.arrayBuffer()).subarray(0, 5).toString("latin1"), "%PDF-");
+
+  assert.equal((await report("?format=docx")).status, 400);
+});
@@ -0,0 +1,96 @@
+// createStructuredCaller against a scripted model: replies are taken in order
+// and every prompt it was sent is kept for inspection.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createStructuredCaller, validateSchema } from "../lib/structuredOutput.js";
+
+const schema = {
+  type: "object",
+  required: ["crop", "confidence"],
+  additionalProperties: false,
+  properties: { crop: { type: "string", minLength: 1 }, confidence: { type: "number", minimum: 0, maximum: 1 } },
+};
+const quiet = { warn() {} };
+
+function scripted(replies) {
+  const prompts = [];
+  const complete = async (messages) => {
+    prompts.push(messages.map(m => ({ ...m })));
+    return replies[Math.min(prompts.length, replies.length) - 1];
+  };
+  return { complete, prompts };
+}
+
+test("a valid reply is returned on the first attempt", async () => {
+  const model = scripted(['{"crop":"wheat","confidence":0.8}']);
+  const ai = createStructuredCaller({ complete: model.complete, log: quiet });
+  const r = await ai.call({ name: "rank", system: "Rank crops.", user: "15N 20E", schema });
+  assert.deepEqual(r, { ok: true, data: { crop: "wheat", confidence: 0.8 }, attempts: 1, errors: [] });
+  assert.equal(model.prompts.length, 1);
+  assert.match(model.prompts[0][0].content, /Reply with ONLY a JSON object matching this JSON schema/);
+  assert.deepEqual(ai.stats, { calls: 1, ok: 1, failed: 0, retries: 0, rejections: {} });
+});
+
+test("an invalid reply is repaired: the retry shows the model its reply and the errors", async () => {
+  const bad = 'Sure! ```json\n{"crop":"wheat","confidence":3,"extra":1}\n```';
+  const model = scripted([bad, '{"crop":"wheat","confidence":0.6}']);
+  const calls = [];
+  const ai = createStructuredCaller({ complete: model.complete, log: quiet, onCall: (c) => calls.push(c) });
+  const r = await ai.call({ name: "rank", system: "Rank crops.", user: "15N 20E", schema });
+
+  assert.equal(r.ok, true);
+  assert.equal(r.attempts, 2);
+  assert.deepEqual(r.data, { crop: "wheat", confidence: 0.6 });
+  const [, repair] = model.prompts;
+  assert.equal(repair.length, 4);
+  assert.deepEqual(repair[2], { role: "assistant", content: bad });
+  assert.match(repair[3].content, /\$\.confidence: must be ≤ 1/);
+  assert.match(repair[3].content, /\$\.extra: is not allowed/);
+  assert.deepEqual(ai.stats, { calls: 1, ok: 1, failed: 0, retries: 1, rejections: { rank: 1 } });
+  assert.deepEqual(calls.map(c => [c.ok, c.attempts]), [[true, 2]]);
+});
+
+test("check() rules reject like schema errors", async () => {
+  const model = scripted(['{"crop":"banana","confidence":0.9}', '{"crop":"wheat","confidence":0.9}']);
+  const ai = createStructuredCaller({ complete: model.complete, log: quiet });
+  const check = (d) => (d.crop === "banana" ? ["$.crop: not in the catalog"] : []);
+  const r = await ai.call({ name: "rank", system: "s", user: "u", schema, check });
+  assert.equal(r.attempts, 2);
+  assert.match(model.prompts[1][3].content, /not in the catalog/);
+});
+
+test("a reply that stays invalid fails after retries + 1 attempts", async () => {
+  const model = scripted(["I think wheat.", '{"crop":""}', "not json either"]);
+  const calls = [];
+  const ai = createStructuredCaller({ complete: model.complete, retries: 2, log: quiet, onCall: (c) => calls.push(c) });
+  const r = await ai.call({ name: "rank", system: "s", user: "u", schema });
+
+  assert.deepEqual(r, { ok: false, data: null, attempts: 3, errors: ["reply is not valid JSON"] });
+  assert.equal(model.prompts.length, 3);
+  assert.match(model.prompts[2].at(-1).content, /\$\.crop: must have at least 1 characters/);
+  assert.deepEqual(ai.stats, { calls: 1, ok: 0, failed: 1, retries: 2, rejections: { rank: 3 } });
+  assert.deepEqual(calls.map(c => [c.ok, c.attempts]), [[false, 3]]);
+});
+
+test("timeouts and aborts end the call without more retries", async () => {
+  const hang = (_m, { signal }) => new Promise((_, reject) => signal.addEventListener("abort", () => reject(new Error("aborted"))));
+  const slow = createStructuredCaller({ complete: hang, retries: 1, timeoutMs: 20, log: quiet });
+  const timedOut = await slow.call({ name: "rank", system: "s", user: "u", schema });
+  assert.deepEqual(timedOut.errors, ["timed out after 20 ms"]);
+  assert.equal(timedOut.attempts, 2);
+
+  const ctrl = new AbortController();
+  const pending = createStructuredCaller({ complete: hang, timeoutMs: 5000, log: quiet }).call({ name: "rank", system: "s", user: "u", schema, signal: ctrl.signal });
+  ctrl.abort();
+  assert.deepEqual(await pending, { ok: false, data: null, attempts: 1, errors: ["cancelled"], cancelled: true });
+});
+
+test("validateSchema: type lists, enums and nested items", () => {
+  const s = { type: "array", maxItems: 2, items: { type: ["integer", "null"], enum: [1, 2, null] } };
+  assert.deepEqual(validateSchema([1, null], s), []);
+  assert.deepEqual(validateSchema([1, 2.5, 3], s), [
+    "$: allows at most 2 items",
+    "$[1]: expected integer | null, got number",
+    "$[2]: must be one of 1, 2, null",
+  ]);
+});
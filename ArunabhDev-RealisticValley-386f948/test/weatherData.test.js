@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatWeather, parseMonths, parseDay, resolveOptions } from "../lib/weatherData.js";
+
+const rows = [{ date: "2024-05-01", T2M: 18, T2MDEW: 5, ALLSKY_SFC_SW_DWN: 18, PRECTOTCORR: 2.5 }];
+
+test("game layout writes solar in kWh/m²/day", () => {
+  const csv = formatWeather(rows, { layout: "game", units: { ALLSKY_SFC_SW_DWN: { units: "MJ/m^2/day" } } });
+  assert.equal(csv, "Date,Temperature_C,Humidity_Percent,Solar_kWh_per_m2,Precipitation_mm\n2024-05-01,18,42.3,5,2.5\n");
+});
+
+test("game layout assumes MJ (AG) without units and keeps kWh as is", () => {
+  assert.equal(JSON.parse(formatWeather(rows, { format: "json", layout: "game" }))[0].Solar_kWh_per_m2, 5);
+  const kwh = formatWeather(rows, { format: "json", layout: "game", units: { ALLSKY_SFC_SW_DWN: "kW-hr/m^2/day" } });
+  assert.equal(JSON.parse(kwh)[0].Solar_kWh_per_m2, 18);
+});
+
+test("raw layout keeps POWER values", () => {
+  assert.equal(formatWeather(rows, { format: "ndjson" }), JSON.stringify(rows[0]) + "\n");
+});
+
+test("parseMonths: ranges wrap the year end", () => {
+  assert.deepEqual(parseMonths("11-2"), [1, 2, 11, 12]);
+  assert.throws(() => parseMonths("13"), /invalid month/);
+});
+
+test("start/end: impossible days are rejected, not rolled over", () => {
+  assert.throws(() => resolveOptions({ lat: 15, lon: 20, start: "2025-02-01", end: "2025-02-31" }), /end must be a calendar date/);
+  assert.throws(() => resolveOptions({ lat: 15, lon: 20, start: "20250230", end: "2025-03-10" }), /start must be a calendar date/);
+  assert.equal(parseDay("2024-02-29").toISOString().slice(0, 10), "2024-02-29");
+  assert.equal(parseDay("2025-02-29"), null);
+  const o = resolveOptions({ lat: 15, lon: 20, start: "20240201", end: "2024-02-29" });
+  assert.equal(o.end.toISOString().slice(0, 10), "2024-02-29");
+});